@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+
+class Feed extends YEH {
+    handleScroll(event) {
+        event.preventDefault();
+    }
+
+    save() {}
+
+    draft() {}
+}
+
+test('analyze() reports a class that is not YEH as a result instead of throwing', () => {
+    const report = YEH.analyze({ '#app': ['click'] }, {}, class Other {});
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(report.issues.map(issue => issue.code), ['invalid-class']);
+    assert.deepStrictEqual(report.entries, []);
+});
+
+test('analyze() checks passive conflicts from the config only', () => {
+    const report = YEH.analyze({
+        '#feed': ['scroll', { type: 'touchstart', handler: 'save', prevent: true, options: { passive: true } }]
+    }, {}, Feed);
+    assert.deepStrictEqual(report.issues.map(issue => [issue.code, issue.type]), [['passive-prevent', 'touchstart']]);
+});
+
+test('analyze() accepts mixed timings for one type (each timed config runs on its own timer)', () => {
+    const report = YEH.analyze({
+        '#editor': [
+            { type: 'input', handler: 'save' },
+            { type: 'input', matches: '.draft', handler: 'draft', debounce: 300 }
+        ]
+    }, {}, Feed);
+    assert.deepStrictEqual(report.issues, []);
+});
+
+test('instances get their own passiveEvents list', () => {
+    const defaults = YEH.DEFAULT_PASSIVE_EVENTS.slice();
+    const instance = new YEH({});
+    instance.passiveEvents.push('input');
+    assert.deepStrictEqual(YEH.DEFAULT_PASSIVE_EVENTS, defaults);
+    assert.notStrictEqual(new YEH({}).passiveEvents, YEH.DEFAULT_PASSIVE_EVENTS);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Uploader extends YEH {
+    constructor(options) {
+        super({ '#upload': [{ type: 'click', handler: 'upload', concurrency: 'queue' }] }, {}, { busyAttribute: 'aria-busy', ...options });
+        this.runs = 0;
+    }
+
+    upload() {
+        this.runs++;
+        return Promise.reject(new Error(`run ${this.runs}`));
+    }
+}
+
+for (const hook of ['onError', 'onHandlerError']) {
+    test(`a throwing ${hook} hook still clears the pending state and keeps the queue going`, async (t) => {
+        const logged = t.mock.method(console, 'error', () => {});
+        const seen = [];
+        const fixture = mount('<button id="upload">Upload</button>', Uploader, {
+            args: [{
+                [hook](error) {
+                    seen.push(error.message);
+                    throw new Error('hook failed');
+                }
+            }]
+        });
+        try {
+            const uploader = fixture.instance;
+            fixture.simulate('#upload', 'click');
+            fixture.simulate('#upload', 'click');
+            assert.strictEqual(uploader.isPending('#upload', 'click'), true);
+
+            await fixture.settle();
+            assert.deepStrictEqual(seen, ['run 1', 'run 2']);
+            assert.strictEqual(uploader.isPending('#upload', 'click'), false);
+            assert.strictEqual(fixture.document.querySelector('#upload').hasAttribute('aria-busy'), false);
+            assert.strictEqual(logged.mock.callCount(), 2);
+            assert.match(logged.mock.calls[0].arguments[0], /threw/);
+        } finally {
+            fixture.unmount();
+        }
+    });
+}
+
+class Chain extends YEH {
+    constructor(options) {
+        super({
+            '#inner': [{ type: 'click', handler: 'fail' }],
+            '#outer': [{ type: 'click', handler: 'track' }]
+        }, {}, { dispatchMode: 'bubble', ...options });
+        this.log = [];
+    }
+
+    fail() {
+        this.log.push('fail');
+        throw new Error('inner failed');
+    }
+
+    track() {
+        this.log.push('track');
+    }
+}
+
+test('a throwing onHandlerError does not abandon the rest of the chain', (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const fixture = mount('<div id="outer"><button id="inner">Go</button></div>', Chain, {
+        args: [{
+            onHandlerError() {
+                throw new Error('hook failed');
+            }
+        }]
+    });
+    try {
+        fixture.simulate('#inner', 'click');
+        assert.deepStrictEqual(fixture.instance.log, ['fail', 'track']);
+        assert.strictEqual(logged.mock.callCount(), 1);
+        assert.match(logged.mock.calls[0].arguments[0], /onHandlerError threw while handling an error of 'fail'/);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('rethrowHandlerErrors still rethrows the handler error after a throwing hook', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const fixture = mount('<div id="outer"><button id="inner">Go</button></div>', Chain, {
+        args: [{
+            rethrowHandlerErrors: true,
+            onHandlerError() {
+                throw new Error('hook failed');
+            }
+        }]
+    });
+    try {
+        const uncaught = [];
+        fixture.window.addEventListener('error', event => uncaught.push(event.error.message));
+        fixture.simulate('#inner', 'click');
+        assert.deepStrictEqual(fixture.instance.log, ['fail', 'track']);
+        assert.deepStrictEqual(uncaught, ['inner failed']);
+    } finally {
+        fixture.unmount();
+    }
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+// Same-process stand-in for BroadcastChannel: delivers asynchronously to the other channels of a name
+class StubChannel {
+    constructor(name) {
+        this.name = name;
+        this.listeners = new Set();
+        this.closed = false;
+        if (!StubChannel.hubs.has(name)) StubChannel.hubs.set(name, new Set());
+        StubChannel.hubs.get(name).add(this);
+    }
+
+    postMessage(data) {
+        StubChannel.hubs.get(this.name).forEach(channel => {
+            if (channel !== this) queueMicrotask(() => channel.listeners.forEach(listener => listener({ data })));
+        });
+    }
+
+    addEventListener(type, listener) {
+        this.listeners.add(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners.delete(listener);
+    }
+
+    close() {
+        this.closed = true;
+        StubChannel.hubs.get(this.name).delete(this);
+    }
+}
+StubChannel.hubs = new Map();
+
+class Tab extends YEH {
+    constructor(id, relay = false) {
+        super({ [`#${id}`]: [{ type: 'cart:add', handler: 'add' }] });
+        this.log = [];
+        this.relay = relay;
+    }
+
+    add(event) {
+        this.log.push(event.detail.id);
+        // Re-emitting a bridged event passes it on to this tab's other bridges
+        if (this.relay) this.emit('cart:add', event.detail, '#sink');
+    }
+}
+
+const html = '<div id="a"></div><div id="b"></div><div id="c"></div><div id="sink"></div>';
+
+test('bridge() forwards matching emit() types and re-dispatches them at the receiving target', async () => {
+    const fixture = mount(html, Tab, { args: ['a'] });
+    const other = new Tab('b');
+    try {
+        const tab = fixture.instance;
+        tab.bridge(new StubChannel('forward'), { types: ['cart:*'] });
+        other.bridge(new StubChannel('forward'), { types: ['cart:*', 'user:login'], target: '#b' });
+
+        tab.emit('cart:add', { id: 1 }, '#a');
+        tab.emit('user:login', { id: 2 }, '#a');
+        await fixture.settle();
+
+        assert.deepStrictEqual(tab.log, [1]);
+        assert.deepStrictEqual(other.log, [1]);
+    } finally {
+        other.destroy();
+        fixture.unmount();
+    }
+});
+
+test('relayed events never travel back to a tab they already passed', async () => {
+    const fixture = mount(html, Tab, { args: ['a'] });
+    const relay = new Tab('b', true);
+    const last = new Tab('c', true);
+    try {
+        const tab = fixture.instance;
+        tab.bridge(new StubChannel('relay-1'), { types: ['cart:add'], target: '#a' });
+        relay.bridge(new StubChannel('relay-1'), { types: ['cart:add'], target: '#b' })
+            .bridge(new StubChannel('relay-2'), { types: ['cart:add'], target: '#b' });
+        last.bridge(new StubChannel('relay-2'), { types: ['cart:add'], target: '#c' });
+
+        tab.emit('cart:add', { id: 1 }, '#sink');
+        await fixture.settle();
+        assert.deepStrictEqual([tab.log, relay.log, last.log], [[], [1], [1]]);
+
+        // A message that already passed a tab is dropped there
+        new StubChannel('relay-1').postMessage({ yeh: 'bridge', type: 'cart:add', detail: { id: 2 }, path: [tab.bridgeId] });
+        await fixture.settle();
+        assert.deepStrictEqual([tab.log, relay.log], [[], [1, 2]]);
+    } finally {
+        relay.destroy();
+        last.destroy();
+        fixture.unmount();
+    }
+});
+
+test('unbridge() and destroy() stop forwarding and receiving, channels created from a name are closed', async () => {
+    const original = globalThis.BroadcastChannel;
+    globalThis.BroadcastChannel = StubChannel;
+    const fixture = mount(html, Tab, { args: ['a'] });
+    const other = new Tab('b');
+    try {
+        const tab = fixture.instance;
+        const shared = new StubChannel('teardown');
+        tab.bridge(shared, { types: ['cart:add'], target: '#a' });
+        other.bridge('teardown', { types: ['cart:add'], target: '#b' });
+        const [owned] = other.bridges.map(bridge => bridge.channel);
+
+        tab.unbridge(shared);
+        assert.strictEqual(shared.listeners.size, 0);
+        tab.emit('cart:add', { id: 1 }, '#sink');
+        other.emit('cart:add', { id: 2 }, '#sink');
+        await fixture.settle();
+        assert.deepStrictEqual([tab.log, other.log], [[], []]);
+
+        other.destroy();
+        assert.strictEqual(owned.closed, true);
+        assert.deepStrictEqual(other.bridges, []);
+    } finally {
+        other.destroy();
+        fixture.unmount();
+        globalThis.BroadcastChannel = original;
+    }
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Feed extends YEH {
+    constructor() {
+        super({ document: [{ type: 'refresh', handler: 'reload' }] });
+        this.log = [];
+    }
+
+    reload() {
+        this.log.push('reload');
+    }
+
+    notify() {
+        this.log.push('notify');
+    }
+
+    audit() {
+        this.log.push('audit');
+    }
+}
+
+test('off(type, handler) without bus removes only what on() added for that handler', () => {
+    const fixture = mount('<main></main>', Feed);
+    try {
+        const feed = fixture.instance;
+        feed.on('refresh', 'audit', 'main').on('ping', 'notify');
+
+        feed.off('refresh', 'audit', 'main');
+        feed.off('refresh');
+        feed.off('ping', 'audit');
+        fixture.simulate('main', 'refresh');
+        fixture.simulate('main', 'ping');
+        assert.deepStrictEqual(feed.log, ['reload', 'notify']);
+        assert.strictEqual(feed.hasEvent('document', 'refresh'), true);
+
+        feed.off('ping', 'notify');
+        fixture.simulate('main', 'ping');
+        assert.deepStrictEqual(feed.log, ['reload', 'notify']);
+        assert.strictEqual(feed.hasEvent('document', 'ping'), false);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('publish() reports a throwing listener and keeps calling the others', () => {
+    const errors = [];
+    const bus = new YEH({}, {}, {
+        bus: true,
+        onHandlerError(error, context) {
+            errors.push([error.message, context.topic, context.pattern, context.handlerName]);
+        }
+    });
+
+    bus.on('user:*', function broken() { throw new Error('boom'); }, { priority: 10 })
+        .on('user:login', () => 'ok');
+
+    assert.deepStrictEqual(bus.publish('user:login', { id: 1 }), ['ok']);
+    assert.deepStrictEqual(errors, [['boom', 'user:login', 'user:*', 'broken']]);
+});
+
+test('publish() logs listener errors to the console without onHandlerError', (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const bus = new YEH({}, {}, { bus: true });
+    const calls = [];
+
+    bus.on('job', () => { throw new Error('first'); })
+        .on('job', () => calls.push('second'));
+
+    bus.publish('job');
+    assert.deepStrictEqual(calls, ['second']);
+    assert.strictEqual(logged.mock.callCount(), 1);
+});
+
+test('a throwing onHandlerError neither stops publish() nor escapes it', (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const bus = new YEH({}, {}, {
+        bus: true,
+        onHandlerError() {
+            throw new Error('hook');
+        }
+    });
+    const calls = [];
+
+    bus.on('job', function first() { throw new Error('first'); })
+        .on('job', () => calls.push('second'));
+
+    assert.doesNotThrow(() => bus.emit('job'));
+    assert.deepStrictEqual(calls, ['second']);
+    assert.strictEqual(logged.mock.callCount(), 1);
+    assert.match(logged.mock.calls[0].arguments[0], /onHandlerError threw.*'first'/);
+});
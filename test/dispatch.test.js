@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Layers extends YEH {
+    constructor(config, stopAt = null, mapping = null) {
+        super(mapping || {
+            '#outer': [{ type: 'click', handler: 'outer' }],
+            '#middle': [{ type: 'click', handler: 'middle' }],
+            '#inner': [{ type: 'click', handler: 'inner' }]
+        }, {}, config);
+        this.log = [];
+        this.stopAt = stopAt;
+    }
+
+    layer(name, context) {
+        this.log.push(name);
+        if (this.stopAt === name) return false;
+        if (this.stopAt === `${name}:stop`) context.stop();
+    }
+
+    outer(event, target, element, context) {
+        return this.layer('outer', context);
+    }
+
+    middle(event, target, element, context) {
+        return this.layer('middle', context);
+    }
+
+    inner(event, target, element, context) {
+        return this.layer('inner', context);
+    }
+}
+
+const html = '<div id="outer"><div id="middle"><div id="inner"><button id="btn">x</button></div></div></div>';
+
+test('closest mode runs only the closest container', () => {
+    const fixture = mount(html, Layers);
+    try {
+        fixture.simulate('#btn', 'click');
+        assert.deepStrictEqual(fixture.instance.log, ['inner']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('bubble mode runs nested containers closest first, capture mode outermost first', () => {
+    for (const [dispatchMode, order] of [['bubble', ['inner', 'middle', 'outer']], ['capture', ['outer', 'middle', 'inner']]]) {
+        const fixture = mount(html, Layers, { args: [{ dispatchMode }] });
+        try {
+            fixture.simulate('#btn', 'click');
+            assert.deepStrictEqual(fixture.instance.log, order, dispatchMode);
+        } finally {
+            fixture.unmount();
+        }
+    }
+});
+
+test('returning false or calling context.stop() ends the chain', () => {
+    const cases = [
+        ['bubble', 'middle', ['inner', 'middle']],
+        ['bubble', 'inner:stop', ['inner']],
+        ['capture', 'outer', ['outer']],
+        ['capture', 'middle:stop', ['outer', 'middle']]
+    ];
+    for (const [dispatchMode, stopAt, order] of cases) {
+        const fixture = mount(html, Layers, { args: [{ dispatchMode }, stopAt] });
+        try {
+            fixture.simulate('#btn', 'click');
+            assert.deepStrictEqual(fixture.instance.log, order, `${dispatchMode} ${stopAt}`);
+        } finally {
+            fixture.unmount();
+        }
+    }
+});
+
+test('the chain stops propagation unless every handler that ran has stop: false', () => {
+    const mappings = {
+        stopping: { '#inner': [{ type: 'click', handler: 'inner', stop: false }], '#outer': [{ type: 'click', handler: 'outer' }] },
+        propagating: { '#inner': [{ type: 'click', handler: 'inner', stop: false }], '#outer': [{ type: 'click', handler: 'outer', stop: false }] }
+    };
+    for (const [name, mapping] of Object.entries(mappings)) {
+        const fixture = mount(html, Layers, { args: [{ dispatchMode: 'bubble' }, null, mapping] });
+        const page = [];
+        const listener = () => page.push('page');
+        fixture.document.addEventListener('click', listener);
+        try {
+            fixture.simulate('#btn', 'click');
+            assert.deepStrictEqual(fixture.instance.log, ['inner', 'outer'], name);
+            assert.deepStrictEqual(page, name === 'propagating' ? ['page'] : [], name);
+        } finally {
+            fixture.document.removeEventListener('click', listener);
+            fixture.unmount();
+        }
+    }
+});
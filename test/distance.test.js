@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+const mapping = {
+    '#list': [{ type: 'click', handler: 'select' }],
+    'body': [{ type: 'click', handler: 'select' }]
+};
+
+class List extends YEH {
+    constructor(options, eventMapping = mapping) {
+        super(eventMapping, {}, options);
+    }
+
+    select() {}
+}
+
+test('the distance cache is on by default and observes the DOM to stay valid', () => {
+    for (const [options, enabled] of [[{}, true], [{ live: true }, true], [{ enableDistanceCache: false }, false], [{ live: true, enableDistanceCache: false }, false]]) {
+        const fixture = mount('<ul id="list"><li>One</li></ul>', List, { args: [options] });
+        try {
+            assert.strictEqual(fixture.instance.enableDistanceCache, enabled);
+            assert.strictEqual(fixture.instance.domObserver !== null, enabled || Boolean(options.live));
+        } finally {
+            fixture.unmount();
+        }
+    }
+});
+
+test('distanceCache is keyed by element identity and reset by DOM changes', () => {
+    const fixture = mount('<ul id="list"><li>One</li></ul><ul class="copy"><li>One</li></ul>', List);
+    try {
+        const handler = fixture.instance;
+        fixture.simulate('#list li', 'click');
+        fixture.simulate('#list li', 'click');
+        assert.ok(handler.distanceCache instanceof WeakMap);
+        assert.strictEqual(handler.distanceCacheStats.hits > 0, true);
+
+        // A same-shaped element elsewhere gets its own entries
+        const { misses } = handler.distanceCacheStats;
+        fixture.simulate('.copy li', 'click');
+        assert.strictEqual(handler.distanceCacheStats.misses > misses, true);
+
+        const { invalidations } = handler.distanceCacheStats;
+        fixture.document.querySelector('#list').appendChild(fixture.document.createElement('li'));
+        fixture.simulate('#list li', 'click');
+        assert.strictEqual(handler.distanceCacheStats.invalidations, invalidations + 1);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('without a DOM observer distances are not cached', () => {
+    const fixture = mount('<ul id="list"><li>One</li></ul>', List);
+    try {
+        const handler = fixture.instance;
+        handler.domObserver.disconnect();
+        handler.domObserver = null;
+        fixture.simulate('li', 'click');
+        fixture.simulate('li', 'click');
+        assert.deepStrictEqual([handler.distanceCacheStats.hits, handler.distanceCacheStats.size], [0, 0]);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('mutations inside a per-entry shadow root reset the cache', () => {
+    const fixture = mount('<div id="host"></div>', YEH);
+    try {
+        const shadow = fixture.document.querySelector('#host').attachShadow({ mode: 'open' });
+        shadow.innerHTML = '<ul id="items"><li>One</li></ul>';
+        const widget = new List({ enableDistanceCache: true }, {
+            items: { element: '#items', events: [{ type: 'click', handler: 'select' }], root: shadow }
+        });
+        shadow.querySelector('li').click();
+
+        const { size, invalidations } = widget.distanceCacheStats;
+        assert.strictEqual(size, 1);
+        shadow.querySelector('#items').appendChild(fixture.document.createElement('li'));
+        widget.flushMutations();
+        assert.strictEqual(widget.distanceCacheStats.invalidations, invalidations + 1);
+        widget.destroy();
+    } finally {
+        fixture.unmount();
+    }
+});
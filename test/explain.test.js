@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Panel extends YEH {
+    constructor(mapping, options) {
+        super(mapping, {}, options);
+        this.log = [];
+        this.checks = 0;
+    }
+
+    allowed() {
+        this.checks++;
+        return true;
+    }
+
+    save() {
+        this.log.push('save');
+    }
+
+    close() {
+        this.log.push('close');
+    }
+}
+
+const html = `
+    <div id="outer">
+        <div id="inner">
+            <button id="button" data-action="close">Go</button>
+        </div>
+    </div>`;
+
+test('explain() never runs when() guards, debug dispatch runs them once', t => {
+    const mapping = {
+        '#inner': [{ type: 'click', handler: 'save', when: 'allowed' }],
+        '#outer': [{ type: 'click', handler: 'close' }]
+    };
+    const fixture = mount(html, Panel, { args: [mapping, { debug: true }] });
+    t.mock.method(console, 'debug', () => {});
+    try {
+        const explanation = fixture.instance.explain(fixture.document.querySelector('#button'), 'click');
+        assert.strictEqual(fixture.instance.checks, 0);
+        assert.strictEqual(explanation.winner.handler, 'save');
+        assert.strictEqual(explanation.winner.conditional, true);
+        // The unconditional outer container is next in line if the guard fails
+        assert.deepStrictEqual(explanation.chain.map(candidate => candidate.handler), ['save', 'close']);
+
+        fixture.simulate('#button', 'click');
+        assert.strictEqual(fixture.instance.checks, 1);
+        assert.deepStrictEqual(fixture.instance.log, ['save']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('explain() reports the entry dispatch would use when configs share container and handler', () => {
+    const mapping = {
+        '#inner': [
+            { type: 'click', handler: 'save', once: true, router: false },
+            { type: 'click', handler: 'save' }
+        ]
+    };
+    const fixture = mount(html, Panel, { args: [mapping, { actionRouter: true, dispatchMode: 'bubble' }] });
+    try {
+        fixture.simulate('#button', 'click');
+        const explanation = fixture.instance.explain(fixture.document.querySelector('#button'), 'click');
+        assert.deepStrictEqual(explanation.candidates.map(candidate => candidate.status), ['guarded', 'fires']);
+        assert.strictEqual(explanation.winner, explanation.candidates[1]);
+        assert.strictEqual(explanation.winner.action, 'close');
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('explain() lists throttled configs apart from the closest-match chain', () => {
+    const mapping = {
+        '#inner': [{ type: 'click', handler: 'save', throttle: 100 }],
+        '#outer': [{ type: 'click', handler: 'close' }]
+    };
+    const fixture = mount(html, Panel, { args: [mapping] });
+    try {
+        const explanation = fixture.instance.explain(fixture.document.querySelector('#button'), 'click');
+        assert.deepStrictEqual(explanation.timed.map(candidate => [candidate.handler, candidate.status]), [['save', 'fires']]);
+        assert.deepStrictEqual(explanation.chain.map(candidate => [candidate.handler, candidate.status]), [['close', 'fires']]);
+        assert.strictEqual(explanation.winner.handler, 'close');
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('explain() shadows router containers after the first routed action', () => {
+    const mapping = {
+        '#inner': [{ type: 'click' }],
+        '#outer': [{ type: 'click', stop: false }]
+    };
+    const fixture = mount(html, Panel, { args: [mapping, { actionRouter: true, dispatchMode: 'bubble' }] });
+    try {
+        const explanation = fixture.instance.explain(fixture.document.querySelector('#button'), 'click');
+        assert.deepStrictEqual(explanation.chain.map(candidate => candidate.status), ['fires', 'shadowed']);
+        assert.strictEqual(explanation.chain[0].action, 'close');
+    } finally {
+        fixture.unmount();
+    }
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class App extends YEH {
+    constructor() {
+        super({
+            document: [
+                { type: 'input', handler: 'trackInput' },
+                { type: 'submit', handler: 'trackSubmit' },
+                { type: 'form:submit', handler: 'signup' }
+            ]
+        });
+        this.log = [];
+    }
+
+    trackInput(event, target) {
+        this.log.push(`input:${target.name}`);
+    }
+
+    trackSubmit() {
+        this.log.push('submit');
+    }
+
+    signup(event) {
+        this.log.push(`signup:${event.detail.values.user.email}`);
+    }
+}
+
+const html = `
+    <form id="signup">
+        <input name="user[email]" data-validate="required|email">
+        <span data-error-for="user[email]" hidden></span>
+        <input name="code" data-validate="required|pattern:(abc|xyz)-[0-9]+">
+    </form>`;
+
+test('a form binding next to an outer listener keeps both timings', async () => {
+    const fixture = mount(html, App, { fakeTimers: true });
+    try {
+        const app = fixture.instance;
+        app.bindForm('#signup', { debounce: 300 });
+        const email = fixture.document.querySelector('[name="user[email]"]');
+
+        fixture.simulate(email, 'input', { value: 'nope' });
+        assert.deepStrictEqual(app.log, ['input:user[email]']);
+        fixture.expectNotHandled('#signup', 'input');
+
+        fixture.tick(300);
+        fixture.expectHandled('#signup', 'input', 'handleFormField');
+        await fixture.settle();
+        assert.strictEqual(email.getAttribute('aria-invalid'), 'true');
+        assert.strictEqual(fixture.document.querySelector('[data-error-for]').hidden, false);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('submit runs the binding and outer submit listeners, form:submit after validation', async () => {
+    const fixture = mount(html, App);
+    try {
+        const app = fixture.instance;
+        app.bindForm('#signup');
+        fixture.document.querySelector('[name="user[email]"]').value = 'a@b.io';
+        fixture.document.querySelector('[name="code"]').value = 'xyz-42';
+
+        const event = fixture.simulate('#signup', 'submit');
+        assert.strictEqual(event.defaultPrevented, true);
+        assert.deepStrictEqual(app.log, ['submit']);
+
+        await fixture.settle();
+        assert.deepStrictEqual(app.log, ['submit', 'signup:a@b.io']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('pattern: rules may contain alternation', async () => {
+    const fixture = mount(html, App);
+    try {
+        const app = fixture.instance;
+        app.bindForm('#signup', { validators: { 'user[email]': 'pattern:[a-z]+@(example|test)\\.org' } });
+        const form = fixture.document.querySelector('#signup');
+        const email = form.querySelector('[name="user[email]"]');
+        const code = form.querySelector('[name="code"]');
+
+        email.value = 'me@test.org';
+        code.value = 'abc-1';
+        assert.deepStrictEqual((await app.validateForm(form)).errors, {});
+
+        email.value = 'me@other.org';
+        code.value = 'abd-1';
+        const { errors } = await app.validateForm(form);
+        assert.deepStrictEqual(Object.keys(errors).sort(), ['code', 'user[email]']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('serializeForm() builds nested values and lists', () => {
+    const fixture = mount(`
+        <form id="f">
+            <input name="user[name]" value="Ada">
+            <input type="checkbox" name="topics" value="news" checked>
+            <input type="checkbox" name="topics" value="releases" checked>
+            <input name="disabled" value="x" disabled>
+        </form>`, App);
+    try {
+        const values = YEH.serializeForm(fixture.document.querySelector('#f'));
+        assert.deepStrictEqual(values, { user: { name: 'Ada' }, topics: ['news', 'releases'] });
+    } finally {
+        fixture.unmount();
+    }
+});
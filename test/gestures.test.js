@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Gallery extends YEH {
+    constructor(options) {
+        super({ '#gallery': ['click', { type: 'swipeleft', handler: 'next' }] }, {}, { gestures: true, ...options });
+    }
+
+    handleClick() {}
+
+    next() {}
+
+    zoom() {}
+}
+
+const countPointerListeners = (document, t) => {
+    const added = t.mock.method(document, 'addEventListener');
+    const removed = t.mock.method(document, 'removeEventListener');
+    const pointer = mock => mock.calls.filter(call => call.arguments[0] === 'pointerdown').length;
+    return () => ({ added: pointer(added.mock), removed: pointer(removed.mock) });
+};
+
+test('the gesture recognizer detaches with the last gesture config', (t) => {
+    const fixture = mount('<div id="gallery"></div>', Gallery);
+    try {
+        const gallery = fixture.instance;
+        const counts = countPointerListeners(fixture.document, t);
+        assert.ok(gallery.gestureListener);
+
+        gallery.addEvent('#gallery', { type: 'doubletap', handler: 'zoom' });
+        gallery.removeEvent('#gallery', 'swipeleft');
+        assert.ok(gallery.gestureListener);
+
+        gallery.removeEvent('#gallery', 'doubletap');
+        assert.strictEqual(gallery.gestureListener, null);
+        assert.deepStrictEqual(counts(), { added: 0, removed: 1 });
+
+        gallery.addEvent('#gallery', { type: 'doubletap', handler: 'zoom' });
+        assert.ok(gallery.gestureListener);
+        assert.deepStrictEqual(counts(), { added: 1, removed: 1 });
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('gesture configs added after abort() reattach the recognizer', (t) => {
+    const fixture = mount('<div id="gallery"></div>', Gallery, { args: [{ abortController: true }] });
+    try {
+        const gallery = fixture.instance;
+        gallery.abort();
+        assert.strictEqual(gallery.gestureListener, null);
+
+        const counts = countPointerListeners(fixture.document, t);
+        gallery.addEvent('#gallery', { type: 'doubletap', handler: 'zoom' });
+        assert.ok(gallery.gestureListener);
+        assert.deepStrictEqual(counts(), { added: 1, removed: 0 });
+    } finally {
+        fixture.unmount();
+    }
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Inbox extends YEH {
+    constructor(options) {
+        super({ '.item': [{ type: 'click', handler: 'open' }] }, {}, { live: true, ...options });
+        this.opened = [];
+    }
+
+    open(event, target) {
+        this.opened.push(target.id);
+    }
+}
+
+test('listeners added by live registration and addEvent() share one key scheme', async () => {
+    const fixture = mount('<ul id="list"><li class="item" id="a"></li><li class="item" id="b"></li></ul>', Inbox);
+    try {
+        const inbox = fixture.instance;
+        const list = fixture.document.querySelector('#list');
+
+        // Free the first key, then let the observer register a new element
+        list.querySelector('#a').remove();
+        const c = fixture.document.createElement('li');
+        c.className = 'item';
+        c.id = 'c';
+        list.appendChild(c);
+        await fixture.settle();
+        assert.deepStrictEqual(Array.from(inbox.eventListeners.keys()), ['.item_click_1', '.item_click_2']);
+
+        assert.strictEqual(inbox.removeEvent('.item', 'click'), true);
+        assert.strictEqual(inbox.eventListeners.size, 0);
+        fixture.simulate('#b', 'click');
+        fixture.simulate('#c', 'click');
+        assert.deepStrictEqual(inbox.opened, []);
+
+        inbox.addEvent('.item', { type: 'click', handler: 'open' });
+        const d = fixture.document.createElement('li');
+        d.className = 'item';
+        d.id = 'd';
+        list.appendChild(d);
+        await fixture.settle();
+
+        ['#b', '#c', '#d'].forEach(selector => fixture.simulate(selector, 'click'));
+        assert.deepStrictEqual(inbox.opened, ['b', 'c', 'd']);
+        assert.strictEqual(new Set(Array.from(inbox.eventListeners.values(), entry => entry.element)).size, 3);
+    } finally {
+        fixture.unmount();
+    }
+});
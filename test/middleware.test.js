@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Toolbar extends YEH {
+    constructor(options) {
+        super({
+            '#toolbar': [{ type: 'click', handler: 'press' }, { type: 'focusin', handler: 'focus' }],
+            '#danger': [{ type: 'click', handler: 'wipe' }]
+        }, {}, options);
+        this.log = [];
+    }
+
+    press() {
+        this.log.push('press');
+    }
+
+    focus() {
+        this.log.push('focus');
+    }
+
+    wipe() {
+        this.log.push('wipe');
+    }
+}
+
+const html = '<div id="toolbar"><button id="save">Save</button><button id="danger">Wipe</button></div>';
+
+test('middleware wraps the handler in registration order', () => {
+    const fixture = mount(html, Toolbar);
+    try {
+        const app = fixture.instance;
+        app.use((context, next) => {
+            app.log.push('outer:before');
+            const result = next();
+            app.log.push('outer:after');
+            return result;
+        }).use((context, next) => {
+            app.log.push(`inner:${context.resolvedName}`);
+            return next();
+        });
+
+        fixture.simulate('#save', 'click');
+        assert.deepStrictEqual(app.log, ['outer:before', 'inner:press', 'press', 'outer:after']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('middleware scoped by type and selector only sees matching dispatches, unuse() removes it', () => {
+    const fixture = mount(html, Toolbar);
+    try {
+        const app = fixture.instance;
+        const seen = [];
+        const spy = (context, next) => {
+            seen.push(`${context.selector} ${context.event.type}`);
+            return next();
+        };
+        app.use(spy, { type: 'click', selector: ['#danger'] });
+
+        fixture.simulate('#save', 'click');
+        fixture.simulate('#save', 'focusin');
+        fixture.simulate('#danger', 'click');
+        assert.deepStrictEqual(seen, ['#danger click']);
+
+        app.unuse(spy);
+        fixture.simulate('#danger', 'click');
+        assert.deepStrictEqual(seen, ['#danger click']);
+        assert.deepStrictEqual(app.log, ['press', 'focus', 'wipe', 'wipe']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('middleware that skips next() leaves the event unhandled', () => {
+    const fixture = mount(html, Toolbar);
+    const outside = [];
+    const listener = () => outside.push('document');
+    fixture.document.addEventListener('click', listener);
+    try {
+        const app = fixture.instance;
+        app.use(() => null, { type: 'click' });
+
+        app.startRecording();
+        fixture.simulate('#danger', 'click');
+        const recording = app.stopRecording();
+
+        // Nothing ran: the event reaches the page and nothing is recorded
+        assert.deepStrictEqual(app.log, []);
+        assert.deepStrictEqual(outside, ['document']);
+        assert.deepStrictEqual(recording.events, []);
+    } finally {
+        fixture.document.removeEventListener('click', listener);
+        fixture.unmount();
+    }
+});
+
+test('calling next() twice is reported as a handler error', () => {
+    const errors = [];
+    const fixture = mount(html, Toolbar, { args: [{ onHandlerError: error => errors.push(error.message) }] });
+    try {
+        const app = fixture.instance;
+        app.use((context, next) => {
+            next();
+            return next();
+        });
+
+        fixture.simulate('#save', 'click');
+        assert.deepStrictEqual(app.log, ['press']);
+        assert.deepStrictEqual(errors, ['YEH: next() called multiple times in middleware']);
+    } finally {
+        fixture.unmount();
+    }
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Panel extends YEH {
+    constructor(mapping, config) {
+        super(mapping, {}, config);
+        this.log = [];
+        this.checked = [];
+    }
+
+    inner() {
+        this.log.push('inner');
+    }
+
+    outer() {
+        this.log.push('outer');
+    }
+
+    page() {
+        this.log.push('page');
+    }
+}
+
+const html = '<div id="outer"><div id="inner"><button id="btn">x</button></div></div>';
+
+test('when() only runs for the candidate next in line', () => {
+    let fixture;
+    const guard = name => (event, target, container) => {
+        fixture.instance.checked.push(name);
+        return container.id !== 'inner' || !target.disabled;
+    };
+
+    fixture = mount(html, Panel, {
+        args: [{
+            '#inner': [{ type: 'click', handler: 'inner', when: guard('inner') }],
+            '#outer': [{ type: 'click', handler: 'outer', when: guard('outer') }]
+        }]
+    });
+    try {
+        fixture.simulate('#btn', 'click');
+        assert.deepStrictEqual(fixture.instance.log, ['inner']);
+        assert.deepStrictEqual(fixture.instance.checked, ['inner']);
+
+        // A failing guard hands the event to the next closest container
+        fixture.document.querySelector('#btn').disabled = true;
+        fixture.instance.log = [];
+        fixture.instance.checked = [];
+        fixture.simulate('#btn', 'click');
+        assert.deepStrictEqual(fixture.instance.log, ['outer']);
+        assert.deepStrictEqual(fixture.instance.checked, ['inner', 'outer']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('when() in bubble mode is checked per handler as the chain runs', () => {
+    const checked = [];
+    const fixture = mount(html, Panel, {
+        args: [{
+            '#inner': [{ type: 'click', handler: 'inner', when: () => checked.push('inner') && false }],
+            '#outer': [{ type: 'click', handler: 'outer', when: () => checked.push('outer') > 0 }]
+        }, { dispatchMode: 'bubble' }]
+    });
+    try {
+        fixture.simulate('#btn', 'click');
+        assert.deepStrictEqual(checked, ['inner', 'outer']);
+        assert.deepStrictEqual(fixture.instance.log, ['outer']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('a selected handler is claimed even when it does not run', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    const fixture = mount(html, Panel, {
+        args: [{
+            '#inner': [{ type: 'click', handler: 'missing' }],
+            document: [{ type: 'click', handler: 'page' }]
+        }]
+    });
+    try {
+        fixture.simulate('#btn', 'click');
+        assert.deepStrictEqual(fixture.instance.log, ['page']);
+    } finally {
+        fixture.unmount();
+        console.warn = warn;
+    }
+});
+
+test('stop: false lets the event reach outer containers of the same instance once each', () => {
+    const fixture = mount(html, Panel, {
+        args: [{
+            '#inner': [{ type: 'click', handler: 'inner', stop: false }],
+            '#outer': [{ type: 'click', handler: 'outer', stop: false }],
+            document: [{ type: 'click', handler: 'page' }]
+        }]
+    });
+    try {
+        fixture.simulate('#btn', 'click');
+        assert.deepStrictEqual(fixture.instance.log, ['inner', 'outer', 'page']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('once, self and prevent modifiers', () => {
+    const fixture = mount(html, Panel, {
+        args: [{
+            '#inner': [{ type: 'click', handler: 'inner', once: true, prevent: true }],
+            '#outer': [{ type: 'click', handler: 'outer', self: true }]
+        }]
+    });
+    try {
+        const event = fixture.simulate('#btn', 'click');
+        assert.strictEqual(event.defaultPrevented, true);
+        fixture.simulate('#btn', 'click');
+        assert.deepStrictEqual(fixture.instance.log, ['inner']);
+
+        fixture.simulate('#outer', 'click');
+        assert.deepStrictEqual(fixture.instance.log, ['inner', 'outer']);
+    } finally {
+        fixture.unmount();
+    }
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Form extends YEH {
+    constructor(mapping) {
+        super(mapping || {
+            '#form': [
+                { type: 'input', handler: 'typed' },
+                { type: 'keydown', handler: 'pressed' },
+                { type: 'click', matches: '.save', handler: 'save' }
+            ]
+        });
+        this.log = [];
+    }
+
+    typed(event, target) {
+        this.log.push(`typed:${target.value}`);
+    }
+
+    pressed(event) {
+        this.log.push(`pressed:${event.key}`);
+    }
+
+    save(event) {
+        this.log.push(`save:${event.clientX}`);
+    }
+
+    other() {
+        this.log.push('other');
+    }
+}
+
+const html = '<form id="form"><input id="name"><button type="button" class="save" id="save">Save</button></form>';
+
+function recordSession(fixture) {
+    fixture.instance.startRecording();
+    fixture.simulate('#name', 'input', { value: 'Ada' });
+    fixture.tick(100);
+    fixture.simulate('#name', 'keydown', { key: 'Enter' });
+    fixture.tick(50);
+    fixture.simulate('#save', 'click', { clientX: 12 });
+    return fixture.instance.stopRecording();
+}
+
+test('a JSON recording replays in a fresh fixture with the same handlers and event data', () => {
+    const recorder = mount(html, Form, { fakeTimers: true });
+    let trace;
+    try {
+        trace = JSON.stringify(recordSession(recorder));
+        assert.deepStrictEqual(recorder.instance.log, ['typed:Ada', 'pressed:Enter', 'save:12']);
+    } finally {
+        recorder.unmount();
+    }
+
+    const fixture = mount(html, Form);
+    try {
+        const player = fixture.instance.replay(trace, { step: true });
+        assert.strictEqual(player.total, 3);
+        while (player.step());
+
+        assert.deepStrictEqual(fixture.instance.log, ['typed:Ada', 'pressed:Enter', 'save:12']);
+        assert.deepStrictEqual(player.results.map(result => [result.type, result.handlers, result.matched]), [
+            ['input', ['typed'], true],
+            ['keydown', ['pressed'], true],
+            ['click', ['save'], true]
+        ]);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('replay() reports the handlers that ran against the recorded ones', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const trace = {
+        version: 1,
+        events: [
+            { time: 0, type: 'click', eventClass: 'MouseEvent', target: '#save', handlers: ['save'], init: { bubbles: true } },
+            { time: 10, type: 'click', eventClass: 'MouseEvent', target: '#gone', handlers: ['save'], init: { bubbles: true } }
+        ]
+    };
+    const fixture = mount(html, Form, { args: [{ '#form': [{ type: 'click', handler: 'other' }] }] });
+    try {
+        const player = fixture.instance.replay(trace, { step: true });
+        player.step();
+        player.step();
+
+        assert.deepStrictEqual(player.results[0], {
+            type: 'click', target: '#save', dispatched: true, expected: ['save'], handlers: ['other'], matched: false
+        });
+        assert.strictEqual(player.results[1].dispatched, false);
+        assert.strictEqual(warn.mock.callCount(), 1);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('play() keeps the recorded timing scaled by speed', async () => {
+    const fixture = mount(html, Form, { fakeTimers: true });
+    try {
+        const trace = recordSession(fixture);
+        fixture.instance.log = [];
+
+        const player = fixture.instance.replay(trace, { speed: 2 });
+        assert.deepStrictEqual(fixture.instance.log, ['typed:Ada']);
+        fixture.tick(49);
+        assert.strictEqual(player.position, 1);
+        fixture.tick(26);
+        assert.deepStrictEqual(fixture.instance.log, ['typed:Ada', 'pressed:Enter', 'save:12']);
+
+        const results = await player.finished;
+        assert.ok(results.every(result => result.matched));
+    } finally {
+        fixture.unmount();
+    }
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Shop extends YEH {
+    constructor(config) {
+        super({
+            '#cart': [
+                { type: 'cart:total', handler: 'total' },
+                { type: 'cart:tax', handler: 'tax' },
+                { type: 'cart:sync', handler: 'sync' },
+                { type: 'cart:broken', handler: 'broken' }
+            ]
+        }, {}, config);
+        this.pending = null;
+    }
+
+    total(event) {
+        return event.detail.items.reduce((sum, price) => sum + price, 0);
+    }
+
+    tax(event) {
+        return Promise.resolve(event.detail * 0.2);
+    }
+
+    sync() {
+        return new Promise(resolve => { this.pending = resolve; });
+    }
+
+    broken() {
+        throw new Error('no cart');
+    }
+}
+
+const html = '<div id="cart"><span id="line"></span></div>';
+
+test('request() resolves with the return value of the DOM handler', async () => {
+    const fixture = mount(html, Shop, { args: [{ onHandlerError: () => {} }] });
+    try {
+        const app = fixture.instance;
+        assert.strictEqual(await app.request('cart:total', { items: [2, 3] }, { target: '#line' }), 5);
+        assert.strictEqual(await app.request('cart:tax', 10, { target: '#line' }), 2);
+        await assert.rejects(app.request('cart:broken', null, { target: '#line' }), /no cart/);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('request() takes the first bus response by priority', async () => {
+    const bus = new YEH({}, {}, { bus: true });
+    bus.on('price', amount => amount * 2)
+        .on('price', amount => amount * 3, { priority: 5 })
+        .on('price', () => assert.fail('only the first response is used'));
+
+    assert.strictEqual(await bus.request('price', 2), 6);
+});
+
+test('request() rejects on timeout, when nothing responds and for a missing target', async () => {
+    const fixture = mount(html, Shop, { fakeTimers: true });
+    try {
+        const app = fixture.instance;
+        const late = app.request('cart:sync', null, { target: '#line', timeout: 100 });
+        fixture.tick(100);
+        await assert.rejects(late, /Request "cart:sync" timed out after 100ms/);
+
+        // Settling in time clears the timer
+        const quick = app.request('cart:sync', null, { target: '#line', timeout: 100 });
+        app.pending('done');
+        assert.strictEqual(await quick, 'done');
+
+        await assert.rejects(app.request('cart:total', { items: [] }), /No responder for request "cart:total"/);
+        await assert.rejects(app.request('cart:total', { items: [] }, { target: '#missing' }), /Request target "#missing" not found/);
+    } finally {
+        fixture.unmount();
+    }
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Widget extends YEH {
+    constructor(shadow, options) {
+        super({ widget: { element: '.tab', events: [{ type: 'click', handler: 'select' }], root: shadow } }, {}, options);
+        this.log = [];
+    }
+
+    select(event, target) {
+        this.log.push(`select:${target.id}`);
+    }
+
+    close(event, target) {
+        this.log.push(`close:${target.id}`);
+    }
+}
+
+const setup = (fixture, options) => {
+    const shadow = fixture.document.querySelector('#host').attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<div class="tab" id="first"></div>';
+    return { shadow, widget: new Widget(shadow, options) };
+};
+
+const html = '<div id="host"></div><div class="tab" id="outside"></div>';
+
+test('addEvent()/removeEvent()/hasEvent() work on object entries and use their root', () => {
+    const fixture = mount(html, YEH);
+    const { shadow, widget } = setup(fixture);
+    try {
+        assert.strictEqual(widget.addEvent('widget', { type: 'dblclick', handler: 'close' }), true);
+        assert.strictEqual(widget.addEvent('widget', { type: 'dblclick', handler: 'close' }), false);
+        assert.strictEqual(widget.hasEvent('widget', 'dblclick'), true);
+
+        fixture.simulate(shadow.querySelector('#first'), 'dblclick');
+        fixture.simulate('#outside', 'dblclick');
+        assert.deepStrictEqual(widget.log, ['close:first']);
+
+        assert.strictEqual(widget.removeEvent('widget', 'click'), true);
+        assert.strictEqual(widget.eventMapping.widget.root, shadow);
+        fixture.simulate(shadow.querySelector('#first'), 'click');
+        fixture.simulate(shadow.querySelector('#first'), 'dblclick');
+        assert.deepStrictEqual(widget.log, ['close:first', 'close:first']);
+    } finally {
+        widget.destroy();
+        fixture.unmount();
+    }
+});
+
+test('live registration covers per-entry roots and only nodes inside them', async () => {
+    const fixture = mount(html, YEH);
+    const { shadow, widget } = setup(fixture, { live: true });
+    try {
+        const inside = fixture.document.createElement('div');
+        inside.className = 'tab';
+        inside.id = 'second';
+        shadow.appendChild(inside);
+
+        const outside = fixture.document.createElement('div');
+        outside.className = 'tab';
+        outside.id = 'other';
+        fixture.document.body.appendChild(outside);
+        await fixture.settle();
+
+        fixture.simulate(inside, 'click');
+        fixture.simulate(outside, 'click');
+        assert.deepStrictEqual(widget.log, ['select:second']);
+    } finally {
+        widget.destroy();
+        fixture.unmount();
+    }
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Board extends YEH {
+    constructor(options, stop = true) {
+        super({
+            '#board': [{ type: 'click', stop }],
+            '.card': [{ type: 'click', stop }],
+            '#log': [{ type: 'click', handler: 'track', router: false }]
+        }, {}, { actionRouter: true, dispatchMode: 'bubble', ...options });
+        this.log = [];
+    }
+
+    open(event, target, container, { params }) {
+        this.log.push(['open', container.id, params]);
+    }
+
+    track() {
+        this.log.push(['track']);
+    }
+}
+
+const html = `
+    <div id="log">
+        <div id="board">
+            <div class="card" id="card">
+                <button data-action="open" data-id="007" data-rank="10" data-big="12345678901234567890" data-hex="0x10" data-ratio="1.5" data-pinned="true">Open</button>
+            </div>
+        </div>
+    </div>`;
+
+test('nested router containers run an action once, other handlers in the chain still run', () => {
+    for (const stop of [true, false]) {
+        const fixture = mount(html, Board, { args: [{}, stop] });
+        try {
+            fixture.simulate('button', 'click');
+            const log = fixture.instance.log;
+            assert.deepStrictEqual(log.map(entry => entry.slice(0, 2)), [['open', 'card'], ['track']]);
+        } finally {
+            fixture.unmount();
+        }
+    }
+});
+
+test('route params convert numbers only when they round-trip exactly', () => {
+    const fixture = mount(html, Board);
+    try {
+        fixture.simulate('button', 'click');
+        assert.deepStrictEqual(fixture.instance.log[0][2], {
+            id: '007',
+            rank: 10,
+            big: '12345678901234567890',
+            hex: '0x10',
+            ratio: 1.5,
+            pinned: true
+        });
+        assert.strictEqual(YEH.parseAttributeValue(' 5'), ' 5');
+        assert.strictEqual(YEH.parseAttributeValue('-2'), -2);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('a missing action warns once per action', (t) => {
+    const warned = t.mock.method(console, 'warn', () => {});
+    const fixture = mount('<div id="board"><button data-action="archive">Archive</button></div>', Board);
+    try {
+        fixture.simulate('button', 'click');
+        fixture.simulate('button', 'click');
+        assert.strictEqual(warned.mock.callCount(), 1);
+    } finally {
+        fixture.unmount();
+    }
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+const refreshed = [];
+
+class App extends YEH {
+    constructor() {
+        super({ '#nav': ['click'] });
+        this.constructed = true;
+    }
+
+    handleClick() {}
+
+    refresh(event, target) {
+        refreshed.push([this, target.id]);
+    }
+}
+
+const html = `
+    <nav id="nav"></nav>
+    <section id="settings"><button id="save">Save</button></section>
+    <section id="profile"><button id="edit">Edit</button></section>`;
+
+test('scope() children are instances of the subclass without re-running its constructor', () => {
+    const fixture = mount(html, App);
+    try {
+        const app = fixture.instance;
+        const settings = app.scope(fixture.document.querySelector('#settings'), { button: [{ type: 'click', handler: 'refresh' }] });
+
+        assert.ok(settings instanceof App);
+        assert.strictEqual(settings.constructed, undefined);
+        assert.strictEqual(settings.hasEvent('#nav', 'click'), false);
+
+        fixture.simulate('#save', 'click');
+        assert.deepStrictEqual(refreshed, [[settings, 'save']]);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('children share one root observer on their parent', async () => {
+    const fixture = mount(html, App);
+    try {
+        const app = fixture.instance;
+        const settings = app.scope(fixture.document.querySelector('#settings'), { button: ['click'] });
+        const profile = app.scope(fixture.document.querySelector('#profile'), { button: ['click'] });
+
+        assert.ok(app.scopeObserver);
+        assert.strictEqual(app.scopeRoots.size, 1);
+        assert.strictEqual(settings.scopeObserver, null);
+        assert.strictEqual(profile.scopeObserver, null);
+
+        fixture.document.querySelector('#settings').remove();
+        await fixture.settle();
+        assert.deepStrictEqual(Array.from(app.children), [profile]);
+        assert.strictEqual(settings.eventListeners.size, 0);
+        assert.strictEqual(profile.eventListeners.size, 1);
+    } finally {
+        fixture.unmount();
+    }
+});
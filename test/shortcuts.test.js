@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Keys extends YEH {
+    constructor(mapping, options) {
+        super(mapping, {}, options);
+        this.log = [];
+    }
+
+    ex() {
+        this.log.push('ex');
+    }
+
+    save() {
+        this.log.push('save');
+    }
+
+    top() {
+        this.log.push('top');
+    }
+}
+
+const html = '<div id="editor"><input id="field"></div><div id="other"></div>';
+
+test('single keys and modifiers must match exactly', () => {
+    const mapping = {
+        document: [
+            { type: 'keydown', keys: 'x', handler: 'ex' },
+            { type: 'keydown', keys: 'ctrl+s', handler: 'save' }
+        ]
+    };
+    const fixture = mount(html, Keys, { args: [mapping] });
+    try {
+        fixture.simulate('#field', 'keydown', { key: 'x' });
+        fixture.simulate('#field', 'keydown', { key: 'x', ctrlKey: true });
+        fixture.simulate('#field', 'keydown', { key: 's' });
+        fixture.simulate('#field', 'keydown', { key: 'Control', ctrlKey: true });
+        fixture.simulate('#field', 'keydown', { key: 's', ctrlKey: true });
+        assert.deepStrictEqual(fixture.instance.log, ['ex', 'save']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('sequences complete on the last step and restart on a mismatch', () => {
+    const mapping = { document: [{ type: 'keydown', keys: 'g g', handler: 'top' }] };
+    const fixture = mount(html, Keys, { args: [mapping] });
+    try {
+        fixture.simulate('#field', 'keydown', { key: 'g' });
+        assert.deepStrictEqual(fixture.instance.log, []);
+        fixture.simulate('#field', 'keydown', { key: 'g' });
+        assert.deepStrictEqual(fixture.instance.log, ['top']);
+
+        fixture.simulate('#field', 'keydown', { key: 'g' });
+        fixture.simulate('#field', 'keydown', { key: 'h' });
+        fixture.simulate('#field', 'keydown', { key: 'g' });
+        assert.deepStrictEqual(fixture.instance.log, ['top']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('sequence steps expire after keySequenceTimeout', () => {
+    const mapping = { document: [{ type: 'keydown', keys: 'g g', handler: 'top' }] };
+    const fixture = mount(html, Keys, { args: [mapping, { keySequenceTimeout: 500 }], fakeTimers: true });
+    try {
+        fixture.simulate('#field', 'keydown', { key: 'g' });
+        fixture.tick(501);
+        fixture.simulate('#field', 'keydown', { key: 'g' });
+        assert.deepStrictEqual(fixture.instance.log, []);
+
+        fixture.tick(500);
+        fixture.simulate('#field', 'keydown', { key: 'g' });
+        assert.deepStrictEqual(fixture.instance.log, ['top']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('a keystroke advances a sequence once, however many listeners it passes', () => {
+    const mapping = {
+        '#editor': [{ type: 'keydown', keys: 'x', handler: 'ex' }],
+        document: [{ type: 'keydown', keys: 'g g', handler: 'top' }]
+    };
+    const fixture = mount(html, Keys, { args: [mapping] });
+    try {
+        fixture.simulate('#field', 'keydown', { key: 'g' });
+        assert.deepStrictEqual(fixture.instance.log, []);
+
+        fixture.simulate('#field', 'keydown', { key: 'g' });
+        assert.deepStrictEqual(fixture.instance.log, ['top']);
+    } finally {
+        fixture.unmount();
+    }
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+// Handlers "take" cost ms of fake time
+class Worker extends YEH {
+    constructor(config) {
+        super({
+            '#work': [{ type: 'click', handler: 'work' }],
+            '#fail': [{ type: 'click', handler: 'fail' }],
+            '#burst': [{ type: 'click', handler: 'work', throttle: 100 }]
+        }, {}, { onHandlerError: () => {}, ...config });
+        this.clock = null;
+        this.cost = 0;
+    }
+
+    work() {
+        if (this.clock) this.clock.tick(this.cost);
+    }
+
+    fail() {
+        throw new Error('nope');
+    }
+}
+
+const html = '<button id="work"></button><button id="fail"></button><button id="burst"></button>';
+
+function run(fixture, costs) {
+    costs.forEach(cost => {
+        fixture.instance.cost = cost;
+        fixture.simulate('#work', 'click');
+    });
+}
+
+test('handler metrics count runs, errors and throttled calls', () => {
+    const fixture = mount(html, Worker, { args: [{ enableStats: true }], fakeTimers: true });
+    try {
+        fixture.instance.clock = fixture;
+        run(fixture, [10, 20, 30]);
+        fixture.simulate('#fail', 'click');
+        ['#burst', '#burst', '#burst'].forEach(selector => fixture.simulate(selector, 'click'));
+        fixture.tick(100);
+
+        const handlers = fixture.instance.getStats().handlers;
+        const work = handlers.find(entry => entry.selector === '#work');
+        assert.deepStrictEqual([work.count, work.avg, work.p50, work.max], [3, 20, 20, 30]);
+        assert.strictEqual(handlers.find(entry => entry.selector === '#fail').errors, 1);
+        assert.strictEqual(handlers.find(entry => entry.selector === '#burst').throttled, 1);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('statsSampleSize bounds the percentile samples, not count or max', () => {
+    const fixture = mount(html, Worker, { args: [{ enableStats: true, statsSampleSize: 3 }], fakeTimers: true });
+    try {
+        fixture.instance.clock = fixture;
+        run(fixture, [100, 100, 100, 1, 1, 1]);
+
+        const work = fixture.instance.getStats().handlers.find(entry => entry.selector === '#work');
+        assert.deepStrictEqual([work.count, work.p50, work.p95, work.max], [6, 1, 1, 100]);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('slowHandlerThreshold reports slow runs to onSlowHandler, or warns without it', (t) => {
+    const slow = [];
+    const fixture = mount(html, Worker, {
+        args: [{ slowHandlerThreshold: 50, onSlowHandler: report => slow.push(report) }],
+        fakeTimers: true
+    });
+    try {
+        fixture.instance.clock = fixture;
+        run(fixture, [80, 10]);
+        assert.deepStrictEqual(slow.map(({ duration, threshold, selector, type, handler }) => [duration, threshold, selector, type, handler]),
+            [[80, 50, '#work', 'click', 'work']]);
+        assert.strictEqual(fixture.instance.getStats(), null);
+    } finally {
+        fixture.unmount();
+    }
+
+    const warn = t.mock.method(console, 'warn', () => {});
+    const warned = mount(html, Worker, { args: [{ slowHandlerThreshold: 50 }], fakeTimers: true });
+    try {
+        warned.instance.clock = warned;
+        run(warned, [80]);
+        assert.strictEqual(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[0].arguments[0], /Handler 'work' for 'click' on "#work" took 80\.0ms \(budget: 50ms\)/);
+    } finally {
+        warned.unmount();
+    }
+});
+
+test('exportStats() flattens the metrics, resetStats() clears them', () => {
+    const fixture = mount(html, Worker, { args: [{ enableStats: true }], fakeTimers: true });
+    try {
+        fixture.instance.clock = fixture;
+        run(fixture, [10]);
+        fixture.simulate('#fail', 'click');
+
+        const { metrics } = fixture.instance.exportStats();
+        const tags = { selector: '#work', type: 'click', handler: 'work' };
+        assert.deepStrictEqual(metrics.find(metric => metric.name === 'yeh.handler.count' && metric.tags.selector === '#work'),
+            { name: 'yeh.handler.count', value: 1, tags });
+        assert.strictEqual(metrics.find(metric => metric.name === 'yeh.handler.errors' && metric.tags.selector === '#fail').value, 1);
+        assert.ok(metrics.some(metric => metric.name === 'yeh.listeners'));
+
+        fixture.instance.resetStats();
+        const stats = fixture.instance.getStats();
+        assert.deepStrictEqual([stats.handlers, stats.handlerErrors, stats.distanceCache.hits, stats.distanceCache.misses], [[], {}, 0, 0]);
+        assert.ok(fixture.instance.exportStats().metrics.every(metric => !metric.name.startsWith('yeh.handler.')));
+    } finally {
+        fixture.unmount();
+    }
+});
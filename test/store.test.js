@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+const html = `
+    <span id="count" data-bind="cart.count"></span>
+    <input id="theme" data-bind="prefs:theme">
+    <aside id="drawer" data-bind-class="is-open: ui.open"></aside>`;
+
+test('set() and update() batch into one event per path, deepest first', async () => {
+    const fixture = mount(html, YEH, { config: { bus: true }, fakeTimers: true });
+    try {
+        const app = fixture.instance;
+        const store = app.createStore({ cart: { items: [], count: 0 } });
+        const topics = [];
+        let cart = null;
+        app.on('**', (payload, { topic }) => topics.push(topic));
+        app.on('state:cart', payload => { cart = payload; });
+
+        store.set('cart.count', 1);
+        store.update('cart.count', count => count + 1);
+        store.state.cart.items.push('apple');
+        assert.deepStrictEqual(topics, []);
+
+        await fixture.settle();
+        assert.deepStrictEqual(topics, ['state:cart.items.0', 'state:cart.count', 'state:cart.items', 'state:cart', 'state']);
+        assert.deepStrictEqual(cart, { path: 'cart', value: { items: ['apple'], count: 2 }, changed: ['cart.count', 'cart.items.0'] });
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('bindings render in the next frame, only for affected paths and their own store', async () => {
+    const fixture = mount(html, YEH, { fakeTimers: true });
+    try {
+        const app = fixture.instance;
+        const store = app.createStore({ cart: { count: 3 }, ui: { open: false } });
+        const prefs = app.createStore({ theme: 'dark' }, { prefix: 'prefs' });
+        const $ = selector => fixture.document.querySelector(selector);
+
+        fixture.tick(16);
+        assert.strictEqual($('#count').textContent, '3');
+        assert.strictEqual($('#theme').value, 'dark');
+        assert.strictEqual($('#drawer').classList.contains('is-open'), false);
+
+        store.set('ui.open', true);
+        prefs.set('theme', 'light');
+        $('#count').textContent = 'untouched';
+        await fixture.settle();
+        assert.strictEqual($('#theme').value, 'dark');
+
+        fixture.tick(16);
+        assert.strictEqual($('#drawer').classList.contains('is-open'), true);
+        assert.strictEqual($('#theme').value, 'light');
+        assert.strictEqual($('#count').textContent, 'untouched');
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('off() unsubscribes from changes, destroy() stops events and rendering', async () => {
+    const fixture = mount(html, YEH, { config: { bus: true }, fakeTimers: true });
+    try {
+        const app = fixture.instance;
+        const store = app.createStore({ cart: { count: 0 } });
+        const seen = [];
+        const listener = payload => seen.push(payload.value);
+        app.on('state:cart.count', listener);
+
+        store.set('cart.count', 1);
+        await fixture.settle();
+        app.off('state:cart.count', listener);
+        store.set('cart.count', 2);
+        await fixture.settle();
+        assert.deepStrictEqual(seen, [1]);
+
+        fixture.tick(16);
+        assert.strictEqual(fixture.document.querySelector('#count').textContent, '2');
+
+        app.on('state:cart.count', listener);
+        store.destroy();
+        store.set('cart.count', 3);
+        await fixture.settle();
+        fixture.tick(16);
+        assert.deepStrictEqual(seen, [1]);
+        assert.strictEqual(fixture.document.querySelector('#count').textContent, '2');
+    } finally {
+        fixture.unmount();
+    }
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Toolbar extends YEH {
+    constructor(options, aliases = {}) {
+        super({ '#toolbar': [{ type: 'click', router: true, handler: 'fallback' }] }, aliases, options);
+        this.log = [];
+    }
+
+    fallback() {
+        this.log.push('fallback');
+    }
+}
+
+const html = '<div id="toolbar"><button data-action="missing">Go</button></div>';
+
+test('strict throw applies while constructing and in addEvent()', () => {
+    const fixture = mount(html, Toolbar, { args: [{ strict: 'throw' }] });
+    try {
+        assert.throws(() => fixture.instance.addEvent('#toolbar', { type: 'keydown', handler: 'nope' }), /Handler method 'nope' not found/);
+        assert.strictEqual(fixture.instance.hasEvent('#toolbar', 'click'), true);
+    } finally {
+        fixture.unmount();
+    }
+
+    assert.throws(() => mount(html, YEH, { mapping: { '#toolbar': [{ type: 'click', handler: 'nope' }] }, config: { strict: 'throw' } }), /Handler method 'nope' not found/);
+});
+
+test('problems found while dispatching warn once instead of throwing', (t) => {
+    const warned = t.mock.method(console, 'warn', () => {});
+    const fixture = mount(html, Toolbar, { args: [{ strict: 'throw' }] });
+    try {
+        fixture.simulate('button', 'click');
+        fixture.simulate('button', 'click');
+        assert.strictEqual(warned.mock.callCount(), 1);
+        assert.match(warned.mock.calls[0].arguments[0], /Handler method 'missing' not found/);
+        assert.deepStrictEqual(fixture.instance.getDiagnostics().map(({ category, level }) => [category, level]), [['handlers', 'warn']]);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('live registration never throws', async (t) => {
+    const warned = t.mock.method(console, 'warn', () => {});
+    const fixture = mount('<main></main>', YEH, {
+        mapping: { '.card': [{ type: 'click', handler: 'open' }] },
+        config: { strict: 'throw', live: true }
+    });
+    try {
+        const card = fixture.document.createElement('div');
+        card.className = 'card';
+        fixture.document.querySelector('main').appendChild(card);
+        await fixture.settle();
+        assert.strictEqual(warned.mock.callCount(), 1);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('keys and aliases are checked without enableConfigValidation', () => {
+    const mapping = { '#toolbar': [{ type: 'click', handler: 'fallback', handlr: 'typo' }] };
+    assert.throws(() => mount(html, YEH, {
+        mapping,
+        config: { enableConfigValidation: false, strict: { keys: 'throw' } }
+    }), /Unknown key "handlr"/);
+    assert.throws(() => mount(html, Toolbar, {
+        args: [{ enableConfigValidation: false, strict: { aliases: 'throw' } }, { click: { go: 'nowhere' } }]
+    }), /Alias 'go'/);
+});
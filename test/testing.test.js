@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { YEHTesting, mount, simulate, expectHandled, expectNotHandled } = require('../yeh.testing.js');
+
+class SearchHandler extends YEH {
+    constructor() {
+        super({
+            '#app': [
+                { type: 'click', matches: 'button', handler: 'run' },
+                { type: 'input', debounce: 300, handler: 'search' },
+                { type: 'keydown', keys: 'mod+k', handler: 'focusSearch' }
+            ]
+        });
+        this.runs = [];
+    }
+
+    run(event, target) {
+        this.runs.push(target.id);
+    }
+
+    search() {}
+
+    focusSearch() {}
+}
+
+test('mount() creates the instance and records handler calls', () => {
+    const fixture = mount('<div id="app"><button id="go">Go</button></div>', SearchHandler);
+    try {
+        simulate('#go', 'click');
+        const calls = expectHandled('#app', 'click', 'run');
+        assert.strictEqual(calls.length, 1);
+        assert.strictEqual(calls[0].target.id, 'go');
+        assert.deepStrictEqual(fixture.instance.runs, ['go']);
+        assert.throws(() => expectNotHandled('#app', 'click'), /not to be handled/);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('fake timers drive debounced handlers', () => {
+    const fixture = mount('<div id="app"><input id="q"></div>', SearchHandler, { fakeTimers: true });
+    try {
+        fixture.simulate('#q', 'input', { value: 'yeh' });
+        assert.strictEqual(fixture.document.querySelector('#q').value, 'yeh');
+        fixture.expectNotHandled('#app', 'input');
+
+        fixture.tick(299);
+        fixture.expectNotHandled('#app', 'input');
+        fixture.tick(1);
+        fixture.expectHandled('#app', 'input', 'search');
+        assert.throws(() => fixture.expectHandled('#app', 'click'), /Expected "click" on "#app" to be handled/);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('tick() and runTimers() require fakeTimers', () => {
+    const fixture = mount('<div id="app"></div>', SearchHandler);
+    try {
+        assert.throws(() => fixture.tick(10), /fakeTimers: true/);
+        assert.throws(() => fixture.runTimers(), /fakeTimers: true/);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('plain YEH takes mapping, aliases and config from the options', () => {
+    const methods = { click: { save() {} } };
+    const fixture = mount('<div id="list"><a id="link">x</a></div>', YEH, {
+        mapping: { '#list': [{ type: 'click', handler: 'store' }] },
+        aliases: { click: { store: 'save' } },
+        config: { methods }
+    });
+    try {
+        fixture.simulate('#link', 'click');
+        fixture.expectHandled('#list', 'click', 'save');
+        fixture.clearCalls();
+        assert.strictEqual(fixture.findCalls().length, 0);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('abortController: true works with the installed DOM globals', () => {
+    const NodeAbortController = AbortController;
+    const fixture = mount('<div id="list"><a id="link">x</a></div>', YEH, {
+        mapping: { '#list': [{ type: 'click', handler: 'open' }] },
+        config: { abortController: true, methods: { open() {} } }
+    });
+    try {
+        fixture.simulate('#link', 'click');
+        fixture.expectHandled('#list', 'click', 'open');
+    } finally {
+        fixture.unmount();
+    }
+    assert.strictEqual(AbortController, NodeAbortController);
+});
+
+test('createEvent() picks the event interface from the type', () => {
+    const fixture = mount('<div id="app"></div>', SearchHandler);
+    try {
+        const element = fixture.document.querySelector('#app');
+        const { window } = fixture;
+
+        assert.ok(YEHTesting.createEvent(element, 'keydown', { key: 'k' }) instanceof window.KeyboardEvent);
+        assert.ok(YEHTesting.createEvent(element, 'click') instanceof window.MouseEvent);
+        const custom = YEHTesting.createEvent(element, 'app:ready', { detail: { ok: true } });
+        assert.ok(custom instanceof window.CustomEvent);
+        assert.deepStrictEqual(custom.detail, { ok: true });
+        assert.strictEqual(custom.bubbles, true);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('keyboard shortcuts can be simulated', () => {
+    const fixture = mount('<div id="app"><input id="q"></div>', SearchHandler);
+    try {
+        const mod = YEH.isMacPlatform() ? { metaKey: true } : { ctrlKey: true };
+        fixture.simulate('#q', 'keydown', { key: 'k', ...mod });
+        fixture.expectHandled('#app', 'keydown', 'focusSearch');
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('settle() waits for async handlers', async () => {
+    class AsyncHandler extends YEH {
+        constructor() {
+            super({ '#app': ['click'] });
+            this.done = false;
+        }
+
+        handleClick() {
+            return Promise.resolve().then(() => {
+                this.done = true;
+            });
+        }
+    }
+
+    const fixture = mount('<div id="app"></div>', AsyncHandler);
+    try {
+        fixture.simulate('#app', 'click');
+        assert.strictEqual(fixture.instance.isPending('#app', 'click'), true);
+        await fixture.settle();
+        assert.strictEqual(fixture.instance.done, true);
+        assert.strictEqual(fixture.instance.isPending('#app', 'click'), false);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('unmount() removes the markup and the installed DOM globals', () => {
+    assert.strictEqual(typeof document, 'undefined');
+
+    const fixture = mount('<div id="app"></div>', SearchHandler);
+    assert.ok(fixture.document.querySelector('[data-yeh-testing] #app'));
+    assert.strictEqual(YEHTesting.active, fixture);
+
+    fixture.unmount();
+    assert.strictEqual(typeof document, 'undefined');
+    assert.strictEqual(typeof window, 'undefined');
+    assert.strictEqual(YEHTesting.active, null);
+    assert.throws(() => simulate('#app', 'click'), /call mount\(\) first/);
+});
+
+test('a failing constructor restores the environment', () => {
+    assert.throws(() => mount('<div></div>', YEH, { mapping: { '#x': 'click' } }), /must be an array/);
+    assert.strictEqual(typeof document, 'undefined');
+});
+
+test('instances created before a DOM exists don\'t disable passive listeners for later ones', () => {
+    YEH._passiveSupportCache = undefined; // As if yeh.js was just loaded
+    const nodeOnly = new YEH({ '#feed': ['scroll'] });
+    assert.strictEqual(nodeOnly.passiveSupported, false);
+    nodeOnly.destroy();
+
+    const fixture = mount('<div id="feed"></div>', YEH, {
+        mapping: { '#feed': ['scroll'] },
+        config: { methods: { handleScroll() {} } }
+    });
+    try {
+        assert.strictEqual(fixture.instance.passiveSupported, true);
+        assert.deepStrictEqual(fixture.instance.getEventOptions('scroll'), { passive: true });
+    } finally {
+        fixture.unmount();
+    }
+});
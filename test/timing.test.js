@@ -0,0 +1,216 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YEH } = require('../yeh.js');
+const { mount } = require('../yeh.testing.js');
+
+class Editor extends YEH {
+    constructor(mapping) {
+        super(mapping);
+        this.log = [];
+    }
+
+    saveDraft(event, target) {
+        this.log.push(`saveDraft:${target.id}`);
+    }
+
+    suggest(event, target) {
+        this.log.push(`suggest:${target.id}`);
+    }
+
+    track() {
+        this.log.push('track');
+    }
+}
+
+const html = '<div id="editor"><textarea id="body"></textarea><input id="tags" class="tags"></div>';
+
+test('timed configs on one container only dispatch their own handler', () => {
+    const fixture = mount(html, Editor, {
+        args: [{
+            '#editor': [
+                { type: 'input', debounce: { wait: 500, maxWait: 2000 }, handler: 'saveDraft' },
+                { type: 'input', matches: '.tags', debounce: 'idle', handler: 'suggest' }
+            ]
+        }],
+        fakeTimers: true
+    });
+    try {
+        fixture.simulate('#tags', 'input');
+        fixture.tick(500);
+        assert.deepStrictEqual(fixture.instance.log.sort(), ['saveDraft:tags', 'suggest:tags']);
+
+        fixture.instance.log = [];
+        fixture.simulate('#body', 'input');
+        fixture.tick(500);
+        assert.deepStrictEqual(fixture.instance.log, ['saveDraft:body']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('the shared listener skips timed configs of the same type', () => {
+    const fixture = mount(html, Editor, {
+        args: [{
+            '#editor': [
+                { type: 'input', debounce: 300, handler: 'saveDraft' },
+                { type: 'input', matches: '.tags', handler: 'suggest' }
+            ]
+        }],
+        fakeTimers: true
+    });
+    try {
+        fixture.simulate('#tags', 'input');
+        assert.deepStrictEqual(fixture.instance.log, ['suggest:tags']);
+
+        fixture.tick(300);
+        assert.deepStrictEqual(fixture.instance.log, ['suggest:tags', 'saveDraft:tags']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('an outer untimed listener runs at once, the timed inner one after its delay', () => {
+    const fixture = mount(html, Editor, {
+        args: [{
+            '#editor': [{ type: 'input', debounce: 300, handler: 'saveDraft', stop: false }],
+            document: [{ type: 'input', handler: 'track' }]
+        }],
+        fakeTimers: true
+    });
+    try {
+        fixture.simulate('#body', 'input');
+        assert.deepStrictEqual(fixture.instance.log, ['track']);
+
+        fixture.simulate('#body', 'input');
+        fixture.tick(300);
+        assert.deepStrictEqual(fixture.instance.log, ['track', 'track', 'saveDraft:body']);
+        assert.strictEqual(fixture.findCalls('#editor', 'input').length, 1);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('timed listeners resolve sub-selectors when the event fires', () => {
+    const fixture = mount(html, Editor, {
+        args: [{ '#editor': [{ type: 'input', matches: '.tags', throttle: 100, handler: 'suggest' }] }],
+        fakeTimers: true
+    });
+    try {
+        fixture.simulate('#body', 'input');
+        fixture.tick(100);
+        assert.deepStrictEqual(fixture.instance.log, []);
+
+        fixture.simulate('#tags', 'input');
+        assert.deepStrictEqual(fixture.instance.log, ['suggest:tags']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('flush() runs and cancel() drops pending timed handlers', () => {
+    const fixture = mount(html, Editor, {
+        args: [{ '#editor': [{ type: 'input', debounce: 500, handler: 'saveDraft' }] }],
+        fakeTimers: true
+    });
+    try {
+        fixture.simulate('#body', 'input');
+        fixture.instance.flush('#editor', 'input');
+        assert.deepStrictEqual(fixture.instance.log, ['saveDraft:body']);
+
+        fixture.simulate('#body', 'input');
+        fixture.instance.cancel('#editor');
+        fixture.tick(500);
+        assert.deepStrictEqual(fixture.instance.log, ['saveDraft:body']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('static debounce: trailing by default, leading only, both edges', () => {
+    const fixture = mount('', YEH, { fakeTimers: true });
+    try {
+        const calls = [];
+        const trailing = YEH.debounce(value => calls.push(`trailing:${value}`), 100);
+        const leading = YEH.debounce(value => calls.push(`leading:${value}`), { wait: 100, leading: true, trailing: false });
+        const both = YEH.debounce(value => calls.push(`both:${value}`), { wait: 100, leading: true });
+
+        for (const value of [1, 2, 3]) {
+            trailing(value);
+            leading(value);
+            both(value);
+            fixture.tick(50);
+        }
+        assert.deepStrictEqual(calls, ['leading:1', 'both:1']);
+
+        fixture.tick(50);
+        assert.deepStrictEqual(calls, ['leading:1', 'both:1', 'trailing:3', 'both:3']);
+
+        // A quiet period starts a new cycle with a new leading call
+        leading(4);
+        both(4);
+        fixture.tick(100);
+        assert.deepStrictEqual(calls.slice(4), ['leading:4', 'both:4']);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('static debounce: maxWait runs the pending call during continuous calls', () => {
+    const fixture = mount('', YEH, { fakeTimers: true });
+    try {
+        const times = [];
+        const start = Date.now();
+        const debounced = YEH.debounce(() => times.push(Date.now() - start), { wait: 100, maxWait: 250 });
+
+        for (let elapsed = 0; elapsed < 600; elapsed += 50) {
+            debounced();
+            fixture.tick(50);
+        }
+        fixture.tick(100);
+        assert.deepStrictEqual(times, [250, 500, 650]);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('static throttle: leading and trailing by default, either edge alone', () => {
+    const fixture = mount('', YEH, { fakeTimers: true });
+    try {
+        const calls = [];
+        const both = YEH.throttle(value => calls.push(`both:${value}`), 100);
+        const leading = YEH.throttle(value => calls.push(`leading:${value}`), { wait: 100, trailing: false });
+        const trailing = YEH.throttle(value => calls.push(`trailing:${value}`), { wait: 100, leading: false });
+
+        for (const value of [1, 2, 3]) {
+            both(value);
+            leading(value);
+            trailing(value);
+            fixture.tick(30);
+        }
+        assert.deepStrictEqual(calls, ['both:1', 'leading:1']);
+
+        fixture.tick(10);
+        assert.deepStrictEqual(calls, ['both:1', 'leading:1', 'both:3', 'trailing:3']);
+
+        fixture.runTimers();
+        assert.strictEqual(calls.length, 4);
+    } finally {
+        fixture.unmount();
+    }
+});
+
+test('unkeyed static debounce wrappers keep their own timers', () => {
+    const fixture = mount('', YEH, { fakeTimers: true });
+    try {
+        const calls = [];
+        const first = YEH.debounce(() => calls.push('first'), 100);
+        const second = YEH.debounce(() => calls.push('second'), 100);
+
+        first();
+        second();
+        fixture.tick(100);
+        assert.deepStrictEqual(calls, ['first', 'second']);
+    } finally {
+        fixture.unmount();
+    }
+});
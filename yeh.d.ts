@@ -1,5 +1,5 @@
 // Type declarations for missing DOM/Event types
-type EventHandlerFunction = (event: Event, target: Element, containerElement?: Element) => void;
+type EventHandlerFunction = (event: Event, target: Element, containerElement?: Element, context?: DispatchContext) => void | boolean;
 
 // AddEventListenerOptions interface (standard DOM API)
 interface AddEventListenerOptions {
@@ -196,6 +196,55 @@ export type ThrottleKey<T extends string = string> = 'scroll' | 'resize' | 'mous
  */
 export type DebounceKey = 'input' | 'search' | 'validation' | 'resize' | 'api-call' | 'save' | string;
 
+/**
+ * 🎚️ **Throttle Options** - Choose which edges of the window fire
+ *
+ * @example { wait: 100 } // leading + trailing (default)
+ * @example { wait: 100, leading: false } // trailing only
+ * @example { wait: 100, trailing: false } // leading only, extra calls dropped
+ */
+export interface ThrottleOptions {
+    /** Window length in milliseconds */
+    wait: number;
+    /** Fire on the first call of a window (default: true) */
+    leading?: boolean;
+    /** Fire the last call of a window when it closes (default: true) */
+    trailing?: boolean;
+}
+
+/**
+ * ⏳ **Debounce Options** - Leading edge and maximum wait for continuous input
+ *
+ * @example { wait: 300, maxWait: 1000 } // still fires at least once per second while typing
+ * @example { wait: 500, leading: true, trailing: false } // fire once, ignore the burst
+ */
+export interface DebounceOptions {
+    /** Quiet period in milliseconds */
+    wait: number;
+    /** Fire on the first call of a burst (default: false) */
+    leading?: boolean;
+    /** Fire the last call after the quiet period (default: true) */
+    trailing?: boolean;
+    /** Upper bound between runs during continuous calls (must be >= wait) */
+    maxWait?: number;
+}
+
+/** Throttle setting: ms, `'raf'` (once per animation frame, trailing) or options */
+export type ThrottleSetting = number | 'raf' | ThrottleOptions;
+
+/** Debounce setting: ms, `'idle'` (requestIdleCallback) or options */
+export type DebounceSetting = number | 'idle' | DebounceOptions;
+
+/**
+ * 🎛️ **Timed Function** - Throttled/debounced function with manual controls
+ */
+export type TimedFunction<T extends (...args: any[]) => void> = T & {
+    /** Run the pending call now; false when nothing was pending */
+    flush(): boolean;
+    /** Drop the pending call; false when nothing was pending */
+    cancel(): boolean;
+};
+
 /**
  * Event configuration object for individual events
  *
@@ -275,9 +324,11 @@ export interface EventConfig {
      * @example { type: 'scroll', throttle: 100 }
      * @example { type: 'mousemove', throttle: 16 }
      * @example { type: 'resize', throttle: 250 }
+     * @example { type: 'scroll', throttle: 'raf' }
+     * @example { type: 'scroll', throttle: { wait: 100, leading: false } }
      * @influencer Grok - Suggested individual JSDoc examples for better IntelliSense
      */
-    throttle?: number;
+    throttle?: ThrottleSetting;
 
     /**
      * **Debounce delay** in milliseconds (optional)
@@ -298,9 +349,11 @@ export interface EventConfig {
      * @example { type: 'input', debounce: 300 }
      * @example { type: 'input', debounce: 300, handler: 'handleSearch' }
      * @example { type: 'keyup', debounce: 500 }
+     * @example { type: 'input', debounce: { wait: 300, maxWait: 1000 } }
+     * @example { type: 'input', debounce: 'idle' }
      * @influencer Grok - Enhanced with comprehensive property-level examples
      */
-    debounce?: number;
+    debounce?: DebounceSetting;
 
     /**
      * **Native addEventListener options** (optional)
@@ -319,8 +372,144 @@ export interface EventConfig {
      * @example { type: 'focus', options: { capture: true } }
      */
     options?: AddEventListenerOptions;
+
+    /**
+     * **Sub-selector filter** (optional)
+     *
+     * Routes the event only when the target is (or is inside) an element matching this
+     * selector within the container. The matched element becomes the handler's `target`.
+     * Several configs with the same type can coexist on one container as long as their
+     * `matches` differ - no more giant `handleClick` switches on `dataset.action`.
+     *
+     * @example '.row .delete'
+     * @example { type: 'click', matches: '.row .delete', handler: 'deleteRow' }
+     * @example { type: 'click', matches: '.row .edit', handler: 'editRow' }
+     */
+    matches?: string;
+
+    /**
+     * **Action router override** (optional)
+     *
+     * Enables or disables the declarative action router for this config,
+     * overriding the instance-wide `actionRouter` option.
+     *
+     * @example { type: 'click', router: true }
+     * @example { type: 'scroll', router: false }
+     */
+    router?: boolean;
+
+    /**
+     * **Async concurrency policy** (optional, default: 'parallel')
+     *
+     * Applies when the handler returns a promise and is still pending when the next event arrives:
+     * - `'parallel'` - Start another run (default)
+     * - `'drop'` - Ignore events while a run is pending (double-click protection)
+     * - `'queue'` - Run after the pending run has settled, in order
+     * - `'cancel'` - Abort the pending run via `context.signal` and start a new one
+     *
+     * @example { type: 'click', handler: 'save', concurrency: 'drop' }
+     * @example { type: 'input', handler: 'search', concurrency: 'cancel' }
+     */
+    concurrency?: ConcurrencyPolicy;
+
+    /**
+     * **Keyboard shortcut(s)** (optional)
+     *
+     * The handler only fires when the key combo matches. Modifiers: `ctrl`, `alt`,
+     * `shift`, `meta` and `mod` (Meta on Mac, Ctrl elsewhere). Space-separated combos
+     * form a sequence (`'g i'`) that must be typed within `keySequenceTimeout`.
+     * Nested containers still win by closest-match distance.
+     *
+     * @example 'mod+s'
+     * @example ['g i', 'shift+/']
+     * @example { type: 'keydown', keys: 'mod+s', handler: 'save', description: 'Save document' }
+     */
+    keys?: string | string[];
+
+    /**
+     * **Human-readable description** (optional) - returned by getShortcuts() for help overlays
+     *
+     * @example 'Save document'
+     */
+    description?: string;
+
+    /**
+     * **Run once** (optional) - the handler fires for the first matching event per container, then never again
+     *
+     * @example { type: 'mouseover', once: true, handler: 'loadPreview' }
+     */
+    once?: boolean;
+
+    /**
+     * **preventDefault()** before the handler runs (optional); keeps the listener non-passive
+     *
+     * @example { type: 'submit', prevent: true, handler: 'save' }
+     */
+    prevent?: boolean;
+
+    /**
+     * **Stop propagation** (optional, default: true)
+     *
+     * YEH stops propagation once a handler ran. `stop: false` lets the event continue
+     * to outer containers and third-party listeners; handlers that already ran are not repeated.
+     *
+     * @example { type: 'click', handler: 'track', stop: false }
+     */
+    stop?: boolean;
+
+    /**
+     * **Self only** (optional) - fire only when the event target is the container
+     * (or the `matches` element) itself, not a descendant
+     *
+     * @example { type: 'click', self: true, handler: 'closeOverlay' }
+     */
+    self?: boolean;
+
+    /**
+     * **Ignore disabled targets** (optional) - skip events whose target or an ancestor
+     * inside the container is `disabled` or `aria-disabled="true"`
+     *
+     * @example { type: 'click', matches: 'button', ignoreDisabled: true, handler: 'run' }
+     */
+    ignoreDisabled?: boolean;
+
+    /**
+     * **Guard** (optional) - predicate or method name `(event, target, container) => boolean`;
+     * the handler only fires when it returns a truthy value
+     *
+     * @example { type: 'keydown', when: (e) => e.key === 'Enter', handler: 'submit' }
+     * @example { type: 'click', when: 'isEditable', handler: 'edit' }
+     */
+    when?: string | ((this: YEH, event: Event, target: EventTarget, container: Element | Document | Window) => unknown);
+}
+
+/**
+ * Registered keyboard shortcut as returned by getShortcuts()
+ */
+export interface ShortcutInfo {
+    selector: string;
+    type: string;
+    keys: string[];
+    handler: string;
+    description: string | null;
+}
+
+/**
+ * Parsed key combo (one step of a shortcut sequence)
+ */
+export interface KeyCombo {
+    key: string;
+    ctrl: boolean;
+    alt: boolean;
+    shift: boolean;
+    meta: boolean;
 }
 
+/**
+ * Concurrency policy for async handlers
+ */
+export type ConcurrencyPolicy = 'parallel' | 'drop' | 'queue' | 'cancel';
+
 /**
  * 🗺️ **Event Mapping** - Advanced Multi-Handler System Core
  *
@@ -356,18 +545,583 @@ export interface EventConfig {
  * ```
  */
 export interface EventMapping {
-    [selector: string]: (string | EventConfig)[];
+    [selector: string]: (string | EventConfig)[] | EventMappingEntry;
 }
 
+/**
+ * 🌑 **Mapping Entry** - Object form with its own selector root
+ *
+ * @example
+ * ```ts
+ * new YEH({
+ *   widget: { element: '.item', events: ['click'], root: host.shadowRoot! }
+ * });
+ * ```
+ */
+export interface EventMappingEntry {
+    /** CSS selector resolved against `root` */
+    element: string;
+    /** Event configs for the matched containers */
+    events: (string | EventConfig)[];
+    /** Query root for this entry (default: the instance `root`) */
+    root?: Document | ShadowRoot | Element;
+}
+
+/**
+ * 🔗 **Dispatch Context** - Fourth argument passed to every handler
+ *
+ * Describes the handler invocation and lets a handler stop the dispatch chain
+ * when `dispatchMode` is `'bubble'` or `'capture'`. Returning `false` from a
+ * handler has the same effect as calling `context.stop()`.
+ *
+ * @example
+ * ```ts
+ * handleClick(event, target, containerElement, context) {
+ *   if (target.dataset.exclusive) context.stop(); // Outer containers won't see this click
+ * }
+ * ```
+ */
+export interface DispatchContext {
+    /** The native event */
+    event: Event;
+    /** Resolved target (actionable target when autoTargetResolution is enabled) */
+    target: Element;
+    /** Closest element matching the handler's selector */
+    element: Element | null;
+    /** Element the listener was registered on */
+    container: Element | Document | Window;
+    /** Selector of the mapping entry */
+    selector: string;
+    /** Handler name from the event config (before alias resolution) */
+    handlerName: string;
+    /** Method name after alias resolution (the routed action for the action router) */
+    resolvedName: string;
+    /** DOM distance between event target and container */
+    distance: number;
+    /** True once the chain has been stopped */
+    stopped: boolean;
+    /** Routed action name (action router only) */
+    action?: string;
+    /** Parsed data-* params of the routed element (action router only) */
+    params?: Record<string, any>;
+    /** Aborted when a newer run replaces this one (`concurrency: 'cancel'` only) */
+    signal?: AbortSignal;
+    /** True when the event was ignored because a run was pending (`concurrency: 'drop'`) */
+    dropped?: boolean;
+    /** True when a middleware returned without calling `next()`, so the handler did not run */
+    skipped?: boolean;
+    /** Error thrown (or rejection reason) of the handler run */
+    error?: unknown;
+    /** Stop dispatching to the remaining handlers in the chain */
+    stop(): void;
+}
+
+/**
+ * 👆 **Gesture thresholds** - Tune the synthetic gesture recognizer
+ */
+export interface GestureConfig {
+    /** Milliseconds the pointer must rest for `longpress` (default: 500) */
+    longPressDelay?: number;
+    /** Pixels of movement before a press becomes a drag (default: 10) */
+    moveTolerance?: number;
+    /** Pixels of travel required for a swipe (default: 30) */
+    swipeThreshold?: number;
+    /** Max milliseconds for a swipe (default: 500) */
+    swipeTimeout?: number;
+    /** Max milliseconds between the taps of a `doubletap` (default: 300) */
+    doubleTapDelay?: number;
+    /** Max pixels between the taps of a `doubletap` (default: 30) */
+    doubleTapDistance?: number;
+}
+
+/**
+ * `event.detail` of synthetic gesture events
+ */
+export interface GestureDetail {
+    pointerType: string;
+    startX: number;
+    startY: number;
+    x: number;
+    y: number;
+    deltaX: number;
+    deltaY: number;
+    distance: number;
+    duration: number;
+    /** Pixels per millisecond */
+    velocity: number;
+    originalEvent: PointerEvent;
+}
+
+/**
+ * Synthetic gesture event types available with `gestures` enabled
+ */
+export type GestureType = 'longpress' | 'doubletap' | 'swipeleft' | 'swiperight' | 'swipeup' | 'swipedown' | 'dragstart' | 'dragmove' | 'dragend';
+
+/**
+ * 📡 **Bus Listener Options** - Namespace and ordering of a bus subscription
+ */
+export interface BusListenerOptions {
+    /** Namespace for grouped teardown with `off('.namespace')` */
+    namespace?: string;
+    /** Higher runs first; equal priorities run in subscription order (default: 0) */
+    priority?: number;
+}
+
+/**
+ * Second argument passed to bus handlers
+ */
+export interface BusMeta {
+    /** Published topic */
+    topic: string;
+    /** Topic or wildcard pattern the listener subscribed to */
+    pattern: string;
+    namespace: string | null;
+}
+
+/**
+ * Context passed to `onHandlerError` when a bus listener throws during `publish()`
+ */
+export interface BusErrorContext extends BusMeta {
+    /** Method name, or the function name of an inline listener */
+    handlerName: string;
+}
+
+/**
+ * 🌉 **Bridge Options** - What crosses a `bridge()` and where it lands
+ */
+export interface BridgeOptions {
+    /** Event types or bus patterns (`'cart:*'`, `'sync:**'`) forwarded and accepted */
+    types: string[];
+    /**
+     * Window bridges only: allowed origin(s) for incoming messages; the first one is the
+     * `postMessage` target origin (default: own origin, `'*'` accepts any)
+     */
+    origin?: string | string[];
+    /** Re-dispatch target for incoming events: selector or EventTarget (default: document) */
+    target?: string | EventTarget;
+}
+
+/**
+ * ✅ **Field Validator** - Returns true/undefined when valid, false or a message when not (may be async)
+ */
+export type FieldValidator = (this: YEH, value: any, field: Element, values: Record<string, any>) => boolean | string | void | null | Promise<boolean | string | void | null>;
+
+/**
+ * Field rules: validator function, rule string (`'required|minlength:3|isFree'`) or a list of them.
+ * Built-in rules: required, email, minlength, maxlength, min, max, pattern; other names resolve like handlers.
+ */
+export type FieldRules = FieldValidator | string | Array<FieldValidator | string>;
+
+/**
+ * 📝 **Form Binding Options** - `bindForm()`
+ */
+export interface FormBindOptions {
+    /** Rules per field name, applied before the field's `data-validate` */
+    validators?: Record<string, FieldRules>;
+    /** Delay for validation while typing (default: 300, false = validate every input) */
+    debounce?: DebounceSetting | false;
+    /** Focus the first invalid field after a failed submit (default: true) */
+    focusInvalid?: boolean;
+}
+
+/**
+ * 📝 **Form Result** - Payload of form:valid / form:invalid / form:submit
+ */
+export interface FormResult {
+    form: HTMLFormElement;
+    /** Serialized values (`name="a[b]"` nests, checkbox groups and `a[]` become arrays) */
+    values: Record<string, any>;
+    /** Error message per field name */
+    errors: Record<string, string>;
+    valid: boolean;
+}
+
+/**
+ * 🗃️ **Store Options** - `createStore()`
+ */
+export interface StoreOptions {
+    /** Topic prefix: changes emit `'<prefix>:<path>'` and `'<prefix>'` for the root (default: 'state') */
+    prefix?: string;
+    /** Update `[data-bind]` / `[data-bind-class]` elements in the next animation frame (default: true) */
+    bind?: boolean;
+}
+
+/**
+ * 🗃️ **Store Change** - Detail of `state:<path>` events
+ */
+export interface StoreChange {
+    /** Path of this topic ('' for the root topic) */
+    path: string;
+    /** Current (raw) value at path */
+    value: any;
+    /** Mutated paths at or below path in this batch */
+    changed: string[];
+}
+
+/**
+ * 🗃️ **Reactive Store** - Mutate `state` (or use set/update) and listen for `state:<path>`
+ */
+export interface Store<T extends object = Record<string, any>> {
+    readonly prefix: string;
+    /** Reactive state: every assignment, push or delete is tracked */
+    readonly state: T;
+    /** Value at a dot path (`'cart.items.0'`), objects come back reactive */
+    get(path?: string): any;
+    /** Assign at a dot path, creating missing objects */
+    set(path: string, value: any): this;
+    /** Assign fn(current) at a dot path */
+    update(path: string, fn: (value: any) => any): this;
+    /** Raw (non-reactive) value at a dot path */
+    snapshot(path?: string): any;
+    /** Stop emitting and rendering bindings (also done by the owning instance's destroy()) */
+    destroy(): void;
+}
+
+/**
+ * Channels accepted by `bridge()`: a channel name creates (and owns) a BroadcastChannel
+ */
+export type BridgeChannel = BroadcastChannel | string | Window | Worker | MessagePort;
+
+/**
+ * 📈 **Handler Metrics** - Runtime numbers per selector/type/handler (`enableStats`)
+ *
+ * Times are synchronous execution times in milliseconds.
+ */
+export interface HandlerMetrics {
+    selector: string;
+    type: string;
+    /** Resolved handler name */
+    handler: string;
+    /** Completed invocations */
+    count: number;
+    avg: number;
+    p50: number;
+    p95: number;
+    max: number;
+    /** Calls dropped by throttle (replaced trailing calls) */
+    throttled: number;
+    /** Calls dropped by debounce (superseded calls) */
+    debounced: number;
+    /** Events blocked because no actionable target was found */
+    blocked: number;
+    /** Invocations over `slowHandlerThreshold` */
+    slow: number;
+    errors: number;
+}
+
+/**
+ * Report passed to `onSlowHandler`
+ */
+export interface SlowHandlerInfo {
+    /** Execution time in ms */
+    duration: number;
+    threshold: number;
+    selector: string;
+    type: string;
+    handler: string;
+    context: DispatchContext;
+}
+
+/**
+ * Why a candidate did or did not fire in `explain()`
+ *
+ * - `fires` - handler would run
+ * - `outside` - target is not inside the container
+ * - `keys` - shortcut config and the key combo doesn't match (or no event given)
+ * - `no-match` - target is not inside the `matches` sub-selector
+ * - `guarded` - a `once`, `self` or `ignoreDisabled` modifier skips it, or the event already claimed it
+ * - `shadowed` - another container wins in the current `dispatchMode`, or a closer router already routed the action
+ * - `unresolved` - handler name not found
+ * - `blocked` - no actionable target found with `autoTargetResolution`
+ */
+export type ExplainStatus = 'fires' | 'outside' | 'keys' | 'no-match' | 'guarded' | 'shadowed' | 'unresolved' | 'blocked';
+
+/**
+ * Handler resolution trail reported by `explain()`
+ */
+export interface HandlerResolution {
+    /** Configured (or routed) handler name */
+    name: string;
+    /** Name after alias lookup */
+    resolvedName: string;
+    alias: boolean;
+    /** Sources checked in order */
+    trail: { source: 'class' | 'methods' | 'global' | 'parent'; found: boolean; skipped: boolean }[];
+    /** Source the handler was found in */
+    source: 'class' | 'methods' | 'global' | 'parent' | null;
+    resolved: boolean;
+}
+
+/**
+ * One registered handler examined by `explain()`
+ */
+export interface ExplainCandidate {
+    selector: string;
+    container: Element | Document | Window;
+    handler: string;
+    distance: number;
+    matches: string | null;
+    keys: string | string[] | null;
+    throttle: ThrottleSetting | null;
+    debounce: DebounceSetting | null;
+    /** Has a `when` guard, which `explain()` doesn't run */
+    conditional: boolean;
+    status: ExplainStatus;
+    /** Human-readable reason for non-firing statuses */
+    note: string | null;
+    /** Element matched by `matches` */
+    match?: Element;
+    /** Action picked by the router */
+    action?: string | null;
+    /** Result of smart target resolution */
+    actionableTarget?: Element | null;
+    resolution?: HandlerResolution;
+}
+
+/**
+ * 🔍 **Explanation** - Result of `explain()`
+ */
+export interface Explanation {
+    type: string;
+    target: EventTarget;
+    dispatchMode: DispatchMode;
+    /** Every handler registered for the type */
+    candidates: ExplainCandidate[];
+    /** Candidates the dispatch would try, in order */
+    chain: ExplainCandidate[];
+    /** Throttled/debounced candidates, each fires through its own timer */
+    timed: ExplainCandidate[];
+    /** First candidate that fires */
+    winner: ExplainCandidate | null;
+    fired: boolean;
+    /** One-line diagnosis */
+    reason: string;
+}
+
+/**
+ * 🎬 **Recorded Event** - One handled event of a recording
+ */
+export interface RecordedEvent {
+    /** Milliseconds since recording started */
+    time: number;
+    type: string;
+    /** Event constructor name used for replay (MouseEvent, KeyboardEvent, ...) */
+    eventClass: string;
+    /** Stable selector path of the target, 'document' or 'window' */
+    target: string | null;
+    /** Resolved handler names that ran */
+    handlers: string[];
+    /** Event init dictionary (bubbles, key, clientX, detail, ...) */
+    init: Record<string, any>;
+    /** Form field value at dispatch time */
+    value?: string;
+    /** Checkbox/radio state at dispatch time */
+    checked?: boolean;
+}
+
+/**
+ * 🎬 **Recording** - JSON-safe trace returned by `stopRecording()`
+ */
+export interface Recording {
+    version: number;
+    startedAt: number;
+    duration?: number;
+    events: RecordedEvent[];
+}
+
+/**
+ * Outcome of one replayed event
+ */
+export interface ReplayResult {
+    type: string;
+    target: string | null;
+    /** False when the target could not be found */
+    dispatched: boolean;
+    /** Handlers recorded for this event */
+    expected: string[];
+    /** Handlers that ran during replay */
+    handlers: string[];
+    /** True when the same handlers ran in the same order */
+    matched: boolean;
+}
+
+/**
+ * 🎬 **Replay Player** - Returned by `replay()`
+ */
+export interface ReplayPlayer {
+    /** Index of the next event */
+    position: number;
+    total: number;
+    results: ReplayResult[];
+    /** Resolves with all results once the last event was replayed */
+    finished: Promise<ReplayResult[]>;
+    /** Dispatch the next event; null when done */
+    step(): ReplayResult | null;
+    /** Dispatch the remaining events with recorded timing */
+    play(): Promise<ReplayResult[]>;
+    /** Pause timed playback */
+    stop(): void;
+}
+
+/**
+ * Options for `replay()`
+ */
+export interface ReplayOptions {
+    /** Timing multiplier: 2 = twice as fast, Infinity = no delays (default: 1) */
+    speed?: number;
+    /** Don't auto-play; advance with `player.step()` (default: false) */
+    step?: boolean;
+}
+
+/**
+ * Options for `request()`
+ */
+export interface RequestOptions {
+    /** Reject after this many milliseconds (default: 0 = wait indefinitely) */
+    timeout?: number;
+    /** DOM target for the request event: selector (resolved against `root`) or EventTarget (default: document) */
+    target?: string | EventTarget;
+}
+
+/**
+ * 🔍 **Analysis Issue** - One finding of `YEH.analyze()`
+ */
+export interface AnalysisIssue {
+    severity: 'error' | 'warning' | 'info';
+    /** Stable issue code for filtering in CI */
+    code: 'invalid-class' | 'invalid-config' | 'invalid-mapping' | 'invalid-alias' | 'missing-handler' | 'unverified-handler'
+        | 'router-fallback' | 'unused-alias' | 'missing-alias-target' | 'duplicate-event' | 'timing-conflict' | 'passive-prevent'
+        | 'unknown-key';
+    message: string;
+    selector?: string;
+    type?: string;
+    /** Index of the event config within its selector */
+    index?: number;
+    handler?: string;
+    resolvedName?: string;
+    alias?: string;
+    target?: string;
+    /** Unknown config keys */
+    keys?: string[];
+}
+
+/**
+ * 🔍 **Analyzed Event Config** - Normalized view of one mapping entry
+ */
+export interface AnalysisEntry {
+    selector: string;
+    type: string;
+    index: number;
+    /** Handler name before alias resolution */
+    handler: string;
+    /** Method name after alias resolution */
+    resolvedName: string;
+    /** Whether the handler was found */
+    resolved: boolean;
+    matches: string | null;
+    keys: string[] | null;
+    throttle: ThrottleSetting | null;
+    debounce: DebounceSetting | null;
+    /** Whether the listener will be passive */
+    passive: boolean;
+    /** Whether the action router applies */
+    router: boolean;
+}
+
+/**
+ * 🔍 **Analysis Result** - JSON serializable output of `YEH.analyze()`
+ */
+export interface AnalysisResult {
+    /** True when there are no errors */
+    valid: boolean;
+    summary: { errors: number; warnings: number; info: number };
+    issues: AnalysisIssue[];
+    entries: AnalysisEntry[];
+}
+
+/**
+ * 🚨 **Strict Level** - What happens when a strict check fails
+ */
+export type StrictLevel = 'off' | 'warn' | 'throw';
+
+/**
+ * 🚨 **Strict Categories** - Level per kind of mapping problem
+ */
+export interface StrictConfig {
+    /** Handler methods that can't be resolved (default: 'warn' with enableHandlerValidation) */
+    handlers?: StrictLevel;
+    /** Mapping selectors without matching elements (default: 'off') */
+    selectors?: StrictLevel;
+    /** Unknown keys in event configs (default: 'off') */
+    keys?: StrictLevel;
+    /** Aliases pointing to missing methods (default: 'off') */
+    aliases?: StrictLevel;
+    /** Report every problem found while constructing in one error instead of the first (default: false) */
+    collect?: boolean;
+}
+
+/**
+ * 🚨 **Diagnostic** - One problem reported by strict mode
+ */
+export interface Diagnostic {
+    /** 'config' for invalid values gathered by `collect` */
+    category: 'handlers' | 'selectors' | 'keys' | 'aliases' | 'config';
+    level: 'warn' | 'throw';
+    message: string;
+    selector?: string;
+    type?: string;
+    index?: number;
+    handler?: string;
+    alias?: string;
+    target?: string;
+    keys?: string[];
+}
+
+/**
+ * Bus handler: receives the payload and returns a value collected by `publish()`
+ */
+export type BusHandler<T = any> = (this: YEH, payload: T, meta: BusMeta) => any;
+
+/**
+ * Payload type of a bus topic: declared in `YpsilonEventMap` or `any`
+ */
+export type BusPayload<K extends string> = K extends keyof YpsilonEventMap ? YpsilonEventMap[K] : any;
+
+/**
+ * 🧅 **Middleware** - Wraps every dispatched handler
+ *
+ * Call `next()` to continue to the next middleware and finally the handler; its return
+ * value is the handler's result. Not calling `next()` short-circuits the dispatch.
+ */
+export type Middleware = (this: YEH, context: DispatchContext, next: () => any) => any;
+
+/**
+ * Scope of a middleware registered with use()
+ */
+export interface MiddlewareScope {
+    /** Only run for these event types */
+    type?: string | string[];
+    /** Only run for these mapping selectors */
+    selector?: string | string[];
+}
+
+/**
+ * Handler dispatch strategy
+ * - `'closest'` - Only the closest matching container handles the event (default)
+ * - `'bubble'` - All matching containers, closest first
+ * - `'capture'` - All matching containers, outermost first
+ */
+export type DispatchMode = 'closest' | 'bubble' | 'capture';
+
 /**
  * Methods object for external handler definitions (Vue.js style)
  * Supports both global methods and event-scoped methods
  */
 export interface Methods {
     [methodName: string]:
-        | ((this: YEH, event: Event, target: EventTarget | null, containerElement?: Element) => void)
+        | ((this: YEH, event: Event, target: EventTarget | null, containerElement?: Element, context?: DispatchContext) => void | boolean)
         | {
-            [eventType: string]: (this: YEH, event: Event, target: EventTarget | null, containerElement?: Element) => void;
+            [eventType: string]: (this: YEH, event: Event, target: EventTarget | null, containerElement?: Element, context?: DispatchContext) => void | boolean;
         };
 }
 
@@ -393,8 +1147,52 @@ export interface HandlerConfig {
     handlerPrefix?: string;
     /** Events that should use smart target resolution */
     targetResolutionEvents?: string[] | null;
-    /** Enable DOM distance caching for performance (default: true) */
+    /**
+     * Enable DOM distance caching for performance (default: true)
+     *
+     * Keyed by element identity and reset by a MutationObserver on structural DOM changes.
+     */
     enableDistanceCache?: boolean;
+    /**
+     * Query root for mapping selectors, `emit()` selectors and live mode (default: document)
+     *
+     * A ShadowRoot enables `composed` automatically, so a custom element can delegate
+     * inside its own shadow tree.
+     *
+     * @example
+     * ```ts
+     * class MyList extends HTMLElement {
+     *   connectedCallback() {
+     *     const root = this.attachShadow({ mode: 'open' });
+     *     new YEH({ '.list': ['click'] }, {}, { root, methods: { click: { handleClick() {} } } });
+     *   }
+     * }
+     * ```
+     */
+    root?: Document | ShadowRoot | Element;
+    /**
+     * Resolve targets via `event.composedPath()` and walk from shadow roots to their hosts,
+     * so outside containers see the real target inside open shadow trees
+     * (default: true for a ShadowRoot `root`, false otherwise)
+     */
+    composed?: boolean;
+    /**
+     * Route `on()` / `subscribe()` / `emit()` through the in-memory event bus (default: false)
+     *
+     * Adds wildcard topics, namespaces, priorities and synchronous return values; stays
+     * DOM-free unless `emit()` is given a target.
+     *
+     * @example
+     * ```ts
+     * const bus = new YEH({}, {}, { bus: true });
+     * bus.on('cart:*', 'refreshCart', { namespace: 'cart' }).emit('cart:add', { id: 5 });
+     * ```
+     */
+    bus?: boolean;
+    /** Log an `explain()` diagnosis via console.debug for every dispatched event (default: false) */
+    debug?: boolean;
+    /** Parent instance for handler fallback, teardown and stats aggregation (set by `scope()`) */
+    parent?: YEH | null;
     /** Enable actionable target system (default: true) */
     enableActionableTargets?: boolean;
     /** Custom actionable attributes (default: ['data-action']) */
@@ -407,6 +1205,128 @@ export interface HandlerConfig {
     enableConfigValidation?: boolean;
     /** Enable handler method validation (default: true) */
     enableHandlerValidation?: boolean;
+    /**
+     * 🚨 Strict mode: ignore, warn or throw on mapping problems (default: null = only missing handlers warn)
+     *
+     * A single level applies to every category. `collect: true` gathers all problems found while
+     * constructing and throws them together as one error with a `diagnostics` list.
+     * Selector matches aren't checked with `live: true`. `'throw'` applies while constructing and
+     * in `addEvent()`; problems found while dispatching or by live registration are warned once.
+     *
+     * @example
+     * ```ts
+     * new YEH(mapping, aliases, { strict: { handlers: 'throw', selectors: 'warn', keys: 'throw', aliases: 'throw', collect: true } });
+     * ```
+     */
+    strict?: StrictLevel | StrictConfig | null;
+    /**
+     * Watch the DOM and attach/detach configured listeners when matching containers
+     * are inserted or removed after construction (default: false)
+     *
+     * @example
+     * ```ts
+     * // Modal rendered later still receives its click listener
+     * new YEH({ '.modal': ['click'] }, {}, { live: true });
+     * ```
+     */
+    live?: boolean;
+    /**
+     * Handler dispatch strategy when several containers match (default: 'closest')
+     *
+     * In `'bubble'` and `'capture'` mode a handler stops the chain by returning
+     * `false` or calling `context.stop()`.
+     *
+     * @example
+     * ```ts
+     * // Nested widget and analytics wrapper both see the same click
+     * new YEH({ '#app': ['click'], '.widget': ['click'] }, {}, { dispatchMode: 'bubble' });
+     * ```
+     */
+    dispatchMode?: DispatchMode;
+    /**
+     * Route events to handlers named by data attributes on the target (default: false)
+     *
+     * The closest element declaring an action wins; lookup order per element is
+     * `data-on="click:save input:validate"`, `data-action-{type}`, then `data-action`.
+     * Names resolve through class methods, `methods` and aliases. Remaining `data-*`
+     * attributes are parsed into `context.params`. Without an action attribute the
+     * configured handler (e.g. `handleClick`) runs as fallback.
+     *
+     * @example
+     * ```ts
+     * // <button data-action="save" data-id="5">Save</button>
+     * class App extends YEH {
+     *   constructor() { super({ '#app': ['click'] }, {}, { actionRouter: true }); }
+     *   save(event, target, containerElement, context) { console.log(context.params.id); } // 5
+     * }
+     * ```
+     */
+    actionRouter?: boolean;
+    /** Attribute holding the action name for the router (default: 'data-action') */
+    routerAttribute?: string;
+    /** Attribute holding per-event actions for the router (default: 'data-on') */
+    routerEventAttribute?: string;
+    /**
+     * Called when an async handler's promise rejects (default: logs via console.error)
+     *
+     * @example
+     * ```ts
+     * new YEH(mapping, {}, { onError: (error, context) => report(error, context.selector) });
+     * ```
+     */
+    onError?: ((this: YEH, error: unknown, context: DispatchContext) => void) | null;
+    /**
+     * 🛡️ **Error boundary** for handler exceptions and rejections (default: null)
+     *
+     * Receives the error plus the dispatch context (event, selector, handlerName,
+     * resolvedName, element, ...). Errors are swallowed unless `rethrowHandlerErrors`
+     * is set; `stopPropagation()` still runs. Without a boundary errors escape as before.
+     * Bus listeners that throw during `publish()` are reported here with a `BusErrorContext`.
+     *
+     * @example
+     * ```ts
+     * new YEH(mapping, {}, {
+     *   onHandlerError(error, { selector, event, resolvedName }) {
+     *     monitoring.capture(error, { selector, type: event.type, handler: resolvedName });
+     *   }
+     * });
+     * ```
+     */
+    onHandlerError?: ((this: YEH, error: unknown, context: DispatchContext | BusErrorContext) => void) | null;
+    /** Samples kept per handler for p50/p95 execution times (default: 200) */
+    statsSampleSize?: number;
+    /**
+     * Long-task budget in ms: handlers running longer trigger `onSlowHandler`
+     * or a console warning (default: null = off, works without `enableStats`)
+     *
+     * @example
+     * ```ts
+     * new YEH(mapping, {}, { slowHandlerThreshold: 50, onSlowHandler: info => report(info) });
+     * ```
+     */
+    slowHandlerThreshold?: number | null;
+    /** Receives slow handler reports instead of the console warning (default: null) */
+    onSlowHandler?: ((this: YEH, info: SlowHandlerInfo) => void) | null;
+    /** Rethrow handler errors after onHandlerError has been called (default: false) */
+    rethrowHandlerErrors?: boolean;
+    /** Attribute set to "true" on the resolved target while its async handler runs, e.g. 'aria-busy' (default: null) */
+    busyAttribute?: string | null;
+    /** Max milliseconds between the steps of a key sequence like 'g i' (default: 1000) */
+    keySequenceTimeout?: number;
+    /**
+     * 👆 Enable synthetic gesture types built on pointer events (default: false)
+     *
+     * `longpress`, `doubletap`, `swipeleft/right/up/down` and `dragstart/dragmove/dragend`
+     * become usable in the event mapping. Gestures bubble from the pointer's start target
+     * and resolve through closest-match like any other event. Pass an object to tune thresholds.
+     * While enabled, native HTML5 `dragstart`/`dragend` events are ignored by the mapping.
+     *
+     * @example
+     * ```ts
+     * new YEH({ '.card': ['swipeleft', 'longpress'] }, {}, { gestures: { longPressDelay: 400 } });
+     * ```
+     */
+    gestures?: boolean | GestureConfig;
 }
 
 /**
@@ -489,6 +1409,34 @@ export declare class YEH {
      */
     destroy(): this;
 
+    /**
+     * Create a scoped child instance whose selectors resolve inside `rootElement`
+     *
+     * The child is an instance of this instance's class (subclass methods resolve on the
+     * child, the subclass constructor isn't run again). It inherits config, `methods` and
+     * aliases, falls back to this instance's handlers (called with this instance as `this`),
+     * and is destroyed together with this instance or as soon as `rootElement` is removed
+     * from the DOM.
+     *
+     * @param rootElement - Root the child's selectors are queried from
+     * @param eventMapping - Event mapping for the child
+     * @param config - Config overrides for the child
+     * @returns The child instance
+     *
+     * @example
+     * ```ts
+     * const settings = app.scope(routeEl, { '.panel': ['click'] });
+     * routeEl.remove(); // settings is destroyed automatically
+     * ```
+     */
+    scope(rootElement: Element | ShadowRoot, eventMapping?: EventMapping, config?: HandlerConfig): YEH;
+
+    /** Parent instance of a scoped child, null otherwise */
+    parent: YEH | null;
+
+    /** Scoped child instances created through `scope()` */
+    children: Set<YEH>;
+
     /**
      * Check if user has meaningfully interacted with page
      * Useful for performance optimizations and analytics
@@ -501,7 +1449,7 @@ export declare class YEH {
     resetUserInteracted(): void;
 
     /**
-     * Clear DOM distance cache manually
+     * Clear DOM distance cache manually (happens automatically on DOM mutations)
      */
     clearDistanceCache(): void;
 
@@ -509,21 +1457,42 @@ export declare class YEH {
      * Throttle any function - limit execution to at most once per delay period
      * Uses leading+trailing edge execution for smooth performance
      * @param fn - Function to throttle
-     * @param delay - Minimum time between executions (milliseconds)
-     * @param key - Unique identifier for this throttle instance
-     * @returns Throttled function ready for use anywhere
+     * @param delay - Minimum time between executions (milliseconds), 'raf' or options
+     * @param key - Unique identifier for this throttle instance (independent state when omitted)
+     * @param onDrop - Called when a pending trailing call is replaced
+     * @returns Throttled function with flush()/cancel()
      */
-    throttle<T extends (...args: any[]) => void, K extends string = string>(fn: T, delay: number, key: ThrottleKey<K>): T;
+    throttle<T extends (...args: any[]) => void, K extends string = string>(fn: T, delay: ThrottleSetting, key?: ThrottleKey<K>, onDrop?: () => void): TimedFunction<T>;
 
     /**
      * Debounce any function - delay execution until after delay period of inactivity
      * Perfect for search inputs, resize handlers, validation
      * @param fn - Function to debounce
-     * @param delay - Wait time after last call before executing (milliseconds)
-     * @param key - Unique identifier for this debounce instance
-     * @returns Debounced function ready for use anywhere
+     * @param delay - Wait time after last call before executing (milliseconds), 'idle' or options
+     * @param key - Unique identifier for this debounce instance (independent state when omitted)
+     * @param onDrop - Called when a pending call is superseded
+     * @returns Debounced function with flush()/cancel()
+     */
+    debounce<T extends (...args: any[]) => void>(fn: T, delay: DebounceSetting, key?: DebounceKey, onDrop?: () => void): TimedFunction<T>;
+
+    /**
+     * Run pending throttled/debounced handler calls now
+     * @param selector - Only handlers registered for this selector
+     * @param eventType - Only this event type
+     * @example
+     * ```ts
+     * // Save the draft before leaving the page
+     * window.addEventListener('pagehide', () => app.flush('#editor', 'input'));
+     * ```
+     */
+    flush(selector?: string, eventType?: string): this;
+
+    /**
+     * Drop pending throttled/debounced handler calls without running them
+     * @param selector - Only handlers registered for this selector
+     * @param eventType - Only this event type
      */
-    debounce<T extends (...args: any[]) => void>(fn: T, delay: number, key: DebounceKey): T;
+    cancel(selector?: string, eventType?: string): this;
 
     /**
      * Get performance statistics (if enableStats: true)
@@ -540,15 +1509,50 @@ export declare class YEH {
             debounce: number;
         };
         distanceCache: {
+            /** Cached target/container pairs */
             size: number;
             enabled: boolean;
-            hitRate: string;
+            hits: number;
+            misses: number;
+            /** hits / (hits + misses), 0 before the first lookup */
+            hitRate: number;
+            /** Times the cache was reset (DOM mutation, size limit or clearDistanceCache()) */
+            invalidations: number;
         };
+        /** Error counts keyed by "selector|eventType|handler" */
+        handlerErrors: Record<string, number>;
+        /** Registered keyboard shortcuts */
+        shortcuts: ShortcutInfo[];
+        /** Runtime metrics per selector/type/handler */
+        handlers: HandlerMetrics[];
+        /** Number of scoped child instances (recursive); child stats are included in all totals */
+        scopes: number;
     } | null;
 
+    /**
+     * Reset runtime metrics (timings, drop/blocked/slow/error counts, distance cache counters),
+     * including scoped children
+     */
+    resetStats(): this;
+
+    /**
+     * 📈 **Export Metrics**
+     *
+     * Flattens `getStats()` into `{ name, value, tags }` entries for monitoring backends.
+     *
+     * @returns Snapshot, or null if stats are disabled
+     *
+     * @example
+     * ```ts
+     * navigator.sendBeacon('/metrics', JSON.stringify(app.exportStats()));
+     * app.resetStats();
+     * ```
+     */
+    exportStats(): { timestamp: number; metrics: { name: string; value: number; tags: Record<string, string> }[] } | null;
+
     /**
      * Add a single event listener dynamically
-     * @param target - CSS selector for target element
+     * @param target - CSS selector, or key of a `{ element, events, root }` entry (registers within its root)
      * @param eventConfig - Event type string or config object
      * @returns True if added, false if already exists
      */
@@ -556,44 +1560,144 @@ export declare class YEH {
 
     /**
      * Remove a specific event listener from target
-     * @param target - CSS selector for target element
+     * @param target - CSS selector or key of a `{ element, events, root }` entry
      * @param eventType - Event type to remove
+     * @param matches - Sub-selector of the config to remove (omit to remove all configs of this type)
      * @returns True if removed, false if not found
      */
-    removeEvent(target: string, eventType: string): boolean;
+    removeEvent(target: string, eventType: string, matches?: string | null): boolean;
 
     /**
      * Check if an event is currently registered
-     * @param target - CSS selector for target element
+     * @param target - CSS selector or key of a `{ element, events, root }` entry
      * @param eventType - Event type to check
+     * @param matches - Sub-selector to check (`null` = config without sub-selector, omit to check any)
      * @returns True if event exists
      */
-    hasEvent(target: string, eventType: string): boolean;
+    hasEvent(target: string, eventType: string, matches?: string | null): boolean;
+
+    /**
+     * 🧅 Register middleware around every dispatched handler (global or scoped)
+     *
+     * Runs after closest-handler resolution, right before the handler is called.
+     *
+     * @param fn - Middleware `(context, next) => any`
+     * @param scope - Limit to event types and/or selectors
+     * @returns this for method chaining
+     *
+     * @example
+     * ```ts
+     * handler
+     *   .use((ctx, next) => { console.log(ctx.selector, ctx.handlerName); return next(); })
+     *   .use((ctx, next) => isLoggedIn() ? next() : showLogin(), { type: 'click', selector: '#admin' })
+     *   .use((ctx, next) => { ctx.event.preventDefault(); return next(); }, { type: 'submit' });
+     * ```
+     */
+    use(fn: Middleware, scope?: MiddlewareScope): this;
+
+    /**
+     * Remove middleware registered with use()
+     * @param fn - Middleware function to remove
+     * @returns this for method chaining
+     */
+    unuse(fn: Middleware): this;
+
+    /**
+     * Check if an async handler registered for selector (and event type) is still running
+     * @param selector - Selector from the event mapping
+     * @param eventType - Event type (omit to check all types)
+     * @returns True if at least one run is pending
+     *
+     * @example
+     * ```ts
+     * if (!handler.isPending('#checkout', 'submit')) showSpinner(false);
+     * ```
+     */
+    isPending(selector: string, eventType?: string): boolean;
+
+    /**
+     * ⌨️ List all registered keyboard shortcuts - perfect for rendering a help overlay
+     *
+     * @example
+     * ```ts
+     * handler.getShortcuts().forEach(({ keys, description }) => addHelpRow(keys.join(' / '), description));
+     * ```
+     */
+    getShortcuts(): ShortcutInfo[];
+
+    /**
+     * Read the action name an element declares for an event type
+     * (`data-on` pairs, then `data-action-{type}`, then `data-action`)
+     * @param element - Element to inspect
+     * @param eventType - Event type
+     * @returns Action name or null
+     */
+    getRouteAction(element: Element, eventType: string): string | null;
+
+    /**
+     * Convert a data-* attribute string to a boolean, number (exact round-trips only) or JSON value when possible
+     * @param value - Raw attribute value
+     */
+    static parseAttributeValue(value: string): any;
+
+    /**
+     * Parse a shortcut like 'mod+shift+s' or a sequence like 'g i' into key combos
+     * @param shortcut - Shortcut string
+     */
+    static parseShortcut(shortcut: string): KeyCombo[];
+
+    /**
+     * Check a keyboard event against a parsed key combo
+     */
+    static matchesKeyCombo(combo: KeyCombo, event: KeyboardEvent): boolean;
+
+    /**
+     * Detect Apple platforms (`mod` resolves to Meta there)
+     */
+    static isMacPlatform(): boolean;
 
     /**
      * Static throttle utility - Works without any instances
      * @param fn - Function to throttle
-     * @param delay - Minimum time between executions
-     * @param key - Unique identifier (default: 'default')
+     * @param delay - Minimum time between executions, 'raf' or options
+     * @param key - Share state between wrappers created with the same key (independent when omitted)
      */
-    static throttle<T extends (...args: any[]) => void>(fn: T, delay: number, key?: string): T;
+    static throttle<T extends (...args: any[]) => void>(fn: T, delay: ThrottleSetting, key?: string): TimedFunction<T>;
 
     /**
      * Static debounce utility - Works without any instances
      * @param fn - Function to debounce
-     * @param delay - Wait time after last call before executing
-     * @param key - Unique identifier (default: 'default')
+     * @param delay - Wait time after last call before executing, 'idle' or options
+     * @param key - Share state between wrappers created with the same key (independent when omitted)
      */
-    static debounce<T extends (...args: any[]) => void>(fn: T, delay: number, key?: string): T;
+    static debounce<T extends (...args: any[]) => void>(fn: T, delay: DebounceSetting, key?: string): TimedFunction<T>;
+
+    /**
+     * Normalize a throttle/debounce setting
+     * @param value - ms, 'raf', 'idle' or options
+     * @param kind - Which defaults to apply (throttle is leading, debounce is not)
+     */
+    static normalizeTiming(value: ThrottleSetting | DebounceSetting, kind: 'throttle' | 'debounce'): {
+        wait: number;
+        leading: boolean;
+        trailing: boolean;
+        maxWait: number | null;
+        scheduler: 'timeout' | 'raf' | 'idle';
+    };
 
     /**
      * Static dispatch method for framework-independent event broadcasting
      * @param type - Event type to dispatch
      * @param detail - Event detail payload
      * @param target - Target element (defaults to document)
-     * @returns The dispatched CustomEvent
+     * @returns The dispatched CustomEvent, null without a DOM (Node)
+     */
+    static dispatch<T = any>(type: string, detail?: T, target?: EventTarget): CustomEvent<T> | null;
+
+    /**
+     * Default dispatch target: document, or null outside a DOM environment
      */
-    static dispatch<T = any>(type: string, detail?: T, target?: EventTarget): CustomEvent<T>;
+    static getDefaultTarget(): Document | null;
 
     /**
      * Check passive listener support globally (cached across all instances)
@@ -607,6 +1711,21 @@ export declare class YEH {
      */
     static _passiveSupportCache: boolean | undefined;
 
+    /**
+     * Synthetic gesture event types (see `gestures` config)
+     */
+    static GESTURE_TYPES: GestureType[];
+
+    /**
+     * Bus mode (`bus: true`): subscribe to a topic or wildcard pattern
+     *
+     * @example
+     * ```ts
+     * bus.on('user:*', (payload, { topic }) => log(topic), { namespace: 'audit', priority: 10 });
+     * ```
+     */
+    on<K extends string>(topic: K, handler: string | BusHandler<BusPayload<K>>, options?: BusListenerOptions): this;
+
     /**
      * 🔗 **Fluent API: Register Event Listener**
      *
@@ -648,6 +1767,8 @@ export declare class YEH {
      * ```
      */
     subscribe(type: string, handler: string | EventHandlerFunction, target?: string): this;
+    /** Bus mode (`bus: true`): same as the bus form of `on()` */
+    subscribe<K extends string>(topic: K, handler: string | BusHandler<BusPayload<K>>, options?: BusListenerOptions): this;
 
     /**
      * 🔗 **Fluent API: Emit Custom Event**
@@ -669,6 +1790,311 @@ export declare class YEH {
      * ```
      */
     emit<T = any>(type: string, detail?: T, target?: string | EventTarget): this;
+
+    /**
+     * 📡 **Event Bus: Subscribe Once**
+     *
+     * Subscribe to a bus topic for a single publish.
+     *
+     * @param topic - Topic or wildcard pattern (`'user:*'` one segment, `'user:**'` / `'**'` any depth)
+     * @param handler - Function or method name (resolved through class, `methods` and aliases)
+     * @param options - Namespace and priority
+     */
+    once<K extends string>(topic: K, handler: string | BusHandler<BusPayload<K>>, options?: BusListenerOptions): this;
+
+    /**
+     * 📡 **Event Bus: Unsubscribe**
+     *
+     * `off()` removes every bus listener, `off('.ns')` a namespace, `off(topic)` every
+     * listener of a topic/pattern and `off(topic, handler)` a single listener.
+     * Without bus mode `off(type, handler, target)` also removes listeners added with `on()`
+     * (only those of `handler` when given); configs from the event mapping are kept.
+     *
+     * @example
+     * ```ts
+     * bus.off('.myModule'); // Module teardown
+     * ```
+     */
+    off(topic?: string, handler?: string | BusHandler | EventHandlerFunction, target?: string): this;
+
+    /**
+     * 📡 **Event Bus: Publish**
+     *
+     * Calls matching bus listeners synchronously, highest priority first. Works without
+     * a DOM (workers, Node tests); `emit()` publishes too when `bus` is enabled and only
+     * dispatches a DOM event when a target is given. A throwing listener is reported to
+     * `onHandlerError` (or the console) and the remaining listeners still run.
+     *
+     * @param topic - Topic name, segments separated by `:` or `.`
+     * @param payload - Data passed to every listener
+     * @returns Return values of the called listeners, in call order
+     *
+     * @example
+     * ```ts
+     * const [allowed] = bus.publish('nav:before-leave', { route: '/settings' });
+     * ```
+     */
+    publish<K extends string>(topic: K, payload?: BusPayload<K>): any[];
+
+    /**
+     * 🔍 **Explain Dispatch**
+     *
+     * Lists every handler registered for `eventType` with its distance and status,
+     * the dispatch chain, the winner and the alias/handler resolution trail. Nothing
+     * is invoked, `when` guards included. Pass the real event to evaluate keyboard shortcut configs.
+     *
+     * @param element - Event target to analyse
+     * @param eventType - Event type
+     * @param event - Optional real event (for `keys` configs)
+     *
+     * @example
+     * ```ts
+     * app.explain(document.querySelector('#icon')!, 'click').reason;
+     * // "No actionable target between target and container (attributes: data-action; ...)"
+     * ```
+     */
+    explain(element: EventTarget, eventType: string, event?: Event): Explanation;
+
+    /**
+     * Strict mode problems reported so far (warned or thrown)
+     */
+    getDiagnostics(): Diagnostic[];
+
+    /**
+     * 🎬 **Start Recording**
+     *
+     * Logs every handled event (type, target selector path, resolved handlers,
+     * relevant event fields, form values and timing) until `stopRecording()`.
+     */
+    startRecording(): this;
+
+    /**
+     * 🎬 **Stop Recording**
+     *
+     * @returns The JSON-safe recording, or null if not recording
+     *
+     * @example
+     * ```ts
+     * app.startRecording();
+     * // ... reproduce the bug ...
+     * const trace = JSON.stringify(app.stopRecording()); // Attach to the bug report
+     * ```
+     */
+    stopRecording(): Recording | null;
+
+    /**
+     * 🎬 **Replay Recording**
+     *
+     * Re-dispatches recorded events against the current DOM (restoring form values first)
+     * and reports whether the same handlers ran.
+     *
+     * @param recording - Recording or its JSON
+     * @param options - Playback speed and step mode
+     *
+     * @example
+     * ```ts
+     * // jsdom regression test
+     * const player = app.replay(trace, { step: true });
+     * while (player.step());
+     * expect(player.results.every(r => r.matched)).toBe(true);
+     * ```
+     */
+    replay(recording: Recording | string, options?: ReplayOptions): ReplayPlayer;
+
+    /**
+     * Build a stable selector for an element (closest id plus :nth-child steps)
+     */
+    static getSelectorPath(element: EventTarget | null, root?: Node): string | null;
+
+    /**
+     * Event fields captured by the recorder
+     */
+    static RECORDED_FIELDS: string[];
+
+    /**
+     * 🤝 **Request/Response**
+     *
+     * Resolves with the return value (or awaited promise) of the first responder:
+     * bus listeners answer first, then handlers reached by a bubbling CustomEvent
+     * whose `detail` is the payload. Rejects when nobody responds, the responder
+     * throws or rejects, or the timeout elapses. Throttled/debounced handlers never respond.
+     *
+     * @param type - Topic or event type
+     * @param payload - Request payload (`event.detail` for DOM responders)
+     * @param options - `timeout` in ms (0 = none) and DOM `target` (default: document)
+     *
+     * @example
+     * ```ts
+     * // Responder: { type: 'get-user', handler: 'provideUser' } in the event mapping
+     * const user = await app.request('get-user', { id: 7 }, { timeout: 2000 });
+     * ```
+     */
+    request<T = any, K extends string = string>(type: K, payload?: BusPayload<K>, options?: RequestOptions): Promise<T>;
+
+    /**
+     * 🌉 **Cross-Context Bridge**
+     *
+     * Forwards matching `emit()` calls over a BroadcastChannel (tabs), window `postMessage`
+     * (iframes, opener) or a Worker/MessagePort, and re-dispatches incoming ones through
+     * `dispatch()` (plus `publish()` in bus mode). `detail` is copied into a structured-clone
+     * safe shape, window messages are filtered by source and origin, and messages never loop
+     * back to an instance that already sent or relayed them. Bridges close on `destroy()`.
+     *
+     * @param channel - BroadcastChannel, channel name, Window, Worker or MessagePort
+     * @param options - Bridged types, allowed origins and re-dispatch target
+     *
+     * @example
+     * ```ts
+     * app.bridge('my-app', { types: ['cart:*'] });                           // Across tabs
+     * app.bridge(frame.contentWindow!, { types: ['theme'], origin: 'https://widgets.example' });
+     * app.bridge(worker, { types: ['compute:**'] });
+     * ```
+     */
+    bridge(channel: BridgeChannel, options: BridgeOptions): this;
+
+    /**
+     * Stop bridging a channel (or all channels); channels created from a name are closed
+     */
+    unbridge(channel?: BridgeChannel): this;
+
+    /**
+     * 📝 **Form Binding** - Validate fields as they change and on submit
+     *
+     * Emits `form:valid` / `form:invalid` when validity changes (and on every submit) and `form:submit`
+     * when a submit passes. Errors toggle `aria-invalid` and fill `[data-error-for="fieldName"]` elements.
+     * Custom messages: `data-error` or `data-error-<rule>` on the field.
+     *
+     * @param selector - Form selector; the binding owns its submit handler (default prevented)
+     * @example
+     * ```ts
+     * app.bindForm('#signup', { validators: { email: 'required|email', password: ['required', v => v.length >= 8 || 'Too short'] } })
+     *    .on('form:submit', 'signup'); // signup(event) receives event.detail.values
+     * ```
+     */
+    bindForm(selector: string, options?: FormBindOptions): this;
+
+    /**
+     * Remove a form binding
+     */
+    unbindForm(selector: string): this;
+
+    /**
+     * 🗃️ **Reactive Store** - Built-in replacement for a hand-wired Proxy + emit()
+     *
+     * Mutations emit `state:<path>` for the changed path and every ancestor (`state:cart.items`, `state:cart`,
+     * `state`) once per microtask, with a {@link StoreChange} detail. `data-bind="cart.count"` elements get their
+     * text (or form value) and `data-bind-class="is-open: ui.open"` elements their classes updated in the next frame;
+     * use `data-bind="prefix:path"` for stores with another prefix.
+     *
+     * @example
+     * ```ts
+     * const store = app.createStore({ cart: { items: [], count: 0 } });
+     * // mapping: document: [{ type: 'state:cart.items', handler: 'renderCart' }]
+     * store.state.cart.items.push(item);
+     * store.update('cart.count', n => n + 1);
+     * ```
+     */
+    createStore<T extends object>(initial?: T, options?: StoreOptions): Store<T>;
+
+    /**
+     * Read a dot path from an object ('' returns the object)
+     */
+    static getStorePath(object: any, path: string): any;
+
+    /**
+     * Validate every field of a bound form and show all errors
+     * @param form - Form element or selector
+     */
+    validateForm(form: string | HTMLFormElement): Promise<FormResult>;
+
+    /**
+     * Serialize a form into a nested object (disabled fields and buttons are skipped)
+     */
+    static serializeForm(form: HTMLFormElement): Record<string, any>;
+
+    /**
+     * Split a field name into path segments: `'a[b][]'` -> `['a', 'b', '']`
+     */
+    static parseFieldName(name: string): string[];
+
+    /**
+     * Set a value at a field path (numeric and `[]` segments create arrays)
+     */
+    static setFieldValue(values: Record<string, any>, path: string[], value: any, asList?: boolean): void;
+
+    /**
+     * Read the value at a field path
+     */
+    static getFieldValue(values: Record<string, any>, path: string[]): any;
+
+    /**
+     * Empty form value check: null, undefined, '', false or []
+     */
+    static isEmptyValue(value: any): boolean;
+
+    /**
+     * Built-in validation rules (extendable): `(value, arg, field) => boolean`
+     */
+    static FORM_RULES: Record<string, (value: any, arg: string | null, field: Element) => boolean>;
+
+    /**
+     * Default messages per rule, `{arg}` is replaced by the rule argument
+     */
+    static FORM_MESSAGES: Record<string, string>;
+
+    /**
+     * High resolution timestamp in milliseconds (`performance.now()` with Date.now() fallback)
+     */
+    static now(): number;
+
+    /**
+     * Copy a value into a structured-clone-safe shape (drops functions, symbols, DOM nodes, events)
+     */
+    static toCloneable<T = any>(value: T): any;
+
+    /**
+     * Compile a bus topic pattern into a matcher (null for plain topics)
+     */
+    static compileTopicPattern(pattern: string): RegExp | null;
+
+    /**
+     * Analyze a mapping without a DOM: missing handlers, unused aliases and alias targets, duplicate configs,
+     * throttle/debounce conflicts, `prevent: true` on passive listeners and invalid config values.
+     * Handlers are looked up on `HandlerClass.prototype` and `config.methods`; a class that isn't
+     * YEH or a subclass is reported as an `invalid-class` error.
+     *
+     * @example
+     * ```ts
+     * const { valid, issues } = YEH.analyze(mapping, aliases, AppHandler);
+     * if (!valid) process.exit(1);
+     * ```
+     */
+    static analyze(mapping: Record<string, any>, aliases?: Record<string, Record<string, string>>, HandlerClass?: new (...args: any[]) => YEH, config?: HandlerConfig): AnalysisResult;
+
+    /**
+     * JSON Schema (draft-07) of the event mapping, for editor validation of mapping files
+     */
+    static getMappingSchema(): Record<string, any>;
+
+    /**
+     * Config defaults merged under every instance config
+     */
+    static DEFAULT_CONFIG: HandlerConfig;
+
+    /**
+     * Event types registered as passive unless `passiveEvents` is configured
+     */
+    static DEFAULT_PASSIVE_EVENTS: string[];
+
+    /**
+     * Categories accepted by the `strict` config
+     */
+    static STRICT_CATEGORIES: Array<keyof Omit<StrictConfig, 'collect'>>;
+
+    /**
+     * Keys known in event config objects (others are reported by `strict.keys` and `analyze()`)
+     */
+    static EVENT_CONFIG_KEYS: string[];
 }
 
 /**
@@ -691,6 +2117,9 @@ export declare class YEH {
  */
 declare global {
     interface YpsilonEventMap {
+        'form:valid': FormResult;
+        'form:invalid': FormResult;
+        'form:submit': FormResult;
         // Add your custom events here!
         // Example:
         // 'eventName': { userId: string; action: string };
@@ -7,45 +7,83 @@
 class YEH {
     constructor(eventMapping = {}, aliases = {}, config = {}) {
         this.config = {
-            enableStats: false,
-            methods: null,
-            enableGlobalFallback: false,
-            methodsFirst: false,
-            passiveEvents: null,
-            abortController: false,
-            autoTargetResolution: false,
-            targetResolutionEvents: null,
-            enableConfigValidation: true,
-            enableHandlerValidation: true,
+            ...YEH.DEFAULT_CONFIG,
             ...config
         };
         this.eventMapping = eventMapping;
         this.aliases = aliases;
+
+        // Scoped instances: children are destroyed with their parent and reported in its stats
+        this.parent = this.config.parent;
+        this.children = new Set();
+        this.scopeObserver = null;
+        this.scopeRoots = new Set();
+        if (this.parent) this.parent.children.add(this);
+
+        // Selector root (document, ShadowRoot or element) and shadow-DOM aware target resolution
+        this.root = this.config.root || (typeof document !== 'undefined' ? document : null);
+        this.composed = this.config.composed !== null
+            ? this.config.composed
+            : typeof ShadowRoot !== 'undefined' && this.root instanceof ShadowRoot;
         this.enableStats = this.config.enableStats;
         this.methods = this.config.methods || {};
         this.enableGlobalFallback = this.config.enableGlobalFallback;
         this.methodsFirst = this.config.methodsFirst;
+        this.dispatchMode = this.config.dispatchMode;
         this.eventListeners = new Map();
+        this.listenerKeyCounts = new Map();
         this.elementHandlers = new WeakMap();
         this.eventHandlerMap = new Map();
         this.throttleTimers = new Map();
         this.debounceTimers = new Map();
+        this.pendingHandlers = new Map();
+        this.busyTargets = new WeakMap();
+        this.handlerErrors = new Map();
+        this.handlerMetrics = new Map();
+        this.consumedHandlers = new WeakSet();
+        this.handledEvents = new WeakMap();
+        this.keySequences = new WeakMap();
+        this.shortcutMatches = new WeakMap();
+        this.middleware = [];
+        this.busListeners = [];
+        this.domListenerConfigs = new WeakSet();
+        this.bridges = [];
+        this.bridgeId = null;
+        this.bridgeInbound = null;
+        this.formBindings = new Map();
+        this.formStates = new WeakMap();
+        this.stores = new Set();
+        this.recording = null;
+        this.replayCapture = null;
+        this.parsedShortcuts = new Map();
         this.userHasInteracted = false;
         this.passiveSupported = false;
-        this.passiveEvents = this.config.passiveEvents || [
-            'scroll', 'touchstart', 'touchmove', 'touchend', 'touchcancel',
-            'wheel', 'mousewheel', 'pointermove', 'pointerenter', 'pointerleave',
-            'resize', 'orientationchange', 'load', 'beforeunload', 'unload'
-        ];
+        this.passiveEvents = (this.config.passiveEvents || YEH.DEFAULT_PASSIVE_EVENTS).slice(); // Own copy, never the shared default
 
         this.handlerPrefix = this.config.handlerPrefix !== undefined ? this.config.handlerPrefix : 'handle';
         this.abortController = this.config.abortController ? new AbortController() : null;
         this.autoTargetResolution = this.config.autoTargetResolution;
         this.targetResolutionEvents = this.config.targetResolutionEvents || ['click', 'touchstart', 'touchend', 'mousedown', 'mouseup'];
 
-        // DOM Distance Cache for performance optimization
-        this.distanceCache = new Map();
+        // Synthetic gesture layer (longpress, swipe*, doubletap, drag*) built on pointer events
+        this.gestureConfig = this.config.gestures ? {
+            longPressDelay: 500,    // ms the pointer must rest for longpress
+            moveTolerance: 10,      // px of movement before a press becomes a drag
+            swipeThreshold: 30,     // px of travel for a swipe
+            swipeTimeout: 500,      // max ms for a swipe
+            doubleTapDelay: 300,    // max ms between taps
+            doubleTapDistance: 30,  // max px between taps
+            ...(typeof this.config.gestures === 'object' ? this.config.gestures : {})
+        } : null;
+        this.gestureListener = null;
+        this.gestureState = null;
+        this.lastTap = null;
+
+        // DOM Distance Cache for performance optimization, keyed by element identity (target -> container -> distance)
+        // Entries of removed elements are garbage collected, the DOM observer resets it on structural changes
+        this.distanceCache = new WeakMap();
         this.enableDistanceCache = this.config.enableDistanceCache !== false; // Default: enabled
+        this.distanceCacheStats = { size: 0, hits: 0, misses: 0, invalidations: 0 };
 
         // Configurable actionable target patterns
         this.actionableConfig = {
@@ -55,930 +93,4712 @@ class YEH {
             enabled: this.config.enableActionableTargets !== false // Default: enabled
         };
 
-        if (this.config.enableConfigValidation) {
-            this.validateConfiguration();
+        // Strict mode findings (see reportDiagnostic()), pendingDiagnostics collects them while constructing
+        this.diagnostics = [];
+        this.pendingDiagnostics = null;
+        this.registeringLive = false;
+
+        try {
+            this.collectDiagnostics(() => {
+                if (this.config.enableConfigValidation) {
+                    this.validateConfiguration();
+                } else {
+                    this.validateStrictFindings(); // Strict checks don't depend on config validation
+                }
+
+                // Invalid configs can't be registered, report what was collected so far
+                if (this.pendingDiagnostics && this.pendingDiagnostics.some(diagnostic => diagnostic.category === 'config')) return;
+
+                this.detectPassiveSupport();
+                this.registerEvents();
+            });
+        } catch (error) {
+            this.destroy(); // Don't leave listeners of a failed instance behind
+            throw error;
         }
 
-        this.detectPassiveSupport();
-        this.registerEvents();
+        // Live registration and distance cache invalidation for DOM changes after construction
+        this.domObserver = null;
+        this.observedRoots = new Set();
+        if (this.config.live || this.enableDistanceCache) {
+            this.observeDOM();
+        }
     }
 
     handleEvent(event) {
         const handlers = this.eventHandlerMap.get(event.type);
         if (!handlers || handlers.length === 0) return;
 
-        this.checkUserInteraction(event);
-
-        // Find the closest handler by checking which element is closest to event.target
-        let closestHandler = null;
-        let closestDistance = Infinity;
+        if (this.gestureConfig && YEH.GESTURE_TYPES.includes(event.type) && !this.isOwnGestureEvent(event)) {
+            return; // Native drag events or gestures recognized by another instance
+        }
 
-        for (const handlerInfo of handlers) {
-            const distance = this.calculateDistanceWithCache(event.target, handlerInfo.element);
+        this.checkUserInteraction(event);
+        this.flushMutations();
 
-            if (distance !== Infinity && distance < closestDistance) {
-                closestDistance = distance;
-                closestHandler = handlerInfo;
-            }
+        if (this.config.debug) {
+            const explanation = this.explain(this.getEventTarget(event), event.type, event);
+            console.debug(`YEH: ${event.type} → ${explanation.reason}`, explanation);
         }
 
-        if (closestHandler) {
-            const handler = this.resolveHandler(closestHandler.handler, event.type);
-            if (handler) {
-                // Use smart target resolution for problematic events if enabled
-                let resolvedTarget = event.target;
-                if (this.autoTargetResolution && this.targetResolutionEvents.includes(event.type)) {
-                    const actionableTarget = this.findActionableTarget(event.target, closestHandler.element);
+        // Collect every handler whose container contains event.target, closest first
+        // Throttled/debounced configs dispatch through their own listener (see createWrappedHandler())
+        // Events that keep propagating (stop: false) reach outer listeners again, skip handlers this event already claimed
+        const claimed = this.handledEvents.get(event);
+        const candidates = this.collectCandidates(event, handlers.filter(handlerInfo => !this.isTimedConfig(handlerInfo.config)
+            && !(claimed && claimed.has(handlerInfo))));
+        if (candidates.length === 0) return;
 
-                    if (actionableTarget) {
-                        resolvedTarget = actionableTarget;
-                    } else if (this.actionableConfig.enabled) {
-                        return; // If no actionable target found, block event
-                    }
-                    // If actionable config is disabled, keep original target (backward compatibility)
-                }
-                // Find the actual closest matching element for this event target
-                const actualClosestElement = this.findClosest(event.target, closestHandler.selector);
-                handler.call(this, event, resolvedTarget, actualClosestElement);
-                event.stopPropagation();
-                return;
-            }
-        }
+        this.dispatchChain(event, this.orderCandidates(candidates), this.dispatchMode === 'closest');
     }
 
-    on(type, handler, target) {
-        this.addEvent(target || 'document', { type, handler });
-        return this;
+    /**
+     * Order candidates for the dispatch mode: closest first, outermost first in 'capture' mode
+     * @private
+     */
+    orderCandidates(candidates) {
+        return this.dispatchMode === 'capture' ? candidates.slice().reverse() : candidates;
     }
 
-    subscribe(type, handler, target) {
-        this.on(type, handler, target);
-        return this;
-    }
+    /**
+     * Invoke candidates in order (only the first that passes its when() guard with firstOnly),
+     * then stop propagation, record and rethrow as configured
+     * @private
+     */
+    dispatchChain(event, candidates, firstOnly = false) {
+        if (!this.handledEvents.has(event)) this.handledEvents.set(event, new Set());
+        const claimed = this.handledEvents.get(event);
+
+        let failed = null;
+        let stopPropagation = false;
+        const invoked = [];
+        let routed = false;
+        for (const candidate of candidates) {
+            // Further router containers would route the same element again, an action runs once per event
+            if (routed && this.isRouterEnabled(candidate.handlerInfo.config)) {
+                claimed.add(candidate.handlerInfo);
+                continue;
+            }
 
-    emit(type, detail, target) {
-        if (typeof target === 'string') {
-            target = document.querySelector(target);
+            // when() guards only run for the candidate next in line, losing containers never see the event
+            if (this.getWhenFailure(candidate.handlerInfo, event, candidate.match || candidate.target)) continue;
+
+            // Claimed when selected (not when run), outer listeners of a propagating event skip it either way
+            claimed.add(candidate.handlerInfo);
+            const context = this.invokeHandler(event, candidate);
+
+            // Middleware that never called next() skipped the handler, it neither counts nor stops propagation
+            if (context && !context.skipped) {
+                invoked.push(context.resolvedName);
+                // stop: false opts out of stopping propagation
+                if (typeof candidate.handlerInfo.config !== 'object' || candidate.handlerInfo.config.stop !== false) {
+                    stopPropagation = true;
+                }
+            }
+            if (context && context.error !== undefined && !failed) failed = context;
+
+            if (context && context.action) routed = true;
+            if (firstOnly || (context && context.stopped)) break;
         }
-        this.dispatch(type, detail, target || document);
-        return this;
-    }
 
-    hasUserInteracted() {
-        return this.userHasInteracted;
-    }
+        if (invoked.length > 0) {
+            if (stopPropagation) event.stopPropagation();
 
-    resetUserInteracted() {
-        this.userHasInteracted = false;
-    }
+            if (this.recording) this.recordEvent(event, invoked);
+            if (this.replayCapture) this.replayCapture.push(...invoked);
+        }
 
-    checkUserInteraction(event) {
-        if (!this.userHasInteracted && !this.passiveEvents.includes(event.type)) {
-            this.userHasInteracted = true;
+        // Without an error boundary (or with rethrow enabled) the first error escapes as before
+        if (failed && (!this.config.onHandlerError || this.config.rethrowHandlerErrors)) {
+            throw failed.error;
         }
     }
 
     /**
-     * Calculate DOM distance with caching for performance optimization
+     * Check the once/self/ignoreDisabled modifiers of a handler entry (side-effect free, see getWhenFailure())
+     * @returns {string|null} - Why the entry is skipped, null if it applies
      * @private
      */
-    calculateDistanceWithCache(target, container) {
-        if (!this.enableDistanceCache) {
-            return this.calculateDOMDistance(target, container);
-        }
-
-        // Create cache key based on both elements
-        const cacheKey = `${this.getElementKey(target)}-${this.getElementKey(container)}`;
+    getGuardFailure(handlerInfo, target, match) {
+        const config = handlerInfo.config;
+        if (typeof config !== 'object') return null;
 
-        if (this.distanceCache.has(cacheKey)) {
-            return this.distanceCache.get(cacheKey);
+        if (config.once && this.consumedHandlers.has(handlerInfo)) {
+            return 'once: Already handled';
         }
 
-        const distance = this.calculateDOMDistance(target, container);
+        if (config.self && target !== (match || handlerInfo.element)) {
+            return 'self: Target is a descendant, not the element itself';
+        }
 
-        // Cache the result for future lookups
-        this.distanceCache.set(cacheKey, distance);
+        if (config.ignoreDisabled && this.isDisabledTarget(target, handlerInfo.element)) {
+            return 'ignoreDisabled: Target is disabled';
+        }
 
-        return distance;
+        return null;
     }
 
     /**
-     * Calculate actual DOM distance between elements
+     * Run the when() guard of a handler entry (user code, so only for the candidate about to be invoked)
+     * @returns {string|null} - Why the entry is skipped, null if it applies
      * @private
      */
-    calculateDOMDistance(target, container) {
-        if (container === document || container === window) {
-            return 1000; // Low priority for document/window
-        }
+    getWhenFailure(handlerInfo, event, target) {
+        const config = handlerInfo.config;
+        if (typeof config !== 'object' || !config.when) return null;
 
-        if (!container.contains || !container.contains(target)) {
-            return Infinity; // Not contained
-        }
+        const when = typeof config.when === 'function' ? config.when : this.resolveHandler(config.when, event.type);
 
-        let distance = 0;
-        let current = target;
+        if (!when) {
+            this.validateResolvedHandler(config.when, event.type, null, this.resolveMethodName(config.when, event.type), true);
+            return `when: Guard '${config.when}' not found`;
+        }
 
-        while (current && current !== container) {
-            current = current.parentNode;
-            distance++;
+        if (!when.call(this, event, target, handlerInfo.element)) {
+            return 'when: Guard returned false';
         }
 
-        return distance;
+        return null;
     }
 
     /**
-     * Clear distance cache (useful for dynamic DOM changes)
+     * Check if the target or an ancestor up to the boundary is disabled (disabled or aria-disabled="true")
+     * @private
      */
-    clearDistanceCache() {
-        this.distanceCache.clear();
+    isDisabledTarget(target, boundary) {
+        let current = target;
+
+        while (current && current.nodeType === 1) {
+            if (current.disabled === true || (current.getAttribute && current.getAttribute('aria-disabled') === 'true')) {
+                return true;
+            }
+            if (current === boundary) break;
+            current = this.getParentElement(current);
+        }
+
+        return false;
     }
 
     /**
-     * Validate configuration and provide helpful error messages
+     * Collect handlers for an event sorted by DOM distance (closest first)
      * @private
      */
-    validateConfiguration() {
-        if (!this.eventMapping || typeof this.eventMapping !== 'object') {
-            throw new Error('YEH: eventMapping must be a non-null object');
-        }
+    collectCandidates(event, handlers) {
+        const candidates = [];
+        const target = this.getEventTarget(event);
 
-        for (const [selector, config] of Object.entries(this.eventMapping)) {
-            this.validateSelectorConfig(selector, config);
+        for (const handlerInfo of handlers) {
+            const matches = typeof handlerInfo.config === 'object' ? handlerInfo.config.matches : null;
+
+            // Keyboard shortcut configs only apply when the key combo (or sequence) matches
+            if (typeof handlerInfo.config === 'object' && handlerInfo.config.keys && !this.matchesShortcut(handlerInfo, event)) {
+                continue;
+            }
+
+            // Sub-selector configs only apply when a matching descendant was hit
+            if (matches) {
+                const match = this.findSubSelectorMatch(target, matches, handlerInfo.element);
+                if (match && this.calculateDistanceWithCache(target, handlerInfo.element) !== Infinity
+                    && !this.getGuardFailure(handlerInfo, target, match)) {
+                    candidates.push({ handlerInfo, distance: this.calculateDOMDistance(target, match), match, target });
+                }
+                continue;
+            }
+
+            const distance = this.calculateDistanceWithCache(target, handlerInfo.element);
+
+            if (distance !== Infinity && !this.getGuardFailure(handlerInfo, target, null)) {
+                candidates.push({ handlerInfo, distance, target });
+            }
         }
 
-        this.validateActionableConfig();
+        // Stable sort keeps registration order for equal distances
+        return candidates.sort((a, b) => a.distance - b.distance);
     }
 
     /**
-     * Validate individual selector configuration
+     * Resolve and call the handler of a single candidate
+     * @returns {object|null} - Dispatch context, or null if the handler was not called
      * @private
      */
-    validateSelectorConfig(selector, config) {
-        if (!selector || typeof selector !== 'string') {
-            throw new Error(`YEH: Selector must be a non-empty string, got: ${typeof selector}`);
+    invokeHandler(event, candidate) {
+        const { handlerInfo, distance, match, target } = candidate;
+
+        // Action router: data-action/data-on on the target picks the handler, configured handler is the fallback
+        const route = this.isRouterEnabled(handlerInfo.config)
+            ? this.resolveRoute(match || target, handlerInfo.element, event.type)
+            : null;
+
+        const handler = route ? route.handler : this.resolveHandler(handlerInfo.handler, event.type);
+        if (!handler) return null;
+
+        // Sub-selector match or routed element is the target, otherwise use smart target resolution for problematic events if enabled
+        let resolvedTarget = route ? route.target : (match || target);
+        if (!route && !match && this.autoTargetResolution && this.targetResolutionEvents.includes(event.type)) {
+            const actionableTarget = this.findActionableTarget(target, handlerInfo.element);
+
+            if (actionableTarget) {
+                resolvedTarget = actionableTarget;
+            } else if (this.actionableConfig.enabled) {
+                if (this.enableStats) {
+                    this.getMetricEntry(handlerInfo.selector, event.type, this.resolveMethodName(handlerInfo.handler, event.type)).blocked++;
+                }
+                return null; // If no actionable target found, block event
+            }
+            // If actionable config is disabled, keep original target (backward compatibility)
         }
 
-        if (!Array.isArray(config)) {
-            throw new Error(`YEH: Config for selector "${selector}" must be an array, got: ${typeof config}`);
+        // Find the actual closest matching element for this event target
+        const actualClosestElement = this.findClosest(target, handlerInfo.selector);
+        const context = this.createDispatchContext(event, handlerInfo, resolvedTarget, actualClosestElement, distance);
+        context.resolvedName = this.resolveMethodName(route ? route.action : handlerInfo.handler, event.type);
+        if (route) {
+            context.action = route.action;
+            context.params = route.params;
         }
 
-        if (config.length === 0) {
-            throw new Error(`YEH: Config for selector "${selector}" cannot be empty`);
+        if (typeof handlerInfo.config === 'object') {
+            if (handlerInfo.config.prevent) event.preventDefault();
+            if (handlerInfo.config.once) this.consumedHandlers.add(handlerInfo);
         }
 
-        config.forEach((eventConfig, index) => {
-            this.validateEventConfig(selector, eventConfig, index);
-        });
+        this.executeHandler(handler, handlerInfo, context);
+
+        return context;
     }
 
     /**
-     * Validate individual event configuration
+     * Call a handler applying its concurrency policy, tracking returned promises
      * @private
      */
-    validateEventConfig(selector, eventConfig, index) {
-        if (typeof eventConfig === 'string') {
-            if (!eventConfig.trim()) {
-                throw new Error(`YEH: Event type for selector "${selector}" at index ${index} cannot be empty`);
-            }
-            return; // Simple string config is valid
-        }
+    executeHandler(handler, handlerInfo, context) {
+        const policy = typeof handlerInfo.config === 'object' && handlerInfo.config.concurrency || 'parallel';
+        const state = this.pendingHandlers.get(handlerInfo);
 
-        if (!eventConfig || typeof eventConfig !== 'object') {
-            throw new Error(`YEH: Event config for selector "${selector}" at index ${index} must be string or object, got: ${typeof eventConfig}`);
+        if (state && policy === 'drop') {
+            context.dropped = true;
+            return;
         }
 
-        if (!eventConfig.type || typeof eventConfig.type !== 'string') {
-            throw new Error(`YEH: Event config for selector "${selector}" at index ${index} must have a valid "type" property`);
+        let controller = null;
+        if (policy === 'cancel') {
+            if (state && state.controller) state.controller.abort();
+            controller = new AbortController();
+            context.signal = controller.signal;
         }
 
-        // Validate throttle/debounce values
-        if (eventConfig.throttle !== undefined) {
-            if (typeof eventConfig.throttle !== 'number' || eventConfig.throttle <= 0) {
-                throw new Error(`YEH: Throttle value for selector "${selector}" at index ${index} must be a positive number, got: ${eventConfig.throttle}`);
-            }
-        }
+        const invoke = () => this.runMiddleware(context, () => handler.call(this, context.event, context.target, context.element, context));
 
-        if (eventConfig.debounce !== undefined) {
-            if (typeof eventConfig.debounce !== 'number' || eventConfig.debounce <= 0) {
-                throw new Error(`YEH: Debounce value for selector "${selector}" at index ${index} must be a positive number, got: ${eventConfig.debounce}`);
-            }
+        // Queued runs start once the previous run has settled
+        if (state && policy === 'queue') {
+            const queued = state.tail.then(invoke);
+            this.recordResponse(context.event, { value: queued });
+            this.trackPending(handlerInfo, context, queued, null);
+            return;
         }
 
-        // Can't have both throttle and debounce
-        if (eventConfig.throttle && eventConfig.debounce) {
-            throw new Error(`YEH: Event config for selector "${selector}" at index ${index} cannot have both throttle and debounce`);
+        // Synchronous execution time feeds the metrics and the slow-handler budget
+        const timed = this.enableStats || this.config.slowHandlerThreshold !== null;
+        const startTime = timed ? YEH.now() : 0;
+
+        let result;
+        try {
+            result = invoke();
+        } catch (error) {
+            context.error = error;
+            this.recordResponse(context.event, { error });
+            this.reportHandlerError(error, context, false);
+            return;
+        } finally {
+            if (timed && !context.skipped) this.recordTiming(context, YEH.now() - startTime);
         }
 
-        // Validate handler name if provided
-        if (eventConfig.handler !== undefined && typeof eventConfig.handler !== 'string') {
-            throw new Error(`YEH: Handler for selector "${selector}" at index ${index} must be a string, got: ${typeof eventConfig.handler}`);
+        this.recordResponse(context.event, { value: result });
+
+        if (result === false) {
+            context.stop();
+        } else if (result && typeof result.then === 'function') {
+            this.trackPending(handlerInfo, context, result, controller);
         }
     }
 
     /**
-     * Validate actionable target configuration
-     * @private
+     * Register middleware that wraps every dispatched handler
+     * Middleware receives the dispatch context and a next() function; not calling next() skips the handler
+     * @param {Function} fn - (context, next) => any
+     * @param {object} [scope] - Limit to { type, selector } (strings or arrays)
+     * @returns {YEH} - this for chaining
      */
-    validateActionableConfig() {
-        if (this.config.actionableAttributes !== undefined) {
-            if (!Array.isArray(this.config.actionableAttributes)) {
-                throw new Error('YEH: actionableAttributes must be an array of strings');
-            }
-            for (const attr of this.config.actionableAttributes) {
-                if (typeof attr !== 'string' || !attr.trim()) {
-                    throw new Error('YEH: actionableAttributes must contain non-empty strings');
-                }
-            }
+    use(fn, scope = {}) {
+        if (typeof fn !== 'function') {
+            throw new Error(`YEH: Middleware must be a function, got: ${typeof fn}`);
         }
 
-        if (this.config.actionableClasses !== undefined) {
-            if (!Array.isArray(this.config.actionableClasses)) {
-                throw new Error('YEH: actionableClasses must be an array of strings');
-            }
-            for (const className of this.config.actionableClasses) {
-                if (typeof className !== 'string' || !className.trim()) {
-                    throw new Error('YEH: actionableClasses must contain non-empty strings');
-                }
-            }
-        }
+        this.middleware.push({
+            fn,
+            types: scope.type ? [].concat(scope.type) : null,
+            selectors: scope.selector ? [].concat(scope.selector) : null
+        });
+        return this;
+    }
 
-        if (this.config.actionableTags !== undefined) {
-            if (!Array.isArray(this.config.actionableTags)) {
-                throw new Error('YEH: actionableTags must be an array of strings');
-            }
-            for (const tagName of this.config.actionableTags) {
-                if (typeof tagName !== 'string' || !tagName.trim()) {
-                    throw new Error('YEH: actionableTags must contain non-empty strings');
-                }
+    /**
+     * Remove middleware registered with use()
+     * @param {Function} fn - Middleware function to remove
+     * @returns {YEH} - this for chaining
+     */
+    unuse(fn) {
+        this.middleware = this.middleware.filter(entry => entry.fn !== fn);
+        return this;
+    }
+
+    /**
+     * Run the applicable middleware around the final handler call
+     * @private
+     */
+    runMiddleware(context, final) {
+        if (this.middleware.length === 0) return final();
+
+        const stack = this.middleware.filter(({ types, selectors }) => (!types || types.includes(context.event.type))
+            && (!selectors || selectors.includes(context.selector)));
+
+        // Flagged until the chain reaches the handler, see dispatchChain()
+        context.skipped = true;
+        const dispatch = index => {
+            if (index === stack.length) {
+                context.skipped = false;
+                return final();
             }
-        }
 
-        if (this.config.enableActionableTargets !== undefined && typeof this.config.enableActionableTargets !== 'boolean') {
-            throw new Error('YEH: enableActionableTargets must be a boolean');
-        }
+            let called = false;
+            return stack[index].fn.call(this, context, () => {
+                if (called) throw new Error('YEH: next() called multiple times in middleware');
+                called = true;
+                return dispatch(index + 1);
+            });
+        };
 
-        if (this.config.handlerPrefix !== undefined && typeof this.config.handlerPrefix !== 'string') {
-            throw new Error('YEH: handlerPrefix must be a string');
-        }
+        return dispatch(0);
     }
 
     /**
-     * Generate unique key for DOM element (for caching)
+     * Track a pending async handler run until it settles
      * @private
      */
-    getElementKey(element) {
-        if (element === document) return 'document';
-        if (element === window) return 'window';
-        if (!element || !element.tagName) return 'unknown';
-
-        // Use tagName + id + class for uniqueness
-        const tagName = element.tagName.toLowerCase();
-        const id = element.id ? `#${element.id}` : '';
-
-        // Handle SVG elements where className is an SVGAnimatedString object
-        let className = '';
-        if (element.className) {
-            if (typeof element.className === 'string') {
-                className = `.${element.className.split(' ').join('.')}`;
-            } else if (element.className.baseVal) {
-                // SVG elements have className.baseVal
-                className = element.className.baseVal ? `.${element.className.baseVal.split(' ').join('.')}` : '';
-            }
+    trackPending(handlerInfo, context, promise, controller) {
+        let state = this.pendingHandlers.get(handlerInfo);
+        if (!state) {
+            state = { count: 0, tail: Promise.resolve(), controller: null };
+            this.pendingHandlers.set(handlerInfo, state);
         }
 
-        const index = element.parentNode ? Array.from(element.parentNode.children).indexOf(element) : 0;
+        state.count++;
+        if (controller) state.controller = controller;
+        this.setBusy(context.target, true);
 
-        return `${tagName}${id}${className}[${index}]`;
+        state.tail = Promise.resolve(promise)
+            .then(undefined, error => {
+                // Rejections caused by cancelling a previous run are expected
+                if (!(context.signal && context.signal.aborted)) {
+                    this.handleAsyncError(error, context);
+                }
+            })
+            .then(undefined, hookError => {
+                // A throwing error hook must neither skip the cleanup nor reject the queue tail
+                console.error(`YEH: Error hook for async handler '${context.resolvedName}' threw`, hookError);
+            })
+            .finally(() => {
+                this.setBusy(context.target, false);
+                state.count--;
+                if (state.count === 0 && this.pendingHandlers.get(handlerInfo) === state) {
+                    this.pendingHandlers.delete(handlerInfo);
+                }
+            });
     }
 
-    getElements(selector) {
-        if (typeof selector === 'string') {
-            if (selector === 'document') return [document];
-            if (selector === 'window') return [window];
-            return Array.from(document.querySelectorAll(selector));
+    /**
+     * Route a rejected async handler to the onError hook
+     * @private
+     */
+    handleAsyncError(error, context) {
+        context.error = error;
+
+        if (typeof this.config.onError === 'function') {
+            this.countHandlerError(context);
+            this.config.onError.call(this, error, context);
+        } else {
+            this.reportHandlerError(error, context, true);
         }
-        return selector instanceof Element ? [selector] : [];
     }
 
     /**
-     * Create a wrapped handler with throttle/debounce if needed
+     * Error boundary: count the failure and hand it to onHandlerError
+     * @param {any} error - Thrown error or rejection reason
+     * @param {object} context - Dispatch context (event, selector, handlerName, resolvedName, element, ...)
+     * @param {boolean} isAsync - True for rejected promises
      * @private
      */
-    createWrappedHandler(eventConfig, key, eventType) {
-        let handler = this;
-
-        if (typeof eventConfig === 'object') {
-            if (eventConfig.throttle) {
-                handler = {
-                    handleEvent: this.throttle((event) => this.handleEvent(event), eventConfig.throttle, `${key}-${eventType}-throttle`)
-                };
-            } else if (eventConfig.debounce) {
-                handler = {
-                    handleEvent: this.debounce((event) => this.handleEvent(event), eventConfig.debounce, `${key}-${eventType}-debounce`)
-                };
+    reportHandlerError(error, context, isAsync) {
+        this.countHandlerError(context);
+
+        if (typeof this.config.onHandlerError === 'function') {
+            try {
+                this.config.onHandlerError.call(this, error, context);
+            } catch (hookError) {
+                // The rest of the chain still runs, the hook's own failure is only logged
+                console.error(`YEH: onHandlerError threw while handling an error of '${context.resolvedName}'`, hookError);
             }
+        } else if (isAsync) {
+            console.error(`YEH: Async handler '${context.resolvedName}' for event '${context.event.type}' on "${context.selector}" rejected`, error);
         }
+    }
 
-        return handler;
+    /**
+     * Count handler errors per selector/event type/handler for getStats()
+     * @private
+     */
+    countHandlerError(context) {
+        if (!this.enableStats) return;
+
+        const key = `${context.selector}|${context.event.type}|${context.resolvedName}`;
+        this.handlerErrors.set(key, (this.handlerErrors.get(key) || 0) + 1);
     }
 
     /**
-     * Find the actionable target by walking up the DOM tree
-     * Solves the SVG-in-button and nested element problems
-     * Uses configurable actionable patterns for maximum flexibility
+     * Toggle the configured busy attribute while handlers for a target are pending
+     * @private
      */
-    findActionableTarget(target, boundary) { // Return if resolution is disabled
-        if (!this.actionableConfig.enabled) return target;
+    setBusy(target, busy) {
+        if (!this.config.busyAttribute || !target || typeof target.setAttribute !== 'function') return;
 
-        let current = target;
+        const count = (this.busyTargets.get(target) || 0) + (busy ? 1 : -1);
+        this.busyTargets.set(target, Math.max(count, 0));
 
-        // Walk up the DOM tree until we hit the boundary element
-        while (current && current !== boundary && current !== document) {
-            // Check for configured actionable attributes
-            for (const attr of this.actionableConfig.attributes) {
-                if (current.hasAttribute(attr)) {
-                    return current;
-                }
-            }
+        if (count > 0) {
+            target.setAttribute(this.config.busyAttribute, 'true');
+        } else {
+            target.removeAttribute(this.config.busyAttribute);
+        }
+    }
 
-            // Check for configured actionable classes
-            if (current.classList) {
-                for (const className of this.actionableConfig.classes) {
-                    if (current.classList.contains(className)) {
-                        return current;
-                    }
-                }
+    /**
+     * Check if an async handler registered for selector (and event type) is still running
+     * @param {string} selector - Selector from the event mapping
+     * @param {string} [eventType] - Event type (omit to check all types)
+     * @returns {boolean} - True if at least one run is pending
+     */
+    isPending(selector, eventType) {
+        for (const handlerInfo of this.pendingHandlers.keys()) {
+            const configType = typeof handlerInfo.config === 'string' ? handlerInfo.config : handlerInfo.config.type;
+            if (handlerInfo.selector === selector && (eventType === undefined || configType === eventType)) {
+                return true;
             }
+        }
+        return false;
+    }
 
-            // Check for configured actionable tags
-            if (this.actionableConfig.tags.includes(current.tagName)) {
-                return current;
+    /**
+     * Create the context object passed as fourth handler argument
+     * @private
+     */
+    createDispatchContext(event, handlerInfo, target, element, distance) {
+        return {
+            event,
+            target,
+            element,
+            container: handlerInfo.element,
+            selector: handlerInfo.selector,
+            handlerName: handlerInfo.handler,
+            distance,
+            stopped: false,
+            stop() {
+                this.stopped = true;
             }
+        };
+    }
 
-            current = current.parentElement;
+    on(type, handler, target) {
+        if (this.config.bus) {
+            this.addBusListener(type, handler, target, false);
+            return this;
         }
+        const eventConfig = { type, handler };
+        if (this.addEvent(target || 'document', eventConfig)) {
+            this.domListenerConfigs.add(eventConfig);
+        }
+        return this;
+    }
 
-        // If we reached the boundary and it's actionable, return it
-        if (current === boundary) {
-            // Check configured actionable attributes on boundary
-            for (const attr of this.actionableConfig.attributes) {
-                if (boundary.hasAttribute(attr)) {
-                    return boundary;
-                }
+    subscribe(type, handler, target) {
+        this.on(type, handler, target);
+        return this;
+    }
+
+    emit(type, detail, target) {
+        this.forwardToBridges(type, detail);
+
+        if (this.config.bus) {
+            this.publish(type, detail);
+            if (!target) return this; // Bus-only emit stays DOM-free
+        }
+        if (typeof target === 'string') {
+            target = this.root ? this.root.querySelector(target) : null;
+        }
+        this.dispatch(type, detail, target || YEH.getDefaultTarget());
+        return this;
+    }
+
+    /**
+     * Forward emit() types to another context and re-dispatch what arrives from it
+     * @param {BroadcastChannel|string|Window|Worker|MessagePort} channel - Channel, channel name, window (iframe/opener) or port
+     * @param {object} options - { types: patterns to bridge, origin: allowed origin(s) for windows, target: re-dispatch target }
+     * @returns {YEH} - this for chaining
+     */
+    bridge(channel, options = {}) {
+        const { types, origin, target } = options;
+
+        if (!Array.isArray(types) || types.length === 0 || !types.every(type => typeof type === 'string' && type)) {
+            throw new Error('YEH: bridge() requires a non-empty "types" array of event types or patterns');
+        }
+
+        const ownsChannel = typeof channel === 'string';
+        if (ownsChannel) {
+            if (typeof BroadcastChannel === 'undefined') {
+                throw new Error('YEH: BroadcastChannel is not available in this environment');
             }
+            channel = new BroadcastChannel(channel);
+        }
 
-            // Check configured actionable classes on boundary
-            if (boundary.classList) {
-                for (const className of this.actionableConfig.classes) {
-                    if (boundary.classList.contains(className)) {
-                        return boundary;
-                    }
-                }
+        if (!channel || typeof channel.postMessage !== 'function') {
+            throw new Error('YEH: bridge() requires a BroadcastChannel, channel name, Window, Worker or MessagePort');
+        }
+
+        // Windows (iframes, opener) post with a target origin and answer on our own window, the rest is port-like
+        const isWindow = channel.window === channel;
+        if (isWindow && typeof window === 'undefined') {
+            throw new Error('YEH: Window bridges require a window context');
+        }
+
+        const origins = origin === undefined
+            ? [isWindow ? window.location.origin : '*']
+            : [].concat(origin);
+
+        if (!this.bridgeId) {
+            this.bridgeId = Math.random().toString(36).slice(2);
+        }
+
+        const bridge = {
+            channel,
+            ownsChannel,
+            isWindow,
+            origins,
+            target,
+            matchers: types.map(type => YEH.compileTopicPattern(type) || type),
+            receiver: isWindow ? window : channel,
+            listener: null
+        };
+        bridge.listener = event => this.receiveBridgeMessage(bridge, event);
+        bridge.receiver.addEventListener('message', bridge.listener);
+        if (typeof bridge.receiver.start === 'function') bridge.receiver.start(); // MessagePort
+
+        this.bridges.push(bridge);
+        return this;
+    }
+
+    /**
+     * Stop bridging a channel (closes channels created from a name)
+     * @param {BroadcastChannel|string|Window|Worker|MessagePort} [channel] - Bridged channel or name (omit for all)
+     * @returns {YEH} - this for chaining
+     */
+    unbridge(channel) {
+        this.bridges = this.bridges.filter(bridge => {
+            const matches = channel === undefined
+                || bridge.channel === channel
+                || (typeof channel === 'string' && bridge.ownsChannel && bridge.channel.name === channel);
+            if (!matches) return true;
+
+            bridge.receiver.removeEventListener('message', bridge.listener);
+            if (bridge.ownsChannel) bridge.channel.close();
+            return false;
+        });
+        return this;
+    }
+
+    /**
+     * Check an event type against a bridge's type patterns
+     * @private
+     */
+    isBridgedType(bridge, type) {
+        return bridge.matchers.some(matcher => typeof matcher === 'string' ? matcher === type : matcher.test(type));
+    }
+
+    /**
+     * Post an emitted event to every bridge that carries its type
+     * @private
+     */
+    forwardToBridges(type, detail) {
+        if (this.bridges.length === 0) return;
+
+        // Re-emitting an inbound message relays it to the other bridges, never back to its source
+        const inbound = this.bridgeInbound && this.bridgeInbound.type === type ? this.bridgeInbound : null;
+        const message = {
+            yeh: 'bridge',
+            type,
+            detail: YEH.toCloneable(detail),
+            path: inbound ? inbound.path.concat(this.bridgeId) : [this.bridgeId]
+        };
+
+        this.bridges.forEach(bridge => {
+            if ((inbound && bridge === inbound.bridge) || !this.isBridgedType(bridge, type)) return;
+
+            if (bridge.isWindow) {
+                bridge.channel.postMessage(message, bridge.origins[0]);
+            } else {
+                bridge.channel.postMessage(message);
+            }
+        });
+    }
+
+    /**
+     * Re-dispatch a bridged message locally
+     * @private
+     */
+    receiveBridgeMessage(bridge, event) {
+        const message = event.data;
+        if (!message || message.yeh !== 'bridge' || typeof message.type !== 'string' || !Array.isArray(message.path)) return;
+
+        if (bridge.isWindow) {
+            if (event.source !== bridge.channel) return;
+            if (!bridge.origins.includes('*') && !bridge.origins.includes(event.origin)) return;
+        }
+
+        // Loop prevention: ignore messages this instance sent or already relayed
+        if (message.path.includes(this.bridgeId) || !this.isBridgedType(bridge, message.type)) return;
+
+        const previous = this.bridgeInbound;
+        this.bridgeInbound = { type: message.type, path: message.path, bridge };
+        try {
+            if (this.config.bus) this.publish(message.type, message.detail);
+            if (typeof document !== 'undefined') {
+                const target = typeof bridge.target === 'string' ? this.root.querySelector(bridge.target) : bridge.target;
+                this.dispatch(message.type, message.detail, target || document);
             }
+        } finally {
+            this.bridgeInbound = previous;
         }
+    }
 
-        return null;
+    /**
+     * Subscribe to a bus topic for a single publish
+     * @param {string} topic - Topic or wildcard pattern ('user:*', 'user:**', '**')
+     * @param {Function|string} handler - Function or method name
+     * @param {object} [options] - { namespace, priority }
+     * @returns {YEH} - this for chaining
+     */
+    once(topic, handler, options) {
+        this.addBusListener(topic, handler, options, true);
+        return this;
     }
 
     /**
-     * Cross-browser closest() implementation
-     * @param {Element} element - Starting element
-     * @param {string} selector - CSS selector to match
-     * @returns {Element|null} - Closest matching ancestor or null
+     * Remove bus listeners
+     * off() removes all, off('.ns') a namespace, off(topic) a topic and off(topic, handler) a single listener.
+     * Without bus mode, off(type, handler, target) removes listeners added with on() (mapping configs are kept).
+     * @param {string} [topic] - Topic, pattern or '.namespace'
+     * @param {Function|string} [handler] - Handler to remove
+     * @param {string} [target] - DOM target used with on() (DOM mode only)
+     * @returns {YEH} - this for chaining
      */
-    findClosest(element, selector) {
-        // Use native closest() if available (modern browsers)
-        if (element.closest) {
-            return element.closest(selector);
+    off(topic, handler, target) {
+        if (topic === undefined) {
+            this.busListeners = [];
+            return this;
         }
 
-        // Fallback for older browsers (IE11, old Chrome/Firefox)
-        let current = element;
+        if (!this.config.bus && !topic.startsWith('.')) {
+            this.removeListenerConfigs(target || 'document', topic, handler);
+        }
 
-        // Simple selector parsing for basic cases
-        const isIdSelector = selector.startsWith('#');
-        const isClassSelector = selector.startsWith('.');
-        const cleanSelector = selector.slice(1); // Remove # or .
+        const namespace = topic.startsWith('.') ? topic.slice(1) : null;
+        this.busListeners = this.busListeners.filter(listener => {
+            const matchesTopic = namespace !== null ? listener.namespace === namespace : listener.topic === topic;
+            return !(matchesTopic && (handler === undefined || listener.handler === handler));
+        });
+        return this;
+    }
 
-        while (current && current !== document) {
-            if (isIdSelector && current.id === cleanSelector) {
-                return current;
-            } else if (isClassSelector && current.classList && current.classList.contains(cleanSelector)) {
-                return current;
-            } else if (!isIdSelector && !isClassSelector && current.tagName && current.tagName.toLowerCase() === selector.toLowerCase()) {
-                return current;
+    /**
+     * Remove DOM configs added with on() for a type, optionally only those of one handler
+     * @private
+     */
+    removeListenerConfigs(target, eventType, handler) {
+        this.removeEntryConfigs(target, eventType, config => this.domListenerConfigs.has(config)
+            && config.type === eventType
+            && (handler === undefined || config.handler === handler));
+    }
+
+    /**
+     * Publish a payload to bus listeners synchronously, highest priority first
+     * A throwing listener is reported (onHandlerError or console) and the remaining listeners still run.
+     * @param {string} topic - Topic name (segments separated by ':' or '.')
+     * @param {any} payload - Data passed to every listener
+     * @returns {Array} - Return values of the called listeners
+     */
+    publish(topic, payload) {
+        const results = [];
+        const listeners = this.busListeners.filter(listener => listener.matcher
+            ? listener.matcher.test(topic)
+            : listener.topic === topic);
+
+        for (const listener of listeners) {
+            // Skip listeners removed by an earlier listener of this publish
+            if (!this.busListeners.includes(listener)) continue;
+
+            try {
+                const response = this.invokeBusListener(listener, topic, payload);
+                if (response) results.push(response.value);
+            } catch (error) {
+                this.reportBusError(error, listener, topic);
             }
+        }
 
-            current = current.parentElement;
+        return results;
+    }
+
+    /**
+     * Ask for a value: resolves with the result of the first responder
+     * Bus listeners answer first, then handlers reached by a DOM CustomEvent (event.detail = payload).
+     * Throttled/debounced handlers do not answer synchronously and never count as responders.
+     * @param {string} type - Topic or event type
+     * @param {any} payload - Request payload
+     * @param {object} [options] - { timeout: ms (0 = none), target: selector or EventTarget for the DOM event }
+     * @returns {Promise<any>} - Responder's return value (promises are awaited)
+     */
+    request(type, payload, options = {}) {
+        const { timeout = 0, target } = options;
+
+        return new Promise((resolve, reject) => {
+            const response = this.getResponse(type, payload, target);
+
+            if (!response) {
+                reject(new Error(`YEH: No responder for request "${type}"`));
+                return;
+            }
+            if ('error' in response) {
+                reject(response.error);
+                return;
+            }
+
+            const timer = timeout > 0
+                ? setTimeout(() => reject(new Error(`YEH: Request "${type}" timed out after ${timeout}ms`)), timeout)
+                : null;
+
+            Promise.resolve(response.value).then(value => {
+                clearTimeout(timer);
+                resolve(value);
+            }, error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Collect the first response to a request from the bus or the DOM
+     * @private
+     */
+    getResponse(type, payload, target) {
+        for (const listener of this.busListeners.slice()) {
+            if (listener.matcher ? !listener.matcher.test(type) : listener.topic !== type) continue;
+
+            const response = this.invokeBusListener(listener, type, payload);
+            if (response) return response;
         }
 
-        return null;
+        if (typeof document === 'undefined') return null;
+
+        const element = typeof target === 'string' ? this.root.querySelector(target) : (target || document);
+        if (!element) {
+            throw new Error(`YEH: Request target "${target}" not found`);
+        }
+
+        const event = new CustomEvent(type, { bubbles: true, cancelable: true, detail: payload });
+        const record = { responded: false };
+        YEH._requests.set(event, record);
+        element.dispatchEvent(event);
+
+        return record.responded ? record : null;
     }
 
     /**
-     * Resolve method name using event-type specific aliases
-     * @param {string} methodName - Original method name
-     * @param {string} eventType - Event type for scoped alias lookup
-     * @returns {string} - Resolved method name (or original if no alias)
+     * Store the first handler outcome ({ value } or { error }) of a request event
+     * @private
      */
-    resolveMethodName(methodName, eventType) {
-        const eventAliases = this.aliases[eventType];
-        return (eventAliases && eventAliases[methodName]) || methodName;
+    recordResponse(event, outcome) {
+        const record = YEH._requests.get(event);
+        if (record && !record.responded) {
+            Object.assign(record, outcome, { responded: true });
+        }
     }
 
     /**
-     * Enhanced handler resolution with methods object and global fallback support
-     * @param {string} handlerName - Handler method name to resolve
-     * @param {string} eventType - Event type for scoped alias lookup
-     * @returns {Function|null} - Resolved handler function or null if not found
+     * Call a bus listener, removing it first when subscribed with once()
+     * @returns {object|null} - { value } or null if the handler could not be resolved
+     * @private
      */
-    resolveHandler(handlerName, eventType) {
-        // First resolve any aliases
-        const resolvedName = this.resolveMethodName(handlerName, eventType);
+    invokeBusListener(listener, topic, payload) {
+        if (listener.once) this.busListeners.splice(this.busListeners.indexOf(listener), 1);
 
-        // Define resolution order based on methodsFirst setting
-        const resolutionOrder = this.methodsFirst
-            ? ['methods', 'class', 'global']
-            : ['class', 'methods', 'global'];
+        const handler = typeof listener.handler === 'function'
+            ? listener.handler
+            : this.resolveHandler(listener.handler, topic);
 
-        for (const source of resolutionOrder) {
-            if (source === 'class') {
-                if (typeof this[resolvedName] === 'function') {
-                    return this[resolvedName];
-                }
-            } else if (source === 'methods') {
-                if (this.methods) {
-                    // First check event-scoped methods: methods.click.clickHandler
-                    if (this.methods[eventType] && typeof this.methods[eventType][resolvedName] === 'function') {
-                        return this.methods[eventType][resolvedName];
-                    }
-                    // Then check global methods: methods.globalHandler
-                    if (typeof this.methods[resolvedName] === 'function') {
-                        return this.methods[resolvedName];
-                    }
-                }
-            } else if (source === 'global') {
-                if (this.enableGlobalFallback && typeof window !== 'undefined' && typeof window[resolvedName] === 'function') {
-                    return window[resolvedName];
-                }
+        if (!handler) {
+            this.validateResolvedHandler(listener.handler, topic, null, this.resolveMethodName(listener.handler, topic), true);
+            return null;
+        }
+
+        return { value: handler.call(this, payload, { topic, pattern: listener.topic, namespace: listener.namespace }) };
+    }
+
+    /**
+     * Report an error thrown by a bus listener during publish()
+     * @private
+     */
+    reportBusError(error, listener, topic) {
+        const handlerName = typeof listener.handler === 'function' ? listener.handler.name || 'anonymous' : listener.handler;
+
+        if (typeof this.config.onHandlerError === 'function') {
+            try {
+                this.config.onHandlerError.call(this, error, { topic, pattern: listener.topic, namespace: listener.namespace, handlerName });
+            } catch (hookError) {
+                // Remaining listeners still run, the hook's own failure is only logged
+                console.error(`YEH: onHandlerError threw while handling an error of bus listener '${handlerName}'`, hookError);
             }
+        } else {
+            console.error(`YEH: Bus listener '${handlerName}' for topic '${topic}' threw`, error);
         }
+    }
 
-        return null;
+    /**
+     * Add a bus listener, kept sorted by priority (stable for equal priorities)
+     * @private
+     */
+    addBusListener(topic, handler, options, once) {
+        if (typeof topic !== 'string' || !topic || topic.startsWith('.')) {
+            throw new Error(`YEH: Bus topic must be a non-empty string not starting with '.', got: ${topic}`);
+        }
+
+        if (typeof handler !== 'function' && (typeof handler !== 'string' || !handler)) {
+            throw new Error(`YEH: Bus handler for "${topic}" must be a function or method name`);
+        }
+
+        const { namespace = null, priority = 0 } = options && typeof options === 'object' ? options : {};
+        if (typeof priority !== 'number') {
+            throw new Error(`YEH: Bus priority for "${topic}" must be a number, got: ${typeof priority}`);
+        }
+
+        const listener = { topic, handler, namespace, priority, once, matcher: YEH.compileTopicPattern(topic) };
+        const index = this.busListeners.findIndex(existing => existing.priority < priority);
+        this.busListeners.splice(index === -1 ? this.busListeners.length : index, 0, listener);
+    }
+
+    hasUserInteracted() {
+        return this.userHasInteracted;
+    }
+
+    resetUserInteracted() {
+        this.userHasInteracted = false;
+    }
+
+    checkUserInteraction(event) {
+        if (!this.userHasInteracted && !this.passiveEvents.includes(event.type)) {
+            this.userHasInteracted = true;
+        }
     }
 
     /**
-     * Validate that a resolved handler exists and is callable
-     * @param {string} handlerName - Original handler name for error reporting
-     * @param {string} eventType - Event type for context
-     * @param {Function|null} resolvedHandler - The resolved handler function
-     * @param {string} resolvedName - The resolved method name after alias processing
-     * @returns {boolean} - True if valid, false if validation disabled or handler missing
+     * Calculate DOM distance with caching for performance optimization
      * @private
      */
-    validateResolvedHandler(handlerName, eventType, resolvedHandler, resolvedName) {
-        if (!this.config.enableHandlerValidation) {
-            return !!resolvedHandler; // Skip validation but return boolean
+    calculateDistanceWithCache(target, container) {
+        // Only cached while the DOM observer can invalidate it (no MutationObserver, no cache)
+        if (!this.enableDistanceCache || !this.domObserver || !target || typeof target !== 'object') {
+            return this.calculateDOMDistance(target, container);
         }
 
-        if (!resolvedHandler) {
-            const aliasMsg = resolvedName !== handlerName ? ` (resolved from alias '${handlerName}')` : '';
-            console.warn(`YEH: Handler method '${resolvedName}'${aliasMsg} not found for event '${eventType}' (checked class, methods object, and global scope)`);
-            return false;
+        let containerDistances = this.distanceCache.get(target);
+        if (containerDistances && containerDistances.has(container)) {
+            this.distanceCacheStats.hits++;
+            return containerDistances.get(container);
+        }
+
+        this.distanceCacheStats.misses++;
+        const distance = this.calculateDOMDistance(target, container);
+
+        // Cache the result for future lookups
+        if (!containerDistances) {
+            containerDistances = new WeakMap();
+            this.distanceCache.set(target, containerDistances);
+        }
+        containerDistances.set(container, distance);
+        this.distanceCacheStats.size++;
+
+        return distance;
+    }
+
+    /**
+     * Calculate actual DOM distance between elements
+     * @private
+     */
+    calculateDOMDistance(target, container) {
+        if (container === document || container === window) {
+            return 1000; // Low priority for document/window
+        }
+
+        // contains() stops at shadow boundaries, composed mode walks through them instead
+        if (!this.composed && (!container.contains || !container.contains(target))) {
+            return Infinity; // Not contained
+        }
+
+        let distance = 0;
+        let current = target;
+
+        while (current && current !== container) {
+            current = this.composed && current.parentNode && current.parentNode.host
+                ? current.parentNode.host
+                : current.parentNode;
+            distance++;
         }
 
-        return true;
+        return current ? distance : Infinity;
+    }
+
+    /**
+     * Clear distance cache (happens automatically on DOM mutations)
+     */
+    clearDistanceCache() {
+        this.distanceCache = new WeakMap();
+        this.distanceCacheStats.size = 0;
+        this.distanceCacheStats.invalidations++;
+    }
+
+    /**
+     * Validate configuration and provide helpful error messages
+     * @private
+     */
+    validateConfiguration() {
+        if (!this.eventMapping || typeof this.eventMapping !== 'object') {
+            throw new Error('YEH: eventMapping must be a non-null object');
+        }
+
+        this.validateStrictConfig();
+
+        for (const [selector, config] of Object.entries(this.eventMapping)) {
+            this.collectError(() => this.validateSelectorConfig(selector, config));
+        }
+
+        this.validateAliases();
+
+        this.validateActionableConfig();
+
+        if (this.config.live !== undefined && typeof this.config.live !== 'boolean') {
+            throw new Error('YEH: live must be a boolean');
+        }
+
+        if (this.config.root !== null && (!this.config.root || typeof this.config.root.querySelectorAll !== 'function')) {
+            throw new Error('YEH: root must be a Document, ShadowRoot or Element');
+        }
+
+        if (this.config.parent !== null && !(this.config.parent instanceof YEH)) {
+            throw new Error('YEH: parent must be a YEH instance');
+        }
+
+        if (this.config.composed !== null && typeof this.config.composed !== 'boolean') {
+            throw new Error('YEH: composed must be a boolean');
+        }
+
+        if (!['closest', 'bubble', 'capture'].includes(this.config.dispatchMode)) {
+            throw new Error(`YEH: dispatchMode must be 'closest', 'bubble' or 'capture', got: ${this.config.dispatchMode}`);
+        }
+
+        if (typeof this.config.debug !== 'boolean') {
+            throw new Error('YEH: debug must be a boolean');
+        }
+
+        if (typeof this.config.bus !== 'boolean') {
+            throw new Error('YEH: bus must be a boolean');
+        }
+
+        if (typeof this.config.actionRouter !== 'boolean') {
+            throw new Error('YEH: actionRouter must be a boolean');
+        }
+
+        if (typeof this.config.statsSampleSize !== 'number' || this.config.statsSampleSize < 1) {
+            throw new Error(`YEH: statsSampleSize must be a positive number, got: ${this.config.statsSampleSize}`);
+        }
+
+        if (this.config.slowHandlerThreshold !== null && (typeof this.config.slowHandlerThreshold !== 'number' || this.config.slowHandlerThreshold < 0)) {
+            throw new Error(`YEH: slowHandlerThreshold must be a non-negative number, got: ${this.config.slowHandlerThreshold}`);
+        }
+
+        for (const hook of ['onError', 'onHandlerError', 'onSlowHandler']) {
+            if (this.config[hook] !== null && typeof this.config[hook] !== 'function') {
+                throw new Error(`YEH: ${hook} must be a function`);
+            }
+        }
+
+        if (typeof this.config.rethrowHandlerErrors !== 'boolean') {
+            throw new Error('YEH: rethrowHandlerErrors must be a boolean');
+        }
+
+        if (this.config.busyAttribute !== null && (typeof this.config.busyAttribute !== 'string' || !this.config.busyAttribute.trim())) {
+            throw new Error('YEH: busyAttribute must be a non-empty string');
+        }
+
+        if (typeof this.config.keySequenceTimeout !== 'number' || this.config.keySequenceTimeout <= 0) {
+            throw new Error(`YEH: keySequenceTimeout must be a positive number, got: ${this.config.keySequenceTimeout}`);
+        }
+
+        if (typeof this.config.gestures !== 'boolean' && (typeof this.config.gestures !== 'object' || this.config.gestures === null)) {
+            throw new Error('YEH: gestures must be a boolean or an object of thresholds');
+        }
+
+        if (typeof this.config.gestures === 'object') {
+            for (const [name, value] of Object.entries(this.config.gestures)) {
+                if (typeof value !== 'number' || value < 0) {
+                    throw new Error(`YEH: Gesture threshold "${name}" must be a non-negative number, got: ${value}`);
+                }
+            }
+        }
+
+        for (const option of ['routerAttribute', 'routerEventAttribute']) {
+            if (typeof this.config[option] !== 'string' || !this.config[option].startsWith('data-')) {
+                throw new Error(`YEH: ${option} must be a data-* attribute name, got: ${this.config[option]}`);
+            }
+        }
+    }
+
+    /**
+     * Validate individual selector configuration
+     * @private
+     */
+    validateSelectorConfig(selector, config) {
+        if (!selector || typeof selector !== 'string') {
+            throw new Error(`YEH: Selector must be a non-empty string, got: ${typeof selector}`);
+        }
+
+        // Object form: { element: '.selector', events: [...], root?: shadowRoot }
+        if (config && typeof config === 'object' && !Array.isArray(config)) {
+            if (typeof config.element !== 'string' || !config.element) {
+                throw new Error(`YEH: Config for "${selector}" must have a selector string in "element"`);
+            }
+            if (config.root !== undefined && (!config.root || typeof config.root.querySelectorAll !== 'function')) {
+                throw new Error(`YEH: Root for "${selector}" must be a Document, ShadowRoot or Element`);
+            }
+            this.validateSelectorConfig(config.element, config.events);
+            return;
+        }
+
+        if (!Array.isArray(config)) {
+            throw new Error(`YEH: Config for selector "${selector}" must be an array, got: ${typeof config}`);
+        }
+
+        if (config.length === 0) {
+            throw new Error(`YEH: Config for selector "${selector}" cannot be empty`);
+        }
+
+        config.forEach((eventConfig, index) => {
+            this.collectError(() => this.validateEventConfig(selector, eventConfig, index));
+        });
+    }
+
+    /**
+     * Validate individual event configuration
+     * @private
+     */
+    validateEventConfig(selector, eventConfig, index) {
+        if (typeof eventConfig === 'string') {
+            if (!eventConfig.trim()) {
+                throw new Error(`YEH: Event type for selector "${selector}" at index ${index} cannot be empty`);
+            }
+            return; // Simple string config is valid
+        }
+
+        if (!eventConfig || typeof eventConfig !== 'object') {
+            throw new Error(`YEH: Event config for selector "${selector}" at index ${index} must be string or object, got: ${typeof eventConfig}`);
+        }
+
+        if (!eventConfig.type || typeof eventConfig.type !== 'string') {
+            throw new Error(`YEH: Event config for selector "${selector}" at index ${index} must have a valid "type" property`);
+        }
+
+        this.validateConfigKeys(selector, eventConfig, index);
+
+        // Validate throttle/debounce values
+        if (eventConfig.throttle !== undefined) {
+            this.validateTiming(eventConfig.throttle, 'throttle', selector, index);
+        }
+
+        if (eventConfig.debounce !== undefined) {
+            this.validateTiming(eventConfig.debounce, 'debounce', selector, index);
+        }
+
+        // Can't have both throttle and debounce
+        if (eventConfig.throttle && eventConfig.debounce) {
+            throw new Error(`YEH: Event config for selector "${selector}" at index ${index} cannot have both throttle and debounce`);
+        }
+
+        // Validate handler name if provided
+        if (eventConfig.handler !== undefined && typeof eventConfig.handler !== 'string') {
+            throw new Error(`YEH: Handler for selector "${selector}" at index ${index} must be a string, got: ${typeof eventConfig.handler}`);
+        }
+
+        if (eventConfig.router !== undefined && typeof eventConfig.router !== 'boolean') {
+            throw new Error(`YEH: Router flag for selector "${selector}" at index ${index} must be a boolean, got: ${typeof eventConfig.router}`);
+        }
+
+        if (eventConfig.concurrency !== undefined && !['parallel', 'drop', 'queue', 'cancel'].includes(eventConfig.concurrency)) {
+            throw new Error(`YEH: Concurrency for selector "${selector}" at index ${index} must be 'parallel', 'drop', 'queue' or 'cancel', got: ${eventConfig.concurrency}`);
+        }
+
+        // Validate keyboard shortcuts if provided
+        if (eventConfig.keys !== undefined) {
+            const shortcuts = Array.isArray(eventConfig.keys) ? eventConfig.keys : [eventConfig.keys];
+            if (shortcuts.length === 0 || shortcuts.some(keys => typeof keys !== 'string' || !keys.trim())) {
+                throw new Error(`YEH: Keys for selector "${selector}" at index ${index} must be a non-empty string or array of strings`);
+            }
+        }
+
+        if (eventConfig.description !== undefined && typeof eventConfig.description !== 'string') {
+            throw new Error(`YEH: Description for selector "${selector}" at index ${index} must be a string, got: ${typeof eventConfig.description}`);
+        }
+
+        // Validate modifiers
+        for (const modifier of ['once', 'prevent', 'stop', 'self', 'ignoreDisabled']) {
+            if (eventConfig[modifier] !== undefined && typeof eventConfig[modifier] !== 'boolean') {
+                throw new Error(`YEH: Modifier "${modifier}" for selector "${selector}" at index ${index} must be a boolean, got: ${typeof eventConfig[modifier]}`);
+            }
+        }
+
+        if (eventConfig.when !== undefined && typeof eventConfig.when !== 'function'
+            && (typeof eventConfig.when !== 'string' || !eventConfig.when.trim())) {
+            throw new Error(`YEH: "when" for selector "${selector}" at index ${index} must be a function or method name`);
+        }
+
+        if (eventConfig.prevent && eventConfig.options && eventConfig.options.passive === true) {
+            throw new Error(`YEH: Event config for selector "${selector}" at index ${index} cannot combine prevent with a passive listener`);
+        }
+
+        // Validate sub-selector if provided
+        if (eventConfig.matches !== undefined && (typeof eventConfig.matches !== 'string' || !eventConfig.matches.trim())) {
+            throw new Error(`YEH: Matches selector for selector "${selector}" at index ${index} must be a non-empty string`);
+        }
+    }
+
+    /**
+     * Validate the strict config: a level for every category or { handlers, selectors, keys, aliases, collect }
+     * @private
+     */
+    validateStrictConfig() {
+        const strict = this.config.strict;
+        const levels = ['off', 'warn', 'throw'];
+        if (strict === null) return;
+
+        if (typeof strict === 'string') {
+            if (!levels.includes(strict)) {
+                throw new Error(`YEH: strict must be 'off', 'warn' or 'throw', got: ${strict}`);
+            }
+            return;
+        }
+
+        if (typeof strict !== 'object') {
+            throw new Error('YEH: strict must be a level or an object of levels per category');
+        }
+
+        for (const [category, level] of Object.entries(strict)) {
+            if (category === 'collect') {
+                if (typeof level !== 'boolean') throw new Error('YEH: strict.collect must be a boolean');
+            } else if (!YEH.STRICT_CATEGORIES.includes(category)) {
+                throw new Error(`YEH: Unknown strict category "${category}", expected one of: ${YEH.STRICT_CATEGORIES.join(', ')}`);
+            } else if (!levels.includes(level)) {
+                throw new Error(`YEH: strict.${category} must be 'off', 'warn' or 'throw', got: ${level}`);
+            }
+        }
+    }
+
+    /**
+     * Report unknown keys of an event config object
+     * @private
+     */
+    validateConfigKeys(selector, eventConfig, index) {
+        const unknownKeys = Object.keys(eventConfig).filter(key => !YEH.EVENT_CONFIG_KEYS.includes(key));
+        if (unknownKeys.length > 0) {
+            const list = unknownKeys.map(key => `"${key}"`).join(', ');
+            this.reportDiagnostic('keys', `YEH: Unknown key ${list} in event config for selector "${selector}" at index ${index}`, { selector, index, keys: unknownKeys });
+        }
+    }
+
+    /**
+     * Run the strict keys/aliases checks when enableConfigValidation is off
+     * @private
+     */
+    validateStrictFindings() {
+        if (!this.eventMapping || typeof this.eventMapping !== 'object') return;
+
+        if (this.getStrictLevel('keys') !== 'off') {
+            this.getMappingEntries().forEach(({ selector, events }) => {
+                if (!Array.isArray(events)) return;
+
+                events.forEach((eventConfig, index) => {
+                    if (eventConfig && typeof eventConfig === 'object') this.validateConfigKeys(selector, eventConfig, index);
+                });
+            });
+        }
+
+        this.validateAliases();
+    }
+
+    /**
+     * Report aliases whose target method can't be resolved
+     * @private
+     */
+    validateAliases() {
+        Object.entries(this.aliases || {}).forEach(([eventType, typeAliases]) => {
+            Object.entries(typeAliases || {}).forEach(([alias, target]) => {
+                if (!this.resolveHandler(alias, eventType)) {
+                    this.reportDiagnostic('aliases', `YEH: Alias '${alias}' for event '${eventType}' points to missing method '${target}'`, { type: eventType, alias, target });
+                }
+            });
+        });
+    }
+
+    /**
+     * Validate actionable target configuration
+     * @private
+     */
+    validateActionableConfig() {
+        if (this.config.actionableAttributes !== undefined) {
+            if (!Array.isArray(this.config.actionableAttributes)) {
+                throw new Error('YEH: actionableAttributes must be an array of strings');
+            }
+            for (const attr of this.config.actionableAttributes) {
+                if (typeof attr !== 'string' || !attr.trim()) {
+                    throw new Error('YEH: actionableAttributes must contain non-empty strings');
+                }
+            }
+        }
+
+        if (this.config.actionableClasses !== undefined) {
+            if (!Array.isArray(this.config.actionableClasses)) {
+                throw new Error('YEH: actionableClasses must be an array of strings');
+            }
+            for (const className of this.config.actionableClasses) {
+                if (typeof className !== 'string' || !className.trim()) {
+                    throw new Error('YEH: actionableClasses must contain non-empty strings');
+                }
+            }
+        }
+
+        if (this.config.actionableTags !== undefined) {
+            if (!Array.isArray(this.config.actionableTags)) {
+                throw new Error('YEH: actionableTags must be an array of strings');
+            }
+            for (const tagName of this.config.actionableTags) {
+                if (typeof tagName !== 'string' || !tagName.trim()) {
+                    throw new Error('YEH: actionableTags must contain non-empty strings');
+                }
+            }
+        }
+
+        if (this.config.enableActionableTargets !== undefined && typeof this.config.enableActionableTargets !== 'boolean') {
+            throw new Error('YEH: enableActionableTargets must be a boolean');
+        }
+
+        if (this.config.handlerPrefix !== undefined && typeof this.config.handlerPrefix !== 'string') {
+            throw new Error('YEH: handlerPrefix must be a string');
+        }
+    }
+
+    getElements(selector, root = this.root) {
+        if (typeof selector === 'string') {
+            if (selector === 'document') return typeof document !== 'undefined' ? [document] : [];
+            if (selector === 'window') return typeof window !== 'undefined' ? [window] : [];
+            return root ? Array.from(root.querySelectorAll(selector)) : [];
+        }
+        return typeof Element !== 'undefined' && selector instanceof Element ? [selector] : [];
+    }
+
+    /**
+     * Get the originating target, looking into open shadow trees in composed mode
+     * @param {Event} event - DOM event
+     * @returns {EventTarget} - composedPath()[0] in composed mode, event.target otherwise
+     */
+    getEventTarget(event) {
+        if (this.composed && typeof event.composedPath === 'function') {
+            // The path is empty once dispatch finished (e.g. debounced calls)
+            const path = event.composedPath();
+            if (path.length > 0) return path[0];
+        }
+        return event.target;
+    }
+
+    /**
+     * Parent element lookup that steps from a shadow root to its host in composed mode
+     * @private
+     */
+    getParentElement(element) {
+        if (element.parentElement) return element.parentElement;
+
+        const parent = element.parentNode;
+        return this.composed && parent && parent.host ? parent.host : null;
+    }
+
+    /**
+     * Validate a throttle/debounce value: positive ms, 'raf' (throttle), 'idle' (debounce) or an options object
+     * @private
+     */
+    validateTiming(value, kind, selector, index) {
+        const label = kind === 'throttle' ? 'Throttle' : 'Debounce';
+        const where = `for selector "${selector}" at index ${index}`;
+        const scheduler = kind === 'throttle' ? 'raf' : 'idle';
+        const isPositive = wait => typeof wait === 'number' && wait > 0;
+
+        if (isPositive(value) || value === scheduler) return;
+
+        if (!value || typeof value !== 'object') {
+            throw new Error(`YEH: ${label} value ${where} must be a positive number, '${scheduler}' or an options object, got: ${value}`);
+        }
+
+        const allowed = kind === 'throttle' ? ['wait', 'leading', 'trailing'] : ['wait', 'leading', 'trailing', 'maxWait'];
+        const unknown = Object.keys(value).find(option => !allowed.includes(option));
+        if (unknown) {
+            throw new Error(`YEH: Unknown ${kind} option "${unknown}" ${where}. Use: ${allowed.join(', ')}`);
+        }
+        if (!isPositive(value.wait)) {
+            throw new Error(`YEH: ${label} "wait" ${where} must be a positive number, got: ${value.wait}`);
+        }
+        ['leading', 'trailing'].forEach(edge => {
+            if (value[edge] !== undefined && typeof value[edge] !== 'boolean') {
+                throw new Error(`YEH: ${label} "${edge}" ${where} must be a boolean`);
+            }
+        });
+        if (value.leading === false && value.trailing === false) {
+            throw new Error(`YEH: ${label} ${where} cannot disable both leading and trailing calls`);
+        }
+        if (value.maxWait !== undefined && (!isPositive(value.maxWait) || value.maxWait < value.wait)) {
+            throw new Error(`YEH: Debounce "maxWait" ${where} must be a number >= wait (${value.wait}), got: ${value.maxWait}`);
+        }
+    }
+
+    /**
+     * Create a wrapped handler with throttle/debounce if needed
+     * @private
+     */
+    createWrappedHandler(handlerInfo, eventType) {
+        const { config, key, selector, handler: handlerName } = handlerInfo;
+        if (!this.isTimedConfig(config)) return this;
+
+        // The timed listener dispatches only its own entry, never the other configs of the type
+        const dispatch = candidate => this.dispatchChain(candidate.event, [candidate]);
+        const timed = config.throttle
+            ? this.throttle(dispatch, config.throttle, `${key}-${eventType}-throttle`,
+                () => this.countDrop(selector, eventType, handlerName, 'throttled'))
+            : this.debounce(dispatch, config.debounce, `${key}-${eventType}-debounce`,
+                () => this.countDrop(selector, eventType, handlerName, 'debounced'));
+
+        return {
+            handleEvent: event => {
+                if (this.gestureConfig && YEH.GESTURE_TYPES.includes(event.type) && !this.isOwnGestureEvent(event)) return;
+
+                this.checkUserInteraction(event);
+                this.flushMutations();
+
+                // Target, sub-selector and keys are resolved now, composedPath() is empty once dispatching ends
+                const [candidate] = this.collectCandidates(event, [handlerInfo]);
+                if (candidate) timed({ ...candidate, event });
+            }
+        };
+    }
+
+    /**
+     * Check if an event config is throttled or debounced
+     * @private
+     */
+    isTimedConfig(config) {
+        return typeof config === 'object' && !!(config.throttle || config.debounce);
+    }
+
+    /**
+     * Find the actionable target by walking up the DOM tree
+     * Solves the SVG-in-button and nested element problems
+     * Uses configurable actionable patterns for maximum flexibility
+     */
+    findActionableTarget(target, boundary) { // Return if resolution is disabled
+        if (!this.actionableConfig.enabled) return target;
+
+        let current = target;
+
+        // Walk up the DOM tree until we hit the boundary element
+        while (current && current !== boundary && current !== document) {
+            // Check for configured actionable attributes
+            for (const attr of this.actionableConfig.attributes) {
+                if (current.hasAttribute(attr)) {
+                    return current;
+                }
+            }
+
+            // Check for configured actionable classes
+            if (current.classList) {
+                for (const className of this.actionableConfig.classes) {
+                    if (current.classList.contains(className)) {
+                        return current;
+                    }
+                }
+            }
+
+            // Check for configured actionable tags
+            if (this.actionableConfig.tags.includes(current.tagName)) {
+                return current;
+            }
+
+            current = this.getParentElement(current);
+        }
+
+        // If we reached the boundary and it's actionable, return it
+        if (current === boundary) {
+            // Check configured actionable attributes on boundary
+            for (const attr of this.actionableConfig.attributes) {
+                if (boundary.hasAttribute(attr)) {
+                    return boundary;
+                }
+            }
+
+            // Check configured actionable classes on boundary
+            if (boundary.classList) {
+                for (const className of this.actionableConfig.classes) {
+                    if (boundary.classList.contains(className)) {
+                        return boundary;
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the element matching a sub-selector between target and container
+     * @param {Element} target - Event target
+     * @param {string} matches - Sub-selector from the event config
+     * @param {Element|Document|Window} container - Registered container (exclusive boundary)
+     * @returns {Element|null} - Matching element or null
+     */
+    findSubSelectorMatch(target, matches, container) {
+        let current = target;
+
+        while (current && current !== container && current.nodeType === 1) {
+            if (current.matches(matches)) {
+                return current;
+            }
+            current = this.getParentElement(current);
+        }
+
+        return null;
+    }
+
+    /**
+     * Cross-browser closest() implementation
+     * @param {Element} element - Starting element
+     * @param {string} selector - CSS selector to match
+     * @returns {Element|null} - Closest matching ancestor or null
+     */
+    findClosest(element, selector) {
+        // Native closest() stops at shadow roots, walk through hosts in composed mode
+        if (this.composed && element.matches) {
+            let current = element;
+            while (current) {
+                if (current.matches(selector)) return current;
+                current = this.getParentElement(current);
+            }
+            return null;
+        }
+
+        // Use native closest() if available (modern browsers)
+        if (element.closest) {
+            return element.closest(selector);
+        }
+
+        // Fallback for older browsers (IE11, old Chrome/Firefox)
+        let current = element;
+
+        // Simple selector parsing for basic cases
+        const isIdSelector = selector.startsWith('#');
+        const isClassSelector = selector.startsWith('.');
+        const cleanSelector = selector.slice(1); // Remove # or .
+
+        while (current && current !== document) {
+            if (isIdSelector && current.id === cleanSelector) {
+                return current;
+            } else if (isClassSelector && current.classList && current.classList.contains(cleanSelector)) {
+                return current;
+            } else if (!isIdSelector && !isClassSelector && current.tagName && current.tagName.toLowerCase() === selector.toLowerCase()) {
+                return current;
+            }
+
+            current = current.parentElement;
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve method name using event-type specific aliases
+     * @param {string} methodName - Original method name
+     * @param {string} eventType - Event type for scoped alias lookup
+     * @returns {string} - Resolved method name (or original if no alias)
+     */
+    resolveMethodName(methodName, eventType) {
+        const eventAliases = this.aliases[eventType];
+        return (eventAliases && eventAliases[methodName]) || methodName;
+    }
+
+    /**
+     * Enhanced handler resolution with methods object and global fallback support
+     * @param {string} handlerName - Handler method name to resolve
+     * @param {string} eventType - Event type for scoped alias lookup
+     * @returns {Function|null} - Resolved handler function or null if not found
+     */
+    resolveHandler(handlerName, eventType) {
+        // First resolve any aliases
+        const resolvedName = this.resolveMethodName(handlerName, eventType);
+
+        // Define resolution order based on methodsFirst setting
+        const resolutionOrder = this.methodsFirst
+            ? ['methods', 'class', 'global']
+            : ['class', 'methods', 'global'];
+
+        for (const source of resolutionOrder) {
+            if (source === 'class') {
+                if (typeof this[resolvedName] === 'function') {
+                    return this[resolvedName];
+                }
+            } else if (source === 'methods') {
+                if (this.methods) {
+                    // First check event-scoped methods: methods.click.clickHandler
+                    if (this.methods[eventType] && typeof this.methods[eventType][resolvedName] === 'function') {
+                        return this.methods[eventType][resolvedName];
+                    }
+                    // Then check global methods: methods.globalHandler
+                    if (typeof this.methods[resolvedName] === 'function') {
+                        return this.methods[resolvedName];
+                    }
+                }
+            } else if (source === 'global') {
+                if (this.enableGlobalFallback && typeof window !== 'undefined' && typeof window[resolvedName] === 'function') {
+                    return window[resolvedName];
+                }
+            }
+        }
+
+        // Scoped instances fall back to the parent's handlers, keeping the parent as `this`
+        if (this.parent) {
+            const inherited = this.parent.resolveHandler(resolvedName, eventType);
+            return inherited ? inherited.bind(this.parent) : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate that a resolved handler exists and is callable
+     * @param {string} handlerName - Original handler name for error reporting
+     * @param {string} eventType - Event type for context
+     * @param {Function|null} resolvedHandler - The resolved handler function
+     * @param {string} resolvedName - The resolved method name after alias processing
+     * @param {boolean} [atRuntime] - Found while dispatching (see reportDiagnostic())
+     * @returns {boolean} - True if valid, false if validation disabled or handler missing
+     * @private
+     */
+    validateResolvedHandler(handlerName, eventType, resolvedHandler, resolvedName, atRuntime = false) {
+        if (!resolvedHandler) {
+            const aliasMsg = resolvedName !== handlerName ? ` (resolved from alias '${handlerName}')` : '';
+            this.reportDiagnostic('handlers', `YEH: Handler method '${resolvedName}'${aliasMsg} not found for event '${eventType}' (checked class, methods object, and global scope)`, { type: eventType, handler: handlerName }, atRuntime);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Strict level of a diagnostic category ('handlers' defaults to 'warn' with enableHandlerValidation)
+     * @private
+     */
+    getStrictLevel(category) {
+        const strict = this.config.strict;
+        const level = typeof strict === 'string' ? strict : strict && strict[category];
+        if (level) return level;
+
+        return category === 'handlers' && this.config.enableHandlerValidation ? 'warn' : 'off';
+    }
+
+    /**
+     * Report a strict mode problem: ignored, console.warn or thrown depending on the category level
+     * While collecting (strict.collect) thrown problems are gathered and raised together.
+     * Problems found at runtime (dispatch, live registration, bus) never throw: they warn once per message.
+     * @private
+     */
+    reportDiagnostic(category, message, details = {}, atRuntime = false) {
+        const level = this.getStrictLevel(category);
+        if (level !== 'warn' && level !== 'throw') return;
+
+        if (atRuntime) {
+            if (this.diagnostics.some(entry => entry.message === message)) return;
+
+            this.diagnostics.push({ category, level: 'warn', message, ...details });
+            console.warn(message);
+            return;
+        }
+
+        const diagnostic = { category, level, message, ...details };
+        if (!this.diagnostics.some(entry => entry.message === message)) {
+            this.diagnostics.push(diagnostic);
+        }
+
+        if (level === 'warn') {
+            console.warn(message);
+        } else if (this.pendingDiagnostics) {
+            this.pendingDiagnostics.push(diagnostic);
+        } else {
+            throw new Error(message);
+        }
+    }
+
+    /**
+     * Run a validation step, collecting its error instead of throwing while diagnostics are collected
+     * @private
+     */
+    collectError(callback) {
+        if (!this.pendingDiagnostics) return callback();
+
+        try {
+            return callback();
+        } catch (error) {
+            this.pendingDiagnostics.push({ category: 'config', level: 'throw', message: error.message });
+        }
+    }
+
+    /**
+     * Run callback with strict.collect: every problem is gathered and thrown as one error with a `diagnostics` list
+     * @private
+     */
+    collectDiagnostics(callback) {
+        const strict = this.config.strict;
+        if (!strict || typeof strict !== 'object' || strict.collect !== true) return callback();
+
+        const collected = this.pendingDiagnostics = [];
+        try {
+            this.collectError(callback);
+        } finally {
+            this.pendingDiagnostics = null;
+        }
+
+        if (collected.length > 0) {
+            const list = collected.map(diagnostic => `  - ${diagnostic.message}`).join('\n');
+            const error = new Error(`YEH: ${collected.length} problem(s) found:\n${list}`);
+            error.diagnostics = collected;
+            throw error;
+        }
+    }
+
+    /**
+     * Strict mode problems reported so far (warned or thrown)
+     * @returns {Array<object>} - { category, level, message, selector?, type?, handler?, ... }
+     */
+    getDiagnostics() {
+        return this.diagnostics.slice();
+    }
+
+    /**
+     * Report a mapping selector without elements (skipped with live registration, elements may still appear)
+     * @private
+     */
+    reportUnmatchedSelector(selector, root) {
+        if (this.config.live || !(root || this.root)) return;
+
+        this.reportDiagnostic('selectors', `YEH: Selector "${selector}" matched no elements`, { selector });
+    }
+
+    /**
+     * Check if the action router applies to an event config
+     * @private
+     */
+    isRouterEnabled(eventConfig) {
+        if (typeof eventConfig === 'object' && eventConfig.router !== undefined) {
+            return eventConfig.router;
+        }
+        return this.config.actionRouter;
+    }
+
+    /**
+     * Read the action name an element declares for an event type
+     * Checks data-on="click:save input:validate", then data-action-{type}, then data-action
+     * @param {Element} element - Element to inspect
+     * @param {string} eventType - Event type
+     * @returns {string|null} - Action name or null
+     */
+    getRouteAction(element, eventType) {
+        if (!element || element.nodeType !== 1) return null;
+
+        const eventAttribute = element.getAttribute(this.config.routerEventAttribute);
+        if (eventAttribute) {
+            for (const pair of eventAttribute.trim().split(/\s+/)) {
+                const [type, action] = pair.split(':');
+                if (type === eventType && action) return action;
+            }
+        }
+
+        return element.getAttribute(`${this.config.routerAttribute}-${eventType}`)
+            || element.getAttribute(this.config.routerAttribute)
+            || null;
+    }
+
+    /**
+     * Find the routed element and resolve its action to a handler
+     * @param {Element} target - Event target
+     * @param {Element|Document|Window} boundary - Registered container
+     * @param {string} eventType - Event type
+     * @returns {object|null} - { target, action, handler, params } or null if no element declares an action
+     * @private
+     */
+    resolveRoute(target, boundary, eventType) {
+        let current = target;
+
+        while (current && current.nodeType === 1) {
+            const action = this.getRouteAction(current, eventType);
+
+            if (action) {
+                const handler = this.resolveHandler(action, eventType);
+                this.validateResolvedHandler(action, eventType, handler, this.resolveMethodName(action, eventType), true);
+
+                return { target: current, action, handler, params: this.getRouteParams(current) };
+            }
+
+            if (current === boundary) break;
+            current = this.getParentElement(current);
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse data-* attributes of a routed element into params (router attributes excluded)
+     * Values "true"/"false", numbers and JSON objects/arrays are converted
+     * @private
+     */
+    getRouteParams(element) {
+        const params = {};
+
+        for (const { name, value } of Array.from(element.attributes)) {
+            if (!name.startsWith('data-')
+                || name === this.config.routerEventAttribute
+                || name === this.config.routerAttribute
+                || name.startsWith(`${this.config.routerAttribute}-`)) continue;
+
+            const key = name.slice(5).replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+            params[key] = YEH.parseAttributeValue(value);
+        }
+
+        return params;
+    }
+
+    /**
+     * Dynamically add a single event listener to existing instance
+     * @param {string} target - CSS selector or key of a `{ element, events, root }` mapping entry
+     * @param {string|object} eventConfig - Event type string or config object
+     * @returns {boolean} - True if added, false if already exists
+     */
+    addEvent(target, eventConfig) {
+        // Normalize the event config
+        const normalizedConfig = typeof eventConfig === 'string'
+            ? { type: eventConfig }
+            : eventConfig;
+
+        // Check if event already exists to prevent duplicates (same type, sub-selector and keys)
+        const signature = this.getConfigSignature(normalizedConfig);
+        const entry = this.getMappingEntry(target);
+        if (entry && entry.events.some(config => this.getConfigSignature(config) === signature)) {
+            return false; // Already exists
+        }
+
+        // Add to eventMapping (object entries keep their element and root)
+        if (!entry) {
+            this.eventMapping[target] = [normalizedConfig];
+        } else {
+            entry.events.push(normalizedConfig);
+        }
+
+        // Register the new event
+        const { selector, root } = this.getMappingEntry(target);
+        this.observeRoot(root);
+        this.registerSingleEvent(selector, normalizedConfig, root);
+
+        return true; // Successfully added
+    }
+
+    /**
+     * Remove a specific event listener from target
+     * @param {string} target - CSS selector or key of a `{ element, events, root }` mapping entry
+     * @param {string} eventType - Event type to remove
+     * @param {string|null} [matches] - Sub-selector of the config to remove (omit to remove all configs of this type)
+     * @returns {boolean} - True if removed, false if not found
+     */
+    removeEvent(target, eventType, matches) {
+        return this.removeEntryConfigs(target, eventType, config => this.isMatchingEventConfig(config, eventType, matches));
+    }
+
+    /**
+     * Remove the configs of a mapping entry selected by a predicate, with their listeners
+     * @returns {boolean} - True if a config was removed
+     * @private
+     */
+    removeEntryConfigs(target, eventType, predicate) {
+        const entry = this.getMappingEntry(target);
+        if (!entry) return false;
+
+        const removed = entry.events.filter(predicate);
+        if (removed.length === 0) return false;
+
+        // Clean up empty target, object entries keep their element and root
+        const events = entry.events.filter(config => !removed.includes(config));
+        if (events.length === 0) {
+            delete this.eventMapping[target];
+        } else if (Array.isArray(this.eventMapping[target])) {
+            this.eventMapping[target] = events;
+        } else {
+            this.eventMapping[target] = { ...this.eventMapping[target], events };
+        }
+
+        // Remove from internal tracking
+        this.unregisterHandlers(eventType, h => h.selector === entry.selector && removed.includes(h.config));
+
+        return true;
+    }
+
+    /**
+     * Check if an event is currently registered
+     * @param {string} target - CSS selector or key of a `{ element, events, root }` mapping entry
+     * @param {string} eventType - Event type to check
+     * @param {string|null} [matches] - Sub-selector to check (null = config without sub-selector, omit to check any)
+     * @returns {boolean} - True if event exists
+     */
+    hasEvent(target, eventType, matches) {
+        const entry = this.getMappingEntry(target);
+        if (!entry) return false;
+
+        return entry.events.some(config => this.isMatchingEventConfig(config, eventType, matches));
+    }
+
+    /**
+     * Check an event config against type and optional sub-selector
+     * @private
+     */
+    isMatchingEventConfig(config, eventType, matches) {
+        const configType = typeof config === 'string' ? config : config.type;
+        if (configType !== eventType) return false;
+        if (matches === undefined) return true;
+
+        const configMatches = typeof config === 'object' && config.matches ? config.matches : null;
+        return configMatches === matches;
+    }
+
+    /**
+     * Build the identity of an event config: type plus optional sub-selector and keys
+     * @private
+     */
+    getConfigSignature(eventConfig) {
+        if (typeof eventConfig === 'string') return eventConfig;
+
+        let signature = eventConfig.type;
+        if (eventConfig.matches) signature += `[${eventConfig.matches}]`;
+        if (eventConfig.keys) signature += `{${[].concat(eventConfig.keys).join('|')}}`;
+        return signature;
+    }
+
+    /**
+     * Check a keyboard event against the shortcuts of a handler entry (tracks sequences like "g i")
+     * @private
+     */
+    matchesShortcut(handlerInfo, event) {
+        if (typeof event.key !== 'string') return false;
+
+        // Bare modifier presses never complete or break a shortcut
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return false;
+
+        // Several listeners of this instance can see the same keystroke, a sequence advances once per event
+        if (!this.shortcutMatches.has(event)) this.shortcutMatches.set(event, new Map());
+        const matches = this.shortcutMatches.get(event);
+        if (matches.has(handlerInfo)) return matches.get(handlerInfo);
+
+        const now = Date.now();
+        const progress = this.keySequences.get(handlerInfo) || {};
+        const nextProgress = {};
+        let matched = false;
+
+        for (const shortcut of [].concat(handlerInfo.config.keys)) {
+            const steps = this.getParsedShortcut(shortcut);
+            let step = progress[shortcut] && now - progress[shortcut].time <= this.config.keySequenceTimeout
+                ? progress[shortcut].step
+                : 0;
+
+            // A mismatch mid-sequence restarts the sequence with the current key
+            if (!YEH.matchesKeyCombo(steps[step], event)) {
+                step = 0;
+                if (!YEH.matchesKeyCombo(steps[0], event)) continue;
+            }
+
+            if (step + 1 === steps.length) {
+                matched = true;
+            } else {
+                nextProgress[shortcut] = { step: step + 1, time: now };
+            }
+        }
+
+        this.keySequences.set(handlerInfo, nextProgress);
+        matches.set(handlerInfo, matched);
+        return matched;
+    }
+
+    /**
+     * Parse a shortcut string once per instance
+     * @private
+     */
+    getParsedShortcut(shortcut) {
+        if (!this.parsedShortcuts.has(shortcut)) {
+            this.parsedShortcuts.set(shortcut, YEH.parseShortcut(shortcut));
+        }
+        return this.parsedShortcuts.get(shortcut);
+    }
+
+    /**
+     * List all registered keyboard shortcuts (e.g. for a help overlay)
+     * @returns {Array<object>} - { selector, type, keys, handler, description } per shortcut config
+     */
+    getShortcuts() {
+        const shortcuts = [];
+        const seen = new Set();
+
+        this.eventHandlerMap.forEach((handlers, eventType) => {
+            handlers.forEach(({ selector, handler, config }) => {
+                if (typeof config !== 'object' || !config.keys) return;
+
+                const id = `${selector}|${this.getConfigSignature(config)}`;
+                if (seen.has(id)) return; // Same selector matched several elements
+                seen.add(id);
+
+                shortcuts.push({
+                    selector,
+                    type: eventType,
+                    keys: [].concat(config.keys),
+                    handler,
+                    description: config.description || null
+                });
+            });
+        });
+
+        return shortcuts;
+    }
+
+    /**
+     * Register a single event listener (internal helper)
+     * @private
+     */
+    registerEventListener(element, eventConfig, key, selector) {
+        const eventType = typeof eventConfig === 'string' ? eventConfig : eventConfig.type;
+        const handlerMethodName = this.getHandlerMethodName(eventConfig, eventType);
+
+        // Validate handler exists using enhanced resolution (routed events only need it as explicit fallback)
+        // Before attaching, so strict 'throw' leaves no listener behind
+        if (!this.isRouterEnabled(eventConfig) || (typeof eventConfig === 'object' && eventConfig.handler)) {
+            const validatedHandler = this.resolveHandler(handlerMethodName, eventType);
+            const resolvedName = this.resolveMethodName(handlerMethodName, eventType);
+            this.validateResolvedHandler(handlerMethodName, eventType, validatedHandler, resolvedName, this.registeringLive);
+        }
+
+        const handlerInfo = { element, handler: handlerMethodName, selector, config: eventConfig, key };
+        const options = this.getEventOptions(eventConfig);
+        const handler = this.createWrappedHandler(handlerInfo, eventType);
+
+        // Add the event listener
+        element.addEventListener(eventType, handler, options);
+
+        if (this.gestureConfig && YEH.GESTURE_TYPES.includes(eventType)) {
+            this.attachGestureRecognizer();
+        }
+
+        // Initialize tracking structures
+        if (!this.eventListeners.has(key)) {
+            this.eventListeners.set(key, { element, events: [] });
+        }
+
+        if (!this.elementHandlers.has(element)) {
+            this.elementHandlers.set(element, []);
+        }
+
+        // Store tracking info
+        const eventData = { type: eventType, handler, options };
+        this.eventListeners.get(key).events.push(eventData);
+        this.elementHandlers.get(element).push(eventData);
+
+        // Update handler mapping for multi-handler support
+        if (!this.eventHandlerMap.has(eventType)) {
+            this.eventHandlerMap.set(eventType, []);
+        }
+
+        this.eventHandlerMap.get(eventType).push(handlerInfo);
+    }
+
+    /**
+     * Configured handler name, or the default generated with the configurable prefix (handleClick)
+     * @private
+     */
+    getHandlerMethodName(eventConfig, eventType) {
+        if (typeof eventConfig === 'object' && eventConfig.handler) return eventConfig.handler;
+
+        return this.handlerPrefix
+            ? `${this.handlerPrefix}${eventType.charAt(0).toUpperCase() + eventType.slice(1)}`
+            : eventType;
+    }
+
+    /**
+     * Register a single event (internal helper)
+     * @private
+     */
+    registerSingleEvent(selector, eventConfig, root = this.root) {
+        const elements = this.getElements(selector, root);
+
+        if (elements.length === 0) {
+            this.reportUnmatchedSelector(selector, root);
+            return;
+        }
+
+        elements.forEach(element => {
+            // Check if this exact combination is already registered (live registration may have been first)
+            if (this.isElementRegistered(element, selector, eventConfig)) return;
+
+            this.registerEventListener(element, eventConfig, this.getFreeListenerKey(selector, eventConfig), selector);
+        });
+    }
+
+    /**
+     * Remove the handler entries of an event type selected by a predicate, with their listeners
+     * @private
+     */
+    unregisterHandlers(eventType, predicate) {
+        const handlers = this.eventHandlerMap.get(eventType);
+        if (!handlers) return;
+
+        const removed = handlers.filter(predicate);
+        const remaining = handlers.filter(h => !removed.includes(h));
+
+        // Remove from handler mapping
+        if (remaining.length === 0) {
+            this.eventHandlerMap.delete(eventType);
+        } else {
+            this.eventHandlerMap.set(eventType, remaining);
+        }
+
+        removed.forEach(handlerInfo => this.removeListenerEntry(handlerInfo, eventType, remaining));
+        this.releaseGestureRecognizer();
+    }
+
+    /**
+     * Remove the DOM listener and tracking data behind a handler mapping entry
+     * @private
+     */
+    removeListenerEntry(handlerInfo, eventType, remaining) {
+        const { element, key } = handlerInfo;
+        const listenerConfig = this.eventListeners.get(key);
+
+        if (listenerConfig) {
+            const eventData = listenerConfig.events.find(e => e.type === eventType);
+            if (eventData) {
+                // The instance itself is a shared listener, keep it while other configs still need it
+                if (!this.isListenerStillUsed(element, eventData, remaining)) {
+                    element.removeEventListener(eventType, eventData.handler, eventData.options);
+                }
+
+                listenerConfig.events = listenerConfig.events.filter(e => e !== eventData);
+
+                // Clean up WeakMap entries
+                const elementEvents = this.elementHandlers.get(element);
+                if (elementEvents) {
+                    const filteredEvents = elementEvents.filter(e => e !== eventData);
+                    if (filteredEvents.length === 0) {
+                        this.elementHandlers.delete(element);
+                    } else {
+                        this.elementHandlers.set(element, filteredEvents);
+                    }
+                }
+            }
+
+            // Clean up tracking
+            if (listenerConfig.events.length === 0) {
+                this.eventListeners.delete(key);
+            }
+        }
+
+        // Clean up any timers for this event
+        this.cleanupEventTimers(key, eventType);
+    }
+
+    /**
+     * Check if a remaining handler entry relies on the same DOM listener registration
+     * @private
+     */
+    isListenerStillUsed(element, eventData, remaining) {
+        const capture = this.getCaptureFlag(eventData.options);
+
+        return remaining.some(h => {
+            if (h.element !== element) return false;
+            const listenerConfig = this.eventListeners.get(h.key);
+            return !!listenerConfig && listenerConfig.events.some(e => e !== eventData
+                && e.type === eventData.type
+                && e.handler === eventData.handler
+                && this.getCaptureFlag(e.options) === capture);
+        });
+    }
+
+    /**
+     * Extract the capture flag from addEventListener options
+     * @private
+     */
+    getCaptureFlag(options) {
+        return typeof options === 'object' && options !== null ? !!options.capture : !!options;
+    }
+
+    /**
+     * Listen to pointer events on the document to recognize gestures (once per instance)
+     * @private
+     */
+    attachGestureRecognizer() {
+        if (this.gestureListener || typeof document === 'undefined') return;
+
+        this.gestureListener = { handleEvent: event => this.handleGesturePointer(event) };
+        const options = { capture: true, passive: true };
+        if (this.abortController) options.signal = this.abortController.signal;
+
+        ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach(type => {
+            document.addEventListener(type, this.gestureListener, options);
+        });
+    }
+
+    /**
+     * Remove the gesture recognizer and pending longpress timer
+     * @private
+     */
+    detachGestureRecognizer() {
+        if (!this.gestureListener) return;
+
+        ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach(type => {
+            document.removeEventListener(type, this.gestureListener, { capture: true });
+        });
+
+        if (this.gestureState) clearTimeout(this.gestureState.longPressTimer);
+        this.gestureListener = null;
+        this.gestureState = null;
+        this.lastTap = null;
+    }
+
+    /**
+     * Detach the gesture recognizer once no gesture config is registered anymore
+     * @private
+     */
+    releaseGestureRecognizer() {
+        if (this.gestureListener && !YEH.GESTURE_TYPES.some(type => this.eventHandlerMap.has(type))) {
+            this.detachGestureRecognizer();
+        }
+    }
+
+    /**
+     * Gesture state machine fed by pointer events
+     * @private
+     */
+    handleGesturePointer(event) {
+        const config = this.gestureConfig;
+        const state = this.gestureState;
+
+        if (event.type === 'pointerdown') {
+            if (!event.isPrimary || (event.pointerType === 'mouse' && event.button !== 0)) return;
+            if (state) clearTimeout(state.longPressTimer);
+
+            const newState = {
+                pointerId: event.pointerId,
+                target: this.getEventTarget(event),
+                startX: event.clientX,
+                startY: event.clientY,
+                startTime: Date.now(),
+                dragging: false,
+                longPressed: false,
+                longPressTimer: null
+            };
+            newState.longPressTimer = setTimeout(() => {
+                newState.longPressed = true;
+                this.dispatchGesture('longpress', newState, event);
+            }, config.longPressDelay);
+
+            this.gestureState = newState;
+            return;
+        }
+
+        if (!state || event.pointerId !== state.pointerId) return;
+
+        const deltaX = event.clientX - state.startX;
+        const deltaY = event.clientY - state.startY;
+        const distance = Math.hypot(deltaX, deltaY);
+
+        if (event.type === 'pointermove') {
+            if (!state.dragging && distance > config.moveTolerance) {
+                clearTimeout(state.longPressTimer);
+                state.dragging = true;
+                this.dispatchGesture('dragstart', state, event);
+            }
+            if (state.dragging) {
+                this.dispatchGesture('dragmove', state, event);
+            }
+            return;
+        }
+
+        // pointerup / pointercancel end the gesture
+        clearTimeout(state.longPressTimer);
+        this.gestureState = null;
+
+        if (state.dragging) {
+            this.dispatchGesture('dragend', state, event);
+        }
+
+        if (event.type === 'pointercancel') return;
+
+        const duration = Date.now() - state.startTime;
+        if (distance >= config.swipeThreshold && duration <= config.swipeTimeout) {
+            const direction = Math.abs(deltaX) > Math.abs(deltaY)
+                ? (deltaX > 0 ? 'right' : 'left')
+                : (deltaY > 0 ? 'down' : 'up');
+            this.dispatchGesture(`swipe${direction}`, state, event);
+            return;
+        }
+
+        if (!state.dragging && !state.longPressed) {
+            const lastTap = this.lastTap;
+            if (lastTap
+                && state.startTime - lastTap.time <= config.doubleTapDelay
+                && Math.hypot(state.startX - lastTap.x, state.startY - lastTap.y) <= config.doubleTapDistance) {
+                this.lastTap = null;
+                this.dispatchGesture('doubletap', state, event);
+            } else {
+                this.lastTap = { time: state.startTime, x: state.startX, y: state.startY };
+            }
+        }
+    }
+
+    /**
+     * Dispatch a recognized gesture as bubbling CustomEvent from the gesture's start target
+     * so it reaches handleEvent() through the regular closest-match resolution
+     * @private
+     */
+    dispatchGesture(type, state, pointerEvent) {
+        if (!state.target || !state.target.isConnected) return;
+
+        const deltaX = pointerEvent.clientX - state.startX;
+        const deltaY = pointerEvent.clientY - state.startY;
+        const duration = Date.now() - state.startTime;
+        const distance = Math.hypot(deltaX, deltaY);
+
+        const gestureEvent = new CustomEvent(type, {
+            bubbles: true,
+            cancelable: true,
+            composed: true,
+            detail: {
+                pointerType: pointerEvent.pointerType,
+                startX: state.startX,
+                startY: state.startY,
+                x: pointerEvent.clientX,
+                y: pointerEvent.clientY,
+                deltaX,
+                deltaY,
+                distance,
+                duration,
+                velocity: duration > 0 ? distance / duration : 0,
+                originalEvent: pointerEvent
+            }
+        });
+
+        YEH._gestureEvents.set(gestureEvent, this);
+        state.target.dispatchEvent(gestureEvent);
+    }
+
+    /**
+     * Check if a gesture-typed event was recognized by this instance (or dispatched by user code)
+     * @private
+     */
+    isOwnGestureEvent(event) {
+        if (typeof DragEvent !== 'undefined' && event instanceof DragEvent) return false;
+
+        const recognizer = YEH._gestureEvents.get(event);
+        return !recognizer || recognizer === this;
+    }
+
+    getEventOptions(eventConfig) {
+        const shouldBePassive = this.passiveSupported && this.passiveEvents.includes(eventConfig.type || eventConfig);
+
+        if (typeof eventConfig === 'string') {
+            const options = shouldBePassive ? { passive: true } : {};
+            // Add signal if AbortController is enabled
+            if (this.abortController) {
+                options.signal = this.abortController.signal;
+            }
+            return Object.keys(options).length > 0 ? options : false;
+        }
+
+        const options = eventConfig.options || {};
+        // Apply passive if event type supports it, unless explicitly disabled with passive: false or prevent needs preventDefault()
+        if (shouldBePassive && options.passive !== false && !eventConfig.prevent) {
+            options.passive = true;
+        }
+
+        // Add signal if AbortController is enabled and not explicitly disabled
+        if (this.abortController && options.signal !== false) {
+            options.signal = this.abortController.signal;
+        }
+
+        return Object.keys(options).length > 0 ? options : false;
+    }
+
+    registerEvents() {
+        this.getMappingEntries().forEach(({ selector, events, root }) => {
+            const elements = this.getElements(selector, root);
+            if (elements.length === 0) {
+                this.reportUnmatchedSelector(selector, root);
+                return;
+            }
+
+            elements.forEach(element => {
+                events.forEach(eventConfig => {
+                    // Use the shared registration logic
+                    this.registerEventListener(element, eventConfig, this.getFreeListenerKey(selector, eventConfig), selector);
+                });
+            });
+        });
+        return this;
+    }
+
+    /**
+     * Normalize eventMapping into selector/events pairs (supports both mapping formats)
+     * @private
+     */
+    getMappingEntries() {
+        return Object.keys(this.eventMapping).map(key => this.getMappingEntry(key));
+    }
+
+    /**
+     * Normalize one eventMapping entry into selector, events and query root
+     * @returns {object|null} - { selector, events, root } or null if the key isn't mapped
+     * @private
+     */
+    getMappingEntry(key) {
+        const config = this.eventMapping[key];
+        if (!config) return null;
+
+        const isSimplified = Array.isArray(config);
+        return {
+            selector: isSimplified ? key : config.element,
+            events: isSimplified ? config : config.events,
+            root: isSimplified ? this.root : (config.root || this.root)
+        };
+    }
+
+    /**
+     * Start watching the DOM for inserted/removed containers (live mode)
+     * @private
+     */
+    observeDOM() {
+        if (this.domObserver || typeof MutationObserver === 'undefined' || typeof document === 'undefined') return;
+
+        this.domObserver = new MutationObserver(records => this.handleMutations(records));
+        this.observeRoot(this.root);
+        this.getMappingEntries().forEach(({ root }) => this.observeRoot(root));
+    }
+
+    /**
+     * Add a query root to the DOM observer (per-entry shadow roots aren't covered by the document)
+     * @private
+     */
+    observeRoot(root) {
+        if (!this.domObserver || !root || this.observedRoots.has(root)) return;
+
+        const node = root === document ? document.documentElement : root;
+        const observed = Array.from(this.observedRoots, entry => entry === document ? document.documentElement : entry);
+        if (observed.some(entry => entry.contains(node))) return;
+
+        this.observedRoots.add(root);
+        this.domObserver.observe(node, { childList: true, subtree: true });
+    }
+
+    /**
+     * Process mutations that happened synchronously before the current event
+     * @private
+     */
+    flushMutations() {
+        if (!this.domObserver) return;
+
+        const records = this.domObserver.takeRecords();
+        if (records.length) this.handleMutations(records);
+    }
+
+    /**
+     * Process MutationObserver records
+     * @private
+     */
+    handleMutations(records) {
+        // Any structural change may alter distances
+        if (this.distanceCacheStats.size > 0 && records.some(r => r.addedNodes.length || r.removedNodes.length)) {
+            this.clearDistanceCache();
+        }
+
+        if (!this.config.live) return;
+
+        this.registeringLive = true;
+        try {
+            this.registerMutations(records);
+        } finally {
+            this.registeringLive = false;
+        }
+    }
+
+    /**
+     * Register inserted and unregister removed containers (live mode)
+     * @private
+     */
+    registerMutations(records) {
+        for (const record of records) {
+            record.removedNodes.forEach(node => {
+                // Nodes that were only moved are still connected, keep their listeners
+                if (node.nodeType === 1 && !node.isConnected) {
+                    this.unregisterTree(node);
+                }
+            });
+
+            record.addedNodes.forEach(node => {
+                if (node.nodeType === 1 && node.isConnected) {
+                    this.registerTree(node);
+                }
+            });
+        }
+    }
+
+    /**
+     * Register configured listeners on a newly inserted node and its matching descendants
+     * @private
+     */
+    registerTree(node) {
+        this.getMappingEntries().forEach(({ selector, events, root }) => {
+            if (typeof selector !== 'string' || selector === 'document' || selector === 'window') return;
+            if (!root || !root.contains(node)) return; // Inserted outside the entry's query root
+
+            const elements = Array.from(node.querySelectorAll(selector));
+            if (node.matches(selector)) elements.unshift(node);
+
+            elements.forEach(element => {
+                events.forEach(eventConfig => {
+                    if (this.isElementRegistered(element, selector, eventConfig)) return;
+
+                    this.registerEventListener(element, eventConfig, this.getFreeListenerKey(selector, eventConfig), selector);
+                });
+            });
+        });
+    }
+
+    /**
+     * Detach listeners from a removed node and all tracked descendants
+     * @private
+     */
+    unregisterTree(node) {
+        const elements = new Set();
+        this.eventListeners.forEach(({ element }) => {
+            if (element === node || (node.contains && node.contains(element))) {
+                elements.add(element);
+            }
+        });
+        elements.forEach(element => this.unregisterElement(element));
+    }
+
+    /**
+     * Remove every listener and tracking entry that belongs to an element
+     * @private
+     */
+    unregisterElement(element) {
+        Array.from(this.eventListeners.entries()).forEach(([key, config]) => {
+            if (config.element !== element) return;
+
+            config.events.forEach(({ type, handler, options }) => {
+                element.removeEventListener(type, handler, options);
+                this.cleanupEventTimers(key, type);
+            });
+            this.eventListeners.delete(key);
+        });
+
+        this.elementHandlers.delete(element);
+
+        this.eventHandlerMap.forEach((handlers, eventType) => {
+            const filteredHandlers = handlers.filter(h => h.element !== element);
+            if (filteredHandlers.length === 0) {
+                this.eventHandlerMap.delete(eventType);
+            } else {
+                this.eventHandlerMap.set(eventType, filteredHandlers);
+            }
+        });
+        this.releaseGestureRecognizer();
+    }
+
+    /**
+     * Check if an element already has a listener for selector/eventConfig
+     * @private
+     */
+    isElementRegistered(element, selector, eventConfig) {
+        const eventType = typeof eventConfig === 'string' ? eventConfig : eventConfig.type;
+        const signature = this.getConfigSignature(eventConfig);
+        const handlers = this.eventHandlerMap.get(eventType);
+
+        return !!handlers && handlers.some(h => h.element === element
+            && h.selector === selector
+            && this.getConfigSignature(h.config) === signature);
+    }
+
+    /**
+     * Next unused tracking key for selector/eventConfig, the only key scheme for every registration path
+     * Keys count up per selector/config, so an element never takes over the key of another one.
+     * @private
+     */
+    getFreeListenerKey(selector, eventConfig) {
+        const base = `${selector}_${this.getConfigSignature(eventConfig)}`;
+        let index = this.listenerKeyCounts.get(base) || 0;
+        while (this.eventListeners.has(`${base}_${index}`)) index++;
+        this.listenerKeyCounts.set(base, index + 1);
+        return `${base}_${index}`;
+    }
+
+    /**
+     * Run pending throttled/debounced calls now instead of waiting for their timer
+     * @param {string} [selector] - Limit to handlers registered for this selector
+     * @param {string} [eventType] - Limit to this event type
+     * @returns {YEH} - this for chaining
+     */
+    flush(selector, eventType) {
+        this.getPendingTimers(selector, eventType).forEach(state => state.flush());
+        return this;
+    }
+
+    /**
+     * Drop pending throttled/debounced calls without running them
+     * @param {string} [selector] - Limit to handlers registered for this selector
+     * @param {string} [eventType] - Limit to this event type
+     * @returns {YEH} - this for chaining
+     */
+    cancel(selector, eventType) {
+        this.getPendingTimers(selector, eventType).forEach(state => state.cancel());
+        return this;
+    }
+
+    /**
+     * Collect active throttle/debounce states for the matching registered handlers
+     * @private
+     */
+    getPendingTimers(selector, eventType) {
+        const states = [];
+
+        this.eventHandlerMap.forEach((handlers, type) => {
+            if (eventType !== undefined && type !== eventType) return;
+
+            handlers.forEach(handlerInfo => {
+                if (selector !== undefined && handlerInfo.selector !== selector) return;
+
+                [this.throttleTimers.get(`${handlerInfo.key}-${type}-throttle`),
+                    this.debounceTimers.get(`${handlerInfo.key}-${type}-debounce`)]
+                    .forEach(state => {
+                        if (state && !states.includes(state)) states.push(state);
+                    });
+            });
+        });
+
+        return states;
+    }
+
+    /**
+     * Clean up throttle/debounce timers for a specific event
+     * @private
+     */
+    cleanupEventTimers(key, eventType) {
+        const throttleKey = `${key}-${eventType}-throttle`;
+        const debounceKey = `${key}-${eventType}-debounce`;
+
+        if (this.throttleTimers.has(throttleKey)) {
+            this.throttleTimers.get(throttleKey).cancel();
+        }
+
+        if (this.debounceTimers.has(debounceKey)) {
+            this.debounceTimers.get(debounceKey).cancel();
+        }
+    }
+
+    /**
+     * Bind a form: validate fields as they change, validate everything on submit
+     * and emit form:valid / form:invalid / form:submit with { form, values, errors, valid }.
+     * Rules come from options.validators and data-validate="required|minlength:3|methodName" on the fields.
+     * @param {string} selector - Form selector (owns the submit config of that selector)
+     * @param {object} [options] - { validators: { fieldName: rules }, debounce: input validation delay (default 300, false = none), focusInvalid: true }
+     * @returns {YEH} - this for chaining
+     */
+    bindForm(selector, options = {}) {
+        const { validators = {}, debounce = 300, focusInvalid = true } = options;
+
+        if (typeof selector !== 'string' || !selector) {
+            throw new Error('YEH: bindForm() requires a form selector');
+        }
+        if (!validators || typeof validators !== 'object') {
+            throw new Error(`YEH: Validators for form "${selector}" must be an object of field names`);
+        }
+        Object.entries(validators).forEach(([name, rules]) => {
+            if (![].concat(rules).every(rule => typeof rule === 'function' || typeof rule === 'string')) {
+                throw new Error(`YEH: Validator for field "${name}" must be a function, rule string or array of them`);
+            }
+        });
+
+        this.unbindForm(selector);
+
+        // stop: false lets the events propagate, outer input/change/submit configs still run
+        const configs = [
+            { type: 'input', matches: '[name]', handler: 'handleFormField', stop: false, ...(debounce ? { debounce } : {}) },
+            { type: 'change', matches: '[name]', handler: 'handleFormField', stop: false },
+            { type: 'submit', handler: 'handleFormSubmit', prevent: true, stop: false, concurrency: 'drop' }
+        ];
+        configs.forEach((config, index) => this.validateEventConfig(selector, config, index));
+
+        if (this.hasEvent(selector, 'submit', null)) {
+            throw new Error(`YEH: "${selector}" already has a submit handler, listen for "form:submit" instead`);
+        }
+
+        this.formBindings.set(selector, { validators, focusInvalid });
+        configs.forEach(config => this.addEvent(selector, config));
+        return this;
+    }
+
+    /**
+     * Remove a form binding created with bindForm()
+     * @param {string} selector - Form selector
+     * @returns {YEH} - this for chaining
+     */
+    unbindForm(selector) {
+        if (!this.formBindings.has(selector)) return this;
+
+        this.removeEvent(selector, 'input', '[name]');
+        this.removeEvent(selector, 'change', '[name]');
+        this.removeEvent(selector, 'submit', null);
+        this.formBindings.delete(selector);
+        return this;
+    }
+
+    /**
+     * Validate every field of a bound form and show all errors
+     * @param {string|HTMLFormElement} form - Form element or selector
+     * @returns {Promise<object>} - { form, values, errors, valid }
+     */
+    validateForm(form) {
+        if (typeof form === 'string') {
+            form = this.root ? this.root.querySelector(form) : null;
+        }
+        if (!form || !this.getFormBinding(form)) {
+            return Promise.reject(new Error('YEH: validateForm() requires a form bound with bindForm()'));
+        }
+
+        return this.runFormValidation(form, true);
+    }
+
+    /**
+     * Validate the changed field of a bound form (input/change)
+     * @private
+     */
+    handleFormField(event, field, form) {
+        this.getFormState(form).touched.add(field.name);
+        return this.runFormValidation(form, false);
+    }
+
+    /**
+     * Validate a bound form on submit and emit form:submit when it passes
+     * @private
+     */
+    handleFormSubmit(event, target, form) {
+        return this.runFormValidation(form, true, true).then(result => {
+            if (result.valid) {
+                this.emit('form:submit', result, form);
+            } else if (this.getFormBinding(form).focusInvalid) {
+                const invalid = Array.from(form.elements).find(field => field.name in result.errors);
+                if (invalid && typeof invalid.focus === 'function') invalid.focus();
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Run the rules of every field, update error display and emit validity changes
+     * Only touched fields show errors unless showAll is set; results of superseded runs are not displayed.
+     * announce emits form:valid/form:invalid even when validity did not change (submit).
+     * @private
+     */
+    runFormValidation(form, showAll, announce = false) {
+        const binding = this.getFormBinding(form);
+        const state = this.getFormState(form);
+        const values = YEH.serializeForm(form);
+        const run = ++state.run;
+
+        const names = [];
+        Array.from(form.elements).forEach(field => {
+            if (field.name && !field.disabled && !names.includes(field.name)) names.push(field.name);
+        });
+
+        const checks = names.map(name => {
+            const fields = Array.from(form.elements).filter(field => field.name === name);
+            const rules = this.getFieldRules(binding, name, fields[0]);
+            const value = YEH.getFieldValue(values, YEH.parseFieldName(name));
+
+            return this.runFieldRules(rules, value, fields[0], values).then(message => ({ name, fields, message }));
+        });
+
+        return Promise.all(checks).then(results => {
+            const errors = {};
+            results.forEach(({ name, message }) => {
+                if (message) errors[name] = message;
+            });
+            const result = { form, values, errors, valid: Object.keys(errors).length === 0 };
+
+            if (run !== state.run) return result;
+
+            if (showAll) names.forEach(name => state.touched.add(name));
+            results.forEach(({ name, fields, message }) => {
+                if (state.touched.has(name)) this.showFieldError(form, name, fields, message);
+            });
+
+            if (state.valid !== result.valid || announce) {
+                state.valid = result.valid;
+                this.emit(result.valid ? 'form:valid' : 'form:invalid', result, form);
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Collect a field's rules: configured validators first, then data-validate
+     * @private
+     */
+    getFieldRules(binding, name, field) {
+        const rules = [];
+        const addRule = rule => {
+            if (typeof rule === 'function') {
+                rules.push({ name: rule.name || 'custom', fn: rule });
+                return;
+            }
+
+            // pattern: takes the rest of the string, its regex may contain "|"
+            const pattern = /(?:^|\|)\s*pattern:/.exec(rule);
+            const list = pattern ? rule.slice(0, pattern.index) : rule;
+
+            list.split('|').map(part => part.trim()).filter(Boolean).forEach(part => {
+                const separator = part.indexOf(':');
+                rules.push(separator === -1
+                    ? { name: part, arg: null }
+                    : { name: part.slice(0, separator), arg: part.slice(separator + 1) });
+            });
+            if (pattern) rules.push({ name: 'pattern', arg: rule.slice(pattern.index + pattern[0].length) });
+        };
+
+        [].concat(binding.validators[name] || []).forEach(addRule);
+        if (field.hasAttribute('data-validate')) addRule(field.getAttribute('data-validate'));
+
+        return rules;
+    }
+
+    /**
+     * Apply rules in order, resolving with the first error message (null when valid)
+     * Rules return true/undefined when valid, false or a message when not; promises are awaited.
+     * @private
+     */
+    runFieldRules(rules, value, field, values) {
+        return rules.reduce((chain, rule) => chain.then(message => {
+            if (message) return message;
+
+            return Promise.resolve(this.applyFieldRule(rule, value, field, values)).then(outcome => {
+                if (outcome === true || outcome === undefined || outcome === null || outcome === '') return null;
+
+                const template = field.getAttribute(`data-error-${rule.name}`)
+                    || field.getAttribute('data-error')
+                    || (typeof outcome === 'string' ? outcome : YEH.FORM_MESSAGES[rule.name] || YEH.FORM_MESSAGES.invalid);
+                return template.replace('{arg}', rule.arg);
+            });
+        }), Promise.resolve(null));
+    }
+
+    /**
+     * Run one rule: function, built-in rule or handler method resolved like event handlers
+     * @private
+     */
+    applyFieldRule(rule, value, field, values) {
+        if (rule.fn) return rule.fn.call(this, value, field, values);
+
+        if (YEH.FORM_RULES[rule.name]) {
+            // Only "required" checks empty fields
+            if (rule.name !== 'required' && YEH.isEmptyValue(value)) return true;
+            return YEH.FORM_RULES[rule.name](value, rule.arg, field) || false;
+        }
+
+        const method = this.resolveHandler(rule.name, 'validate');
+        if (!method) {
+            throw new Error(`YEH: Unknown validator "${rule.name}" for field "${field.name}"`);
+        }
+        return method.call(this, value, field, values, rule.arg);
+    }
+
+    /**
+     * Toggle aria-invalid on a field group and fill its [data-error-for] element
+     * @private
+     */
+    showFieldError(form, name, fields, message) {
+        fields.forEach(field => {
+            if (message) {
+                field.setAttribute('aria-invalid', 'true');
+            } else {
+                field.removeAttribute('aria-invalid');
+            }
+        });
+
+        Array.from(form.querySelectorAll('[data-error-for]'))
+            .filter(element => element.getAttribute('data-error-for') === name)
+            .forEach(element => {
+                element.textContent = message || '';
+                element.hidden = !message;
+            });
+    }
+
+    /**
+     * Find the bindForm() options of a form element
+     * @private
+     */
+    getFormBinding(form) {
+        for (const [selector, binding] of this.formBindings) {
+            if (typeof form.matches === 'function' && form.matches(selector)) return binding;
+        }
+        return null;
+    }
+
+    /**
+     * Per-form validation state: touched fields, last validity, run counter
+     * @private
+     */
+    getFormState(form) {
+        if (!this.formStates.has(form)) {
+            this.formStates.set(form, { touched: new Set(), valid: null, run: 0 });
+        }
+        return this.formStates.get(form);
+    }
+
+    /**
+     * Create a reactive store
+     * Mutations through store.state or set()/update() emit "<prefix>:<path>" for the changed path and its
+     * ancestors (once per path per microtask) and refresh [data-bind] / [data-bind-class] elements in the next frame.
+     * @param {object} [initial] - Initial state (used in place, not copied)
+     * @param {object} [options] - { prefix: topic prefix (default 'state'), bind: update data-bind elements (default true) }
+     * @returns {object} - Store { state, get, set, update, destroy }
+     */
+    createStore(initial = {}, options = {}) {
+        const { prefix = 'state', bind = true } = options;
+
+        if (!initial || typeof initial !== 'object') {
+            throw new Error('YEH: createStore() requires an initial state object');
+        }
+        if (typeof prefix !== 'string' || !prefix || /[:\s]/.test(prefix)) {
+            throw new Error(`YEH: Store prefix must be a non-empty string without ":" or whitespace, got: ${prefix}`);
+        }
+
+        const data = initial;
+        const proxies = new WeakMap();  // raw object -> Map(path -> proxy)
+        const raws = new WeakMap();     // proxy -> raw object
+        const pending = new Set();
+        const changedPaths = new Set(); // Waiting for the next binding render
+        let flushQueued = false;
+        let frame = null;
+        let renderAll = true;
+        let destroyed = false;
+
+        const isTracked = value => value !== null && typeof value === 'object'
+            && (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+        const join = (path, key) => (path ? `${path}.${key}` : String(key));
+
+        const notify = path => {
+            if (destroyed) return;
+
+            pending.add(path);
+            if (flushQueued) return;
+
+            flushQueued = true;
+            Promise.resolve().then(() => {
+                flushQueued = false;
+                if (destroyed) return;
+
+                const changed = Array.from(pending);
+                pending.clear();
+                this.emitStoreChanges(store, changed);
+                changed.forEach(changedPath => changedPaths.add(changedPath));
+                scheduleRender();
+            });
+        };
+
+        const render = () => {
+            frame = null;
+            if (destroyed) return;
+
+            this.renderStoreBindings(store, renderAll ? null : Array.from(changedPaths));
+            renderAll = false;
+            changedPaths.clear();
+        };
+
+        const scheduleRender = () => {
+            if (bind && !frame) frame = YEH._schedule('raf', render);
+        };
+
+        const proxify = (target, path) => {
+            if (!proxies.has(target)) proxies.set(target, new Map());
+            const byPath = proxies.get(target);
+            if (byPath.has(path)) return byPath.get(path);
+
+            const proxy = new Proxy(target, {
+                get(object, key, receiver) {
+                    const value = Reflect.get(object, key, receiver);
+                    return typeof key !== 'symbol' && isTracked(value) ? proxify(value, join(path, key)) : value;
+                },
+                set(object, key, value, receiver) {
+                    if (raws.has(value)) value = raws.get(value);
+
+                    const hadKey = Object.prototype.hasOwnProperty.call(object, key);
+                    const previous = object[key];
+                    const result = Reflect.set(object, key, value, receiver);
+
+                    if (typeof key !== 'symbol' && (!hadKey || previous !== value)) {
+                        // Array length changes report the array itself
+                        notify(Array.isArray(object) && key === 'length' ? path : join(path, key));
+                    }
+                    return result;
+                },
+                deleteProperty(object, key) {
+                    const hadKey = Object.prototype.hasOwnProperty.call(object, key);
+                    const result = Reflect.deleteProperty(object, key);
+                    if (hadKey && typeof key !== 'symbol') notify(join(path, key));
+                    return result;
+                }
+            });
+
+            byPath.set(path, proxy);
+            raws.set(proxy, target);
+            return proxy;
+        };
+
+        const store = {
+            prefix,
+            state: proxify(data, ''),
+
+            // Value at a dot path ('' = whole state); objects come back reactive
+            get: (path = '') => YEH.getStorePath(store.state, path),
+
+            set: (path, value) => {
+                if (typeof path !== 'string' || !path) {
+                    throw new Error('YEH: store.set() requires a non-empty path');
+                }
+
+                const keys = path.split('.');
+                const last = keys.pop();
+                let node = store.state;
+                keys.forEach(key => {
+                    if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+                    node = node[key];
+                });
+                node[last] = value;
+                return store;
+            },
+
+            update: (path, fn) => store.set(path, fn(store.get(path))),
+
+            // Raw (non-reactive) value at a dot path
+            snapshot: (path = '') => YEH.getStorePath(data, path),
+
+            destroy: () => {
+                destroyed = true;
+                YEH._unschedule(frame);
+                frame = null;
+                pending.clear();
+                changedPaths.clear();
+                this.stores.delete(store);
+            }
+        };
+
+        this.stores.add(store);
+        scheduleRender();
+        return store;
+    }
+
+    /**
+     * Emit the batched changes of a store, deepest paths first, each topic once
+     * @private
+     */
+    emitStoreChanges(store, changed) {
+        const topics = new Map(); // path -> changed paths below it
+        changed.forEach(path => {
+            const keys = path ? path.split('.') : [];
+            for (let depth = keys.length; depth >= 0; depth--) {
+                const topicPath = keys.slice(0, depth).join('.');
+                if (!topics.has(topicPath)) topics.set(topicPath, []);
+                if (!topics.get(topicPath).includes(path)) topics.get(topicPath).push(path);
+            }
+        });
+
+        const depth = path => (path ? path.split('.').length : 0);
+        Array.from(topics.keys())
+            .sort((a, b) => depth(b) - depth(a))
+            .forEach(path => {
+                const type = path ? `${store.prefix}:${path}` : store.prefix;
+                this.emit(type, { path, value: store.snapshot(path), changed: topics.get(path) });
+            });
+    }
+
+    /**
+     * Update [data-bind] text/values and [data-bind-class] classes bound to a store
+     * data-bind="cart.count" (default "state" store) or "prefix:path"; data-bind-class="is-open: ui.open, ..."
+     * @private
+     */
+    renderStoreBindings(store, changedPaths) {
+        if (!this.root || typeof this.root.querySelectorAll !== 'function') return;
+
+        // A binding is stale when its path and a changed path are equal or one contains the other
+        const isAffected = path => !changedPaths || changedPaths.some(changed => changed === path
+            || changed.startsWith(`${path}.`) || path.startsWith(`${changed}.`) || changed === '' || path === '');
+        const ownPath = reference => {
+            const separator = reference.indexOf(':');
+            const refPrefix = separator === -1 ? 'state' : reference.slice(0, separator).trim();
+            const path = (separator === -1 ? reference : reference.slice(separator + 1)).trim();
+            return refPrefix === store.prefix ? path : null;
+        };
+
+        this.root.querySelectorAll('[data-bind]').forEach(element => {
+            const path = ownPath(element.getAttribute('data-bind'));
+            if (path === null || !isAffected(path)) return;
+
+            const value = store.snapshot(path);
+            if (element.type === 'checkbox' || element.type === 'radio') {
+                element.checked = element.type === 'radio' ? element.value === String(value) : Boolean(value);
+            } else if (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
+                element.value = value === undefined || value === null ? '' : value;
+            } else {
+                element.textContent = value === undefined || value === null ? ''
+                    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+            }
+        });
+
+        this.root.querySelectorAll('[data-bind-class]').forEach(element => {
+            element.getAttribute('data-bind-class').split(',').forEach(entry => {
+                const separator = entry.indexOf(':');
+                if (separator === -1) return;
+
+                const className = entry.slice(0, separator).trim();
+                const path = ownPath(entry.slice(separator + 1));
+                if (!className || path === null || !isAffected(path)) return;
+
+                element.classList.toggle(className, Boolean(store.snapshot(path)));
+            });
+        });
+    }
+
+    /**
+     * Create a child instance whose selectors resolve inside rootElement
+     * The child is built by YEH's constructor with this instance's prototype, so subclass methods stay
+     * available without re-running a subclass constructor (those usually build their own mapping).
+     * It inherits config, methods and aliases, resolves missing handlers through this instance,
+     * and is destroyed together with this instance or when rootElement leaves the DOM.
+     * @param {Element|ShadowRoot} rootElement - Root the child's selectors are queried from
+     * @param {object} eventMapping - Event mapping for the child
+     * @param {object} config - Config overrides for the child
+     * @returns {YEH} - The child instance
+     */
+    scope(rootElement, eventMapping = {}, config = {}) {
+        if (!rootElement || typeof rootElement.querySelectorAll !== 'function') {
+            throw new Error('YEH: scope() requires an Element or ShadowRoot as root');
+        }
+
+        const { root, parent, ...inherited } = this.config;
+        const aliases = {};
+        Object.entries(this.aliases).forEach(([eventType, map]) => {
+            aliases[eventType] = { ...map };
+        });
+
+        const child = Reflect.construct(YEH, [eventMapping, aliases, {
+            ...inherited,
+            ...config,
+            methods: config.methods ? { ...this.methods, ...config.methods } : this.config.methods,
+            root: rootElement,
+            parent: this
+        }], this.constructor);
+
+        this.watchScopeRoot(child);
+        return child;
+    }
+
+    /**
+     * Destroy scoped children once their root is removed from the DOM
+     * One observer per parent, watching every document or shadow root its children live in
+     * @private
+     */
+    watchScopeRoot(child) {
+        if (typeof MutationObserver === 'undefined' || !child.root.isConnected) return;
+
+        if (!this.scopeObserver) {
+            this.scopeObserver = new MutationObserver(records => {
+                if (!records.some(r => r.removedNodes.length > 0)) return;
+
+                Array.from(this.children).forEach(scoped => {
+                    if (!scoped.root.isConnected) scoped.destroy();
+                });
+            });
+        }
+
+        const rootNode = child.root.getRootNode();
+        if (this.scopeRoots.has(rootNode)) return;
+
+        this.scopeRoots.add(rootNode);
+        this.scopeObserver.observe(rootNode === document ? document.documentElement : rootNode, { childList: true, subtree: true });
+    }
+
+    abort() {
+        if (this.abortController) {
+            // The signal removes the recognizer's listeners too, forget it so gesture configs added later reattach it
+            this.detachGestureRecognizer();
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        return this;
+    }
+
+    destroy() {
+        // Children first, they detach themselves from this.children
+        Array.from(this.children).forEach(child => child.destroy());
+        if (this.parent) this.parent.children.delete(this);
+
+        this.detachGestureRecognizer();
+
+        if (this.domObserver) {
+            this.domObserver.disconnect();
+            this.domObserver = null;
+            this.observedRoots.clear();
+        }
+
+        if (this.scopeObserver) {
+            this.scopeObserver.disconnect();
+            this.scopeObserver = null;
+            this.scopeRoots.clear();
+        }
+
+        // Use AbortController for efficient cleanup if available
+        if (this.abortController) {
+            this.abort(); // This automatically removes ALL DOM listeners with the signal
+        } else {
+            // Only do manual removal when AbortController is NOT enabled
+            this.eventListeners.forEach((config) => {
+                config.events.forEach(({ type, handler, options }) => {
+                    config.element.removeEventListener(type, handler, options);
+                });
+            });
+        }
+
+        this.eventListeners.clear();
+        this.listenerKeyCounts.clear();
+        this.eventHandlerMap.clear();
+        this.formBindings.clear();
+        Array.from(this.stores).forEach(store => store.destroy());
+        this.busListeners = [];
+        this.unbridge();
+        this.clearDistanceCache();
+
+        // Cancel pending async handlers
+        this.pendingHandlers.forEach(state => {
+            if (state.controller) state.controller.abort();
+        });
+        this.pendingHandlers.clear();
+
+        // Clean up throttle timers
+        [...this.throttleTimers.values()].forEach(state => state.cancel());
+        this.throttleTimers.clear();
+
+        // Clean up debounce timers
+        [...this.debounceTimers.values()].forEach(state => state.cancel());
+        this.debounceTimers.clear();
+
+        return this;
+    }
+
+    /**
+     * Explain how an event of eventType on element would be dispatched
+     * Side-effect free: nothing is invoked (when() guards included), no stats or shortcut sequences change.
+     * @param {EventTarget} element - Event target to analyse
+     * @param {string} eventType - Event type
+     * @param {Event} [event] - Real event, lets keyboard shortcut configs and claimed handlers be evaluated
+     * @returns {object} - { type, target, dispatchMode, candidates, chain, timed, winner, fired, reason }
+     */
+    explain(element, eventType, event) {
+        const handlers = this.eventHandlerMap.get(eventType) || [];
+        const explanation = {
+            type: eventType,
+            target: element,
+            dispatchMode: this.dispatchMode,
+            candidates: [],
+            chain: [],
+            timed: [],
+            winner: null,
+            fired: false,
+            reason: ''
+        };
+
+        if (handlers.length === 0) {
+            explanation.reason = `No handler registered for '${eventType}'`;
+            return explanation;
+        }
+
+        const eligible = [];
+        const entries = new Map(); // candidate -> the handler entry dispatch would use
+        const claimed = event ? this.handledEvents.get(event) : null;
+        handlers.forEach(handlerInfo => {
+            const config = typeof handlerInfo.config === 'object' ? handlerInfo.config : {};
+            const candidate = {
+                selector: handlerInfo.selector,
+                container: handlerInfo.element,
+                handler: handlerInfo.handler,
+                distance: this.calculateDOMDistance(element, handlerInfo.element),
+                matches: config.matches || null,
+                keys: config.keys || null,
+                throttle: config.throttle || null,
+                debounce: config.debounce || null,
+                conditional: Boolean(config.when),
+                status: 'eligible',
+                note: null
+            };
+            explanation.candidates.push(candidate);
+            entries.set(candidate, handlerInfo);
+
+            if (candidate.distance === Infinity) {
+                candidate.status = 'outside';
+                candidate.note = 'Target is not inside this container';
+                return;
+            }
+
+            if (candidate.keys && !this.explainShortcut(candidate.keys, event)) {
+                candidate.status = 'keys';
+                candidate.note = event
+                    ? `Key combo does not match '${[].concat(candidate.keys).join("', '")}'`
+                    : `Only fires for keys '${[].concat(candidate.keys).join("', '")}'`;
+                return;
+            }
+
+            if (candidate.matches) {
+                const match = this.findSubSelectorMatch(element, candidate.matches, handlerInfo.element);
+                if (!match) {
+                    candidate.status = 'no-match';
+                    candidate.note = `Target is not inside '${candidate.matches}'`;
+                    return;
+                }
+                candidate.match = match;
+                candidate.distance = this.calculateDOMDistance(element, match);
+            }
+
+            const guard = claimed && claimed.has(handlerInfo)
+                ? 'Already handled earlier in this event\'s propagation'
+                : this.getGuardFailure(handlerInfo, element, candidate.match || null);
+            if (guard) {
+                candidate.status = 'guarded';
+                candidate.note = guard;
+                return;
+            }
+
+            // Throttled/debounced configs fire through their own listener and timer, outside the selection
+            if (this.isTimedConfig(handlerInfo.config)) {
+                explanation.timed.push(candidate);
+            } else {
+                eligible.push(candidate);
+            }
+        });
+
+        // Same selection as handleEvent(): stable closest-first sort, ordered for the dispatch mode
+        eligible.sort((a, b) => a.distance - b.distance);
+        const ordered = this.orderCandidates(eligible);
+
+        // when() guards are user code and not run here, in 'closest' mode a guarded candidate may hand over to the next
+        let chain = ordered;
+        if (this.dispatchMode === 'closest') {
+            const decisive = ordered.findIndex(candidate => !candidate.conditional);
+            chain = decisive === -1 ? ordered : ordered.slice(0, decisive + 1);
+        }
+
+        eligible.forEach(candidate => {
+            if (!chain.includes(candidate)) {
+                candidate.status = 'shadowed';
+                candidate.note = `A closer container wins in '${this.dispatchMode}' mode`;
+            }
+        });
+
+        let routed = false;
+        chain.forEach(candidate => {
+            // Mirrors dispatchChain(): an action is routed once per event
+            if (routed && this.isRouterEnabled(entries.get(candidate).config)) {
+                candidate.status = 'shadowed';
+                candidate.note = 'The action was already routed by a closer container';
+                return;
+            }
+
+            this.explainCandidate(candidate, entries.get(candidate), element, eventType);
+            if (candidate.status === 'fires' && candidate.action) routed = true;
+        });
+        explanation.timed.forEach(candidate => this.explainCandidate(candidate, entries.get(candidate), element, eventType));
+
+        explanation.chain = chain;
+        explanation.winner = chain.find(candidate => candidate.status === 'fires')
+            || explanation.timed.find(candidate => candidate.status === 'fires')
+            || null;
+        explanation.fired = explanation.winner !== null;
+
+        if (explanation.winner) {
+            const { winner } = explanation;
+            const via = winner.resolution.source + (winner.resolution.alias ? ` via alias '${winner.resolution.name}'` : '');
+            const timing = winner.throttle ? ', throttled' : winner.debounce ? ', debounced' : '';
+            const condition = winner.conditional ? ', if its when() guard passes' : '';
+            explanation.reason = `'${winner.resolution.resolvedName}' (${via}${timing}) on "${winner.selector}" at distance ${winner.distance}${condition}`;
+        } else if (chain.length > 0) {
+            explanation.reason = chain[0].note;
+        } else {
+            const closest = explanation.candidates.find(candidate => candidate.status !== 'outside');
+            explanation.reason = closest ? closest.note : `Target is not inside any container registered for '${eventType}'`;
+        }
+
+        return explanation;
+    }
+
+    /**
+     * Resolve route, handler and actionable target of a selected explain() candidate
+     * @private
+     */
+    explainCandidate(candidate, handlerInfo, element, eventType) {
+        const route = this.isRouterEnabled(handlerInfo.config) ? this.explainRoute(candidate.match || element, candidate.container, eventType) : null;
+
+        candidate.action = route ? route.action : null;
+        candidate.resolution = this.explainResolution(route ? route.action : candidate.handler, eventType);
+
+        if (!candidate.resolution.resolved) {
+            candidate.status = 'unresolved';
+            candidate.note = `Handler '${candidate.resolution.resolvedName}' not found (checked ${candidate.resolution.trail.filter(step => !step.skipped).map(step => step.source).join(', ')})`;
+            return;
+        }
+
+        if (!route && !candidate.match && this.autoTargetResolution && this.targetResolutionEvents.includes(eventType)) {
+            const actionable = this.findActionableTarget(element, candidate.container);
+            candidate.actionableTarget = actionable;
+
+            if (!actionable && this.actionableConfig.enabled) {
+                const { attributes, classes, tags } = this.actionableConfig;
+                candidate.status = 'blocked';
+                candidate.note = `No actionable target between target and container (attributes: ${attributes.join(', ')}; classes: ${classes.join(', ')}; tags: ${tags.join(', ')})`;
+                return;
+            }
+        }
+
+        candidate.status = 'fires';
+    }
+
+    /**
+     * Alias and handler resolution trail across class, methods, global and parent scope
+     * @private
+     */
+    explainResolution(handlerName, eventType) {
+        const resolvedName = this.resolveMethodName(handlerName, eventType);
+        const sources = this.methodsFirst ? ['methods', 'class', 'global'] : ['class', 'methods', 'global'];
+        const trail = sources.map(source => {
+            let found = false;
+            if (source === 'class') {
+                found = typeof this[resolvedName] === 'function';
+            } else if (source === 'methods') {
+                found = !!this.methods && ((this.methods[eventType] && typeof this.methods[eventType][resolvedName] === 'function')
+                    || typeof this.methods[resolvedName] === 'function');
+            } else {
+                found = this.enableGlobalFallback && typeof window !== 'undefined' && typeof window[resolvedName] === 'function';
+            }
+            return { source, found, skipped: source === 'global' && !this.enableGlobalFallback };
+        });
+
+        let source = (trail.find(step => step.found) || {}).source || null;
+        if (!source && this.parent && this.parent.resolveHandler(resolvedName, eventType)) {
+            trail.push({ source: 'parent', found: true, skipped: false });
+            source = 'parent';
+        }
+
+        return {
+            name: handlerName,
+            resolvedName,
+            alias: resolvedName !== handlerName,
+            trail,
+            source,
+            resolved: source !== null
+        };
+    }
+
+    /**
+     * Find the routed action without resolving or warning
+     * @private
+     */
+    explainRoute(target, boundary, eventType) {
+        let current = target;
+        while (current && current.nodeType === 1) {
+            const action = this.getRouteAction(current, eventType);
+            if (action) return { target: current, action };
+            if (current === boundary) break;
+            current = this.getParentElement(current);
+        }
+        return null;
+    }
+
+    /**
+     * Check shortcut keys against an event without touching sequence progress
+     * @private
+     */
+    explainShortcut(keys, event) {
+        if (!event || typeof event.key !== 'string') return false;
+
+        // Sequences depend on earlier keystrokes, report them by their last step
+        return [].concat(keys).some(shortcut => {
+            const combos = this.getParsedShortcut(shortcut);
+            return YEH.matchesKeyCombo(combos[combos.length - 1], event);
+        });
+    }
+
+    /**
+     * Start recording handled events for later replay
+     * @returns {YEH} - this for chaining
+     */
+    startRecording() {
+        this.recording = { version: 1, startedAt: Date.now(), events: [] };
+        return this;
+    }
+
+    /**
+     * Stop recording and return the trace (plain JSON-safe object)
+     * @returns {object|null} - { version, startedAt, duration, events } or null if not recording
+     */
+    stopRecording() {
+        const recording = this.recording;
+        if (!recording) return null;
+
+        this.recording = null;
+        recording.duration = Date.now() - recording.startedAt;
+        return recording;
+    }
+
+    /**
+     * Append a handled event to the active recording
+     * @private
+     */
+    recordEvent(event, handlers) {
+        const target = this.getEventTarget(event);
+        const entry = {
+            time: Date.now() - this.recording.startedAt,
+            type: event.type,
+            eventClass: event.constructor && event.constructor.name || 'Event',
+            target: YEH.getSelectorPath(target, this.root),
+            handlers,
+            init: { bubbles: event.bubbles, cancelable: event.cancelable, composed: event.composed }
+        };
+
+        YEH.RECORDED_FIELDS.forEach(field => {
+            if (field in event && event[field] !== undefined) entry.init[field] = event[field];
+        });
+        if ('detail' in entry.init) entry.init.detail = YEH.toCloneable(entry.init.detail);
+
+        // Form state the handlers saw, restored before replaying input/change events
+        if (target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) {
+            entry.value = target.value;
+            if (target.type === 'checkbox' || target.type === 'radio') entry.checked = target.checked;
+        }
+
+        this.recording.events.push(entry);
+    }
+
+    /**
+     * Replay a recording by re-dispatching its events against the current DOM
+     * @param {object|string} recording - Recording from stopRecording() or its JSON
+     * @param {object} [options] - { speed: timing multiplier (Infinity = no delays), step: manual stepping }
+     * @returns {object} - Player { step(), play(), stop(), position, total, results, finished }
+     */
+    replay(recording, options = {}) {
+        const trace = typeof recording === 'string' ? JSON.parse(recording) : recording;
+        const { speed = 1, step = false } = options;
+
+        if (!trace || !Array.isArray(trace.events)) {
+            throw new Error('YEH: replay() requires a recording with an "events" array');
+        }
+
+        if (typeof speed !== 'number' || speed <= 0) {
+            throw new Error(`YEH: Replay speed must be a positive number, got: ${speed}`);
+        }
+
+        const events = trace.events;
+        let timer = null;
+        let resolveFinished;
+
+        const player = {
+            position: 0,
+            total: events.length,
+            results: [],
+            finished: new Promise(resolve => { resolveFinished = resolve; }),
+
+            // Dispatch the next event, returns its result or null when done
+            step: () => {
+                if (player.position >= events.length) return null;
+
+                const result = this.replayEvent(events[player.position]);
+                player.results.push(result);
+                player.position++;
+
+                if (player.position >= events.length) resolveFinished(player.results);
+                return result;
+            },
+
+            // Dispatch the remaining events with recorded timing scaled by speed
+            play: () => {
+                clearTimeout(timer);
+                const next = () => {
+                    if (!player.step()) return;
+                    if (player.position >= events.length) return;
+
+                    const delay = (events[player.position].time - events[player.position - 1].time) / speed;
+                    timer = setTimeout(next, Math.max(delay, 0));
+                };
+                next();
+                return player.finished;
+            },
+
+            stop: () => {
+                clearTimeout(timer);
+                timer = null;
+            }
+        };
+
+        if (events.length === 0) {
+            resolveFinished(player.results);
+        } else if (!step) {
+            player.play();
+        }
+
+        return player;
+    }
+
+    /**
+     * Re-dispatch one recorded event and compare the handlers that ran
+     * @private
+     */
+    replayEvent(entry) {
+        let target = null;
+        if (entry.target === 'document') {
+            target = document;
+        } else if (entry.target === 'window') {
+            target = window;
+        } else if (entry.target) {
+            target = this.root.querySelector(entry.target);
+        }
+
+        if (!target) {
+            console.warn(`YEH: Replay target "${entry.target}" not found for '${entry.type}'`);
+            return { type: entry.type, target: entry.target, dispatched: false, expected: entry.handlers, handlers: [], matched: false };
+        }
+
+        if (entry.value !== undefined && 'value' in target) target.value = entry.value;
+        if (entry.checked !== undefined && 'checked' in target) target.checked = entry.checked;
+
+        const EventClass = (typeof window !== 'undefined' && typeof window[entry.eventClass] === 'function')
+            ? window[entry.eventClass]
+            : Event;
+
+        const handlers = [];
+        const previous = this.replayCapture;
+        this.replayCapture = handlers;
+        try {
+            target.dispatchEvent(new EventClass(entry.type, entry.init));
+        } finally {
+            this.replayCapture = previous;
+        }
+
+        return {
+            type: entry.type,
+            target: entry.target,
+            dispatched: true,
+            expected: entry.handlers,
+            handlers,
+            matched: handlers.join() === entry.handlers.join()
+        };
+    }
+
+    /**
+     * Get (or create) the runtime metrics entry of a selector/type/handler
+     * @private
+     */
+    getMetricEntry(selector, eventType, handlerName) {
+        const key = `${selector}|${eventType}|${handlerName}`;
+        let entry = this.handlerMetrics.get(key);
+
+        if (!entry) {
+            entry = {
+                selector,
+                type: eventType,
+                handler: handlerName,
+                count: 0,
+                totalTime: 0,
+                maxTime: 0,
+                samples: [],
+                throttled: 0,
+                debounced: 0,
+                blocked: 0,
+                slow: 0
+            };
+            this.handlerMetrics.set(key, entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Count a throttled or debounced call that never reached the handler
+     * @private
+     */
+    countDrop(selector, eventType, handlerName, kind) {
+        if (!this.enableStats) return;
+
+        this.getMetricEntry(selector, eventType, this.resolveMethodName(handlerName, eventType))[kind]++;
+    }
+
+    /**
+     * Record a handler's synchronous execution time and check the slow-handler budget
+     * @private
+     */
+    recordTiming(context, duration) {
+        const threshold = this.config.slowHandlerThreshold;
+        const isSlow = threshold !== null && duration > threshold;
+        const entry = this.enableStats
+            ? this.getMetricEntry(context.selector, context.event.type, context.resolvedName)
+            : null;
+
+        if (entry) {
+            entry.count++;
+            entry.totalTime += duration;
+            entry.maxTime = Math.max(entry.maxTime, duration);
+
+            // Bounded sample buffer for percentiles
+            entry.samples.push(duration);
+            if (entry.samples.length > this.config.statsSampleSize) entry.samples.shift();
+            if (isSlow) entry.slow++;
+        }
+
+        if (!isSlow) return;
+
+        if (typeof this.config.onSlowHandler === 'function') {
+            this.config.onSlowHandler.call(this, { duration, threshold, selector: context.selector, type: context.event.type, handler: context.resolvedName, context });
+        } else {
+            console.warn(`YEH: Handler '${context.resolvedName}' for '${context.event.type}' on "${context.selector}" took ${duration.toFixed(1)}ms (budget: ${threshold}ms)`);
+        }
+    }
+
+    /**
+     * Per-handler runtime metrics with percentiles
+     * @private
+     */
+    getHandlerMetrics() {
+        return Array.from(this.handlerMetrics.entries()).map(([key, entry]) => {
+            const sorted = entry.samples.slice().sort((a, b) => a - b);
+            const percentile = q => sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)] : 0;
+
+            return {
+                selector: entry.selector,
+                type: entry.type,
+                handler: entry.handler,
+                count: entry.count,
+                avg: entry.count ? entry.totalTime / entry.count : 0,
+                p50: percentile(0.5),
+                p95: percentile(0.95),
+                max: entry.maxTime,
+                throttled: entry.throttled,
+                debounced: entry.debounced,
+                blocked: entry.blocked,
+                slow: entry.slow,
+                errors: this.handlerErrors.get(key) || 0
+            };
+        });
+    }
+
+    /**
+     * Reset runtime metrics (handler timings, drops, errors and cache counters), including scoped children
+     * @returns {YEH} - this for chaining
+     */
+    resetStats() {
+        this.handlerMetrics.clear();
+        this.handlerErrors.clear();
+        this.distanceCacheStats.hits = 0;
+        this.distanceCacheStats.misses = 0;
+        this.distanceCacheStats.invalidations = 0;
+        this.children.forEach(child => child.resetStats());
+        return this;
+    }
+
+    /**
+     * Export statistics as flat metrics for monitoring backends
+     * @returns {object|null} - { timestamp, metrics: [{ name, value, tags }] }, or null if stats disabled
+     */
+    exportStats() {
+        const stats = this.getStats();
+        if (!stats) return null;
+
+        const metrics = [
+            { name: 'yeh.listeners', value: stats.totalListeners, tags: {} },
+            { name: 'yeh.elements', value: stats.totalElements, tags: {} },
+            { name: 'yeh.distance_cache.hit_rate', value: stats.distanceCache.hitRate, tags: {} },
+            { name: 'yeh.distance_cache.invalidations', value: stats.distanceCache.invalidations, tags: {} }
+        ];
+
+        stats.handlers.forEach(entry => {
+            const tags = { selector: entry.selector, type: entry.type, handler: entry.handler };
+            ['count', 'avg', 'p50', 'p95', 'max', 'throttled', 'debounced', 'blocked', 'slow', 'errors'].forEach(field => {
+                metrics.push({ name: `yeh.handler.${field}`, value: entry[field], tags });
+            });
+        });
+
+        return { timestamp: Date.now(), metrics };
+    }
+
+    /**
+     * Get comprehensive statistics about the event handler instance
+     * @returns {object|null} - Statistics object with various metrics, or null if stats disabled
+     */
+    getStats() {
+        if (!this.enableStats) return null;
+
+        const configs = Array.from(this.eventListeners.values());
+        const events = configs.flatMap(config => config.events);
+
+        // Count event types
+        const eventTypes = {};
+        events.forEach(event => {
+            eventTypes[event.type] = (eventTypes[event.type] || 0) + 1;
+        });
+
+        // Count unique elements
+        const uniqueElements = new Set(configs.map(config => config.element));
+        const lookups = this.distanceCacheStats.hits + this.distanceCacheStats.misses;
+
+        const stats = {
+            totalListeners: this.eventListeners.size,
+            totalElements: uniqueElements.size,
+            totalEventTypes: Object.keys(eventTypes).length,
+            eventTypes,
+            userHasInteracted: this.userHasInteracted,
+            activeTimers: {
+                throttle: this.throttleTimers.size,
+                debounce: this.debounceTimers.size
+            },
+            distanceCache: {
+                size: this.distanceCacheStats.size,
+                enabled: this.enableDistanceCache,
+                hits: this.distanceCacheStats.hits,
+                misses: this.distanceCacheStats.misses,
+                hitRate: lookups > 0 ? this.distanceCacheStats.hits / lookups : 0,
+                invalidations: this.distanceCacheStats.invalidations
+            },
+            handlerErrors: Object.fromEntries(this.handlerErrors),
+            shortcuts: this.getShortcuts(),
+            handlers: this.getHandlerMetrics(),
+            scopes: this.children.size
+        };
+
+        this.children.forEach(child => {
+            const childStats = child.getStats();
+            if (childStats) this.mergeChildStats(stats, childStats);
+        });
+
+        return stats;
+    }
+
+    /**
+     * Add a scoped child's statistics into the parent's totals
+     * @private
+     */
+    mergeChildStats(stats, childStats) {
+        const cache = stats.distanceCache;
+
+        stats.totalListeners += childStats.totalListeners;
+        stats.totalElements += childStats.totalElements;
+        stats.scopes += childStats.scopes;
+        stats.userHasInteracted = stats.userHasInteracted || childStats.userHasInteracted;
+        stats.activeTimers.throttle += childStats.activeTimers.throttle;
+        stats.activeTimers.debounce += childStats.activeTimers.debounce;
+
+        Object.entries(childStats.eventTypes).forEach(([type, count]) => {
+            stats.eventTypes[type] = (stats.eventTypes[type] || 0) + count;
+        });
+        stats.totalEventTypes = Object.keys(stats.eventTypes).length;
+
+        Object.entries(childStats.handlerErrors).forEach(([key, count]) => {
+            stats.handlerErrors[key] = (stats.handlerErrors[key] || 0) + count;
+        });
+        stats.shortcuts = stats.shortcuts.concat(childStats.shortcuts);
+        stats.handlers = stats.handlers.concat(childStats.handlers);
+
+        ['size', 'hits', 'misses', 'invalidations'].forEach(field => {
+            cache[field] += childStats.distanceCache[field];
+        });
+        cache.hitRate = cache.hits + cache.misses > 0 ? cache.hits / (cache.hits + cache.misses) : 0;
+    }
+
+    debounce(fn, delay, key = Symbol('debounce'), onDrop) {
+        return YEH._debounceImplementation(fn, delay, key, this.debounceTimers, onDrop);
+    }
+
+    throttle(fn, delay, key = Symbol('throttle'), onDrop) {
+        return YEH._throttleImplementation(fn, delay, key, this.throttleTimers, onDrop);
+    }
+
+    detectPassiveSupport() {
+        this.passiveSupported = YEH.isPassiveSupported();
+    }
+
+    dispatch(type, detail = null, target = YEH.getDefaultTarget()) {
+        // Without a DOM (Node, workers) there is nothing to dispatch to
+        if (!target || typeof CustomEvent === 'undefined') return this;
+
+        target.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+        return this;
+    }
+
+    /**
+     * Static dispatch method for use without instance
+     * @param {string} type - Event type to dispatch
+     * @param {any} detail - Event detail payload
+     * @param {Element} target - Target element (defaults to document)
+     * @returns {CustomEvent|null} - The dispatched event, null without a DOM
+     */
+    static dispatch(type, detail = null, target = YEH.getDefaultTarget()) {
+        if (!target || typeof CustomEvent === 'undefined') return null;
+
+        const event = new CustomEvent(type, { detail, bubbles: true, cancelable: true });
+        target.dispatchEvent(event);
+        return event;
+    }
+
+    /**
+     * Statically analyze a mapping without a DOM (CI friendly, JSON serializable result)
+     * Reports missing handlers, unused aliases and alias targets, duplicate event configs, throttle/debounce
+     * conflicts, prevent: true on passive listeners, unknown config keys and invalid config values.
+     * A HandlerClass that isn't YEH or a subclass is reported as an 'invalid-class' error.
+     * Handlers are looked up on HandlerClass.prototype and config.methods; methods assigned in a constructor are not visible.
+     * @param {object} mapping - Event mapping
+     * @param {object} [aliases] - Aliases
+     * @param {Function} [HandlerClass] - YEH or a subclass
+     * @param {object} [config] - Instance config
+     * @returns {object} - { valid, summary: { errors, warnings, info }, issues, entries }
+     * @static
+     */
+    static analyze(mapping = {}, aliases = {}, HandlerClass = YEH, config = {}) {
+        const issues = [];
+        const entries = [];
+        const report = (severity, code, message, details = {}) => issues.push({ severity, code, message, ...details });
+
+        if (typeof HandlerClass !== 'function' || !(HandlerClass === YEH || HandlerClass.prototype instanceof YEH)) {
+            report('error', 'invalid-class', 'YEH: analyze() requires YEH or a subclass as HandlerClass');
+            return YEH.summarizeAnalysis(issues, entries);
+        }
+
+        const probe = YEH.createProbe(HandlerClass, mapping, aliases, config);
+
+        // Instance config (mapping shape is checked per selector below)
+        try {
+            probe.eventMapping = {};
+            probe.validateConfiguration();
+        } catch (error) {
+            report('error', 'invalid-config', error.message);
+        } finally {
+            probe.eventMapping = mapping;
+        }
+
+        if (!mapping || typeof mapping !== 'object') {
+            report('error', 'invalid-mapping', 'YEH: eventMapping must be a non-null object');
+            return YEH.summarizeAnalysis(issues, entries);
+        }
+
+        const usedHandlers = new Map(); // eventType -> handler names referenced by configs
+
+        Object.entries(mapping).forEach(([key, selectorConfig]) => {
+            const isObjectForm = selectorConfig && typeof selectorConfig === 'object' && !Array.isArray(selectorConfig);
+            const selector = isObjectForm ? selectorConfig.element : key;
+            const events = isObjectForm ? selectorConfig.events : selectorConfig;
+
+            if (isObjectForm && (typeof selector !== 'string' || !selector)) {
+                report('error', 'invalid-config', `YEH: Config for "${key}" must have a selector string in "element"`, { selector: key });
+                return;
+            }
+            if (!Array.isArray(events) || events.length === 0) {
+                const problem = Array.isArray(events) ? 'cannot be empty' : `must be an array, got: ${typeof events}`;
+                report('error', 'invalid-config', `YEH: Config for selector "${selector}" ${problem}`, { selector });
+                return;
+            }
+
+            const signatures = new Map();
+
+            events.forEach((eventConfig, index) => {
+                const location = { selector, index };
+
+                // Both timings on one config is its own finding, the remaining values still get validated
+                if (eventConfig && typeof eventConfig === 'object' && eventConfig.throttle && eventConfig.debounce) {
+                    report('error', 'timing-conflict', `YEH: Event config for selector "${selector}" at index ${index} cannot have both throttle and debounce`, { ...location, type: eventConfig.type });
+                }
+                if (eventConfig && typeof eventConfig === 'object' && eventConfig.prevent && eventConfig.options && eventConfig.options.passive === true) {
+                    report('error', 'passive-prevent', `YEH: "prevent" on selector "${selector}" at index ${index} has no effect in a passive listener`, { ...location, type: eventConfig.type });
+                }
+
+                try {
+                    const checked = eventConfig && typeof eventConfig === 'object'
+                        ? { ...eventConfig, debounce: eventConfig.throttle ? undefined : eventConfig.debounce, prevent: eventConfig.options && eventConfig.options.passive === true ? undefined : eventConfig.prevent }
+                        : eventConfig;
+                    probe.validateEventConfig(selector, checked, index);
+                } catch (error) {
+                    report('error', 'invalid-config', error.message, location);
+                    return;
+                }
+
+                const type = typeof eventConfig === 'string' ? eventConfig : eventConfig.type;
+                const object = typeof eventConfig === 'object' ? eventConfig : {};
+                const unknownKeys = Object.keys(object).filter(key => !YEH.EVENT_CONFIG_KEYS.includes(key));
+
+                if (unknownKeys.length > 0) {
+                    report('warning', 'unknown-key', `YEH: Unknown key ${unknownKeys.map(name => `"${name}"`).join(', ')} in "${type}" config on "${selector}"`, { ...location, type, keys: unknownKeys });
+                }
+                const handlerName = probe.getHandlerMethodName(eventConfig, type);
+                const resolvedName = probe.resolveMethodName(handlerName, type);
+                const handler = probe.resolveHandler(handlerName, type);
+                const routed = probe.isRouterEnabled(eventConfig);
+                const options = object.options || {};
+                const passive = options.passive === true
+                    || (probe.passiveEvents.includes(type) && options.passive !== false && !object.prevent);
+
+                if (!usedHandlers.has(type)) usedHandlers.set(type, new Set());
+                usedHandlers.get(type).add(handlerName);
+
+                entries.push({
+                    selector,
+                    type,
+                    index,
+                    handler: handlerName,
+                    resolvedName,
+                    resolved: Boolean(handler),
+                    matches: object.matches || null,
+                    keys: object.keys ? [].concat(object.keys) : null,
+                    throttle: object.throttle || null,
+                    debounce: object.debounce || null,
+                    passive,
+                    router: routed
+                });
+
+                if (!handler) {
+                    const detail = { ...location, type, handler: handlerName, resolvedName };
+                    if (routed && !object.handler) {
+                        report('info', 'router-fallback', `YEH: No fallback handler '${resolvedName}' for routed "${type}" on "${selector}" (only data-action targets fire)`, detail);
+                    } else if (probe.enableGlobalFallback && typeof window === 'undefined') {
+                        report('info', 'unverified-handler', `YEH: Handler '${resolvedName}' may be a global function, cannot verify without window`, detail);
+                    } else {
+                        report('error', 'missing-handler', `YEH: Handler method '${resolvedName}' not found for "${type}" on "${selector}"`, detail);
+                    }
+                }
+
+                if (typeof object.when === 'string' && !probe.resolveHandler(object.when, type)) {
+                    report('error', 'missing-handler', `YEH: "when" method '${object.when}' not found for "${type}" on "${selector}"`, { ...location, type, handler: object.when });
+                }
+
+                const signature = probe.getConfigSignature(eventConfig);
+                if (signatures.has(signature)) {
+                    report('warning', 'duplicate-event', `YEH: "${signature}" is configured twice on "${selector}", index ${index} is ignored in favour of index ${signatures.get(signature)}`, { ...location, type });
+                } else {
+                    signatures.set(signature, index);
+                }
+            });
+        });
+
+        // Aliases: every entry should be referenced by a config and point to an existing method
+        Object.entries(aliases || {}).forEach(([type, typeAliases]) => {
+            if (!typeAliases || typeof typeAliases !== 'object') {
+                report('error', 'invalid-alias', `YEH: Aliases for "${type}" must be an object of alias names`, { type });
+                return;
+            }
+
+            Object.entries(typeAliases).forEach(([alias, target]) => {
+                if (typeof target !== 'string' || !target) {
+                    report('error', 'invalid-alias', `YEH: Alias '${alias}' for "${type}" must point to a method name`, { type, alias });
+                    return;
+                }
+
+                const used = usedHandlers.has(type) && usedHandlers.get(type).has(alias);
+                const routable = entries.some(entry => entry.type === type && entry.router);
+                if (!used && !routable) {
+                    report('warning', 'unused-alias', `YEH: Alias '${alias}' for "${type}" is not used by any "${type}" config`, { type, alias, target });
+                }
+
+                if (!probe.resolveHandler(alias, type)) {
+                    report('error', 'missing-alias-target', `YEH: Alias '${alias}' for "${type}" points to missing method '${target}'`, { type, alias, target });
+                }
+            });
+        });
+
+        return YEH.summarizeAnalysis(issues, entries);
+    }
+
+    /**
+     * Count issues by severity
+     * @private
+     * @static
+     */
+    static summarizeAnalysis(issues, entries) {
+        const count = severity => issues.filter(issue => issue.severity === severity).length;
+        const summary = { errors: count('error'), warnings: count('warning'), info: count('info') };
+        return { valid: summary.errors === 0, summary, issues, entries };
+    }
+
+    /**
+     * Create an uninitialized instance of HandlerClass (checked by analyze()) carrying just enough state
+     * for config checks and handler resolution (no listeners, observers or DOM access)
+     * @private
+     * @static
+     */
+    static createProbe(HandlerClass, mapping, aliases, config) {
+        const probe = Object.create(HandlerClass.prototype);
+        probe.config = { ...YEH.DEFAULT_CONFIG, ...config };
+        probe.eventMapping = mapping;
+        probe.aliases = aliases || {};
+        probe.methods = probe.config.methods || {};
+        probe.methodsFirst = probe.config.methodsFirst;
+        probe.enableGlobalFallback = probe.config.enableGlobalFallback;
+        probe.handlerPrefix = probe.config.handlerPrefix !== undefined ? probe.config.handlerPrefix : 'handle';
+        probe.passiveEvents = (probe.config.passiveEvents || YEH.DEFAULT_PASSIVE_EVENTS).slice();
+        probe.parent = null;
+        probe.reportDiagnostic = () => {}; // analyze() reports strict findings itself
+        return probe;
+    }
+
+    /**
+     * JSON Schema (draft-07) of the event mapping, e.g. for editor validation of JSON mapping files
+     * Function values (handlers in methods, "when" predicates) are runtime-only and not part of the schema.
+     * @returns {object} - JSON Schema
+     * @static
+     */
+    static getMappingSchema() {
+        const nonEmptyString = { type: 'string', minLength: 1 };
+        const flag = { type: 'boolean' };
+        const wait = { type: 'number', exclusiveMinimum: 0 };
+        const timing = (scheduler, options) => ({
+            oneOf: [
+                wait,
+                { const: scheduler },
+                { type: 'object', required: ['wait'], additionalProperties: false, properties: options }
+            ]
+        });
+
+        return {
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            title: 'YEH event mapping',
+            type: 'object',
+            additionalProperties: {
+                oneOf: [
+                    { $ref: '#/definitions/eventList' },
+                    {
+                        type: 'object',
+                        required: ['element', 'events'],
+                        properties: { element: nonEmptyString, events: { $ref: '#/definitions/eventList' } }
+                    }
+                ]
+            },
+            definitions: {
+                eventList: { type: 'array', minItems: 1, items: { $ref: '#/definitions/eventConfig' } },
+                eventConfig: { oneOf: [nonEmptyString, { $ref: '#/definitions/eventObject' }] },
+                eventObject: {
+                    type: 'object',
+                    required: ['type'],
+                    additionalProperties: false,
+                    properties: {
+                        type: nonEmptyString,
+                        handler: nonEmptyString,
+                        throttle: timing('raf', { wait, leading: flag, trailing: flag }),
+                        debounce: timing('idle', { wait, leading: flag, trailing: flag, maxWait: wait }),
+                        options: {
+                            type: 'object',
+                            properties: { capture: flag, once: flag, passive: flag }
+                        },
+                        matches: nonEmptyString,
+                        router: flag,
+                        concurrency: { enum: ['parallel', 'drop', 'queue', 'cancel'] },
+                        keys: { oneOf: [nonEmptyString, { type: 'array', minItems: 1, items: nonEmptyString }] },
+                        description: { type: 'string' },
+                        once: flag,
+                        prevent: flag,
+                        stop: flag,
+                        self: flag,
+                        ignoreDisabled: flag,
+                        when: nonEmptyString
+                    },
+                    not: { required: ['throttle', 'debounce'] }
+                }
+            }
+        };
+    }
+
+    /**
+     * Default dispatch target: document, or null outside a DOM environment
+     * @returns {Document|null}
+     * @static
+     */
+    static getDefaultTarget() {
+        return typeof document !== 'undefined' ? document : null;
+    }
+
+    /**
+     * Read a dot path ("cart.items.0") from an object
+     * @param {object} object - Source object
+     * @param {string} path - Dot path ('' returns the object)
+     * @returns {any} - Value or undefined
+     * @static
+     */
+    static getStorePath(object, path) {
+        if (!path) return object;
+
+        return path.split('.').reduce((node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined), object);
+    }
+
+    /**
+     * Serialize a form into a nested object
+     * name="a[b]" nests, name="a[]" and checkbox groups collect arrays, a lone checkbox without value is a boolean.
+     * Disabled fields and buttons are skipped.
+     * @param {HTMLFormElement} form - Form to serialize
+     * @returns {object} - Form values
+     * @static
+     */
+    static serializeForm(form) {
+        const values = {};
+        const fields = Array.from(form.elements).filter(field => field.name && !field.disabled
+            && !['submit', 'button', 'reset', 'image'].includes(field.type));
+        const checkboxCount = name => fields.filter(field => field.type === 'checkbox' && field.name === name).length;
+
+        fields.forEach(field => {
+            const path = YEH.parseFieldName(field.name);
+            const isList = path[path.length - 1] === '';
+
+            if (field.type === 'checkbox') {
+                if (isList || checkboxCount(field.name) > 1) {
+                    YEH.setFieldValue(values, path, field.checked ? field.value : undefined, true);
+                } else if (field.hasAttribute('value')) {
+                    YEH.setFieldValue(values, path, field.checked ? field.value : null);
+                } else {
+                    YEH.setFieldValue(values, path, field.checked);
+                }
+            } else if (field.type === 'radio') {
+                if (field.checked) {
+                    YEH.setFieldValue(values, path, field.value);
+                } else if (YEH.getFieldValue(values, path) === undefined) {
+                    YEH.setFieldValue(values, path, null);
+                }
+            } else if (field.type === 'select-multiple') {
+                const selected = Array.from(field.options).filter(option => option.selected).map(option => option.value);
+                YEH.setFieldValue(values, path, selected);
+            } else if (field.type === 'file') {
+                const files = Array.from(field.files || []);
+                YEH.setFieldValue(values, path, field.multiple ? files : files[0] || null);
+            } else {
+                YEH.setFieldValue(values, path, field.value, isList);
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Split a field name into path segments: "a[b][]" -> ['a', 'b', '']
+     * @param {string} name - Field name
+     * @returns {string[]} - Path segments
+     * @static
+     */
+    static parseFieldName(name) {
+        const match = /^([^[\]]+)((?:\[[^[\]]*\])*)$/.exec(name);
+        if (!match) return [name];
+
+        const path = [match[1]];
+        match[2].replace(/\[([^[\]]*)\]/g, (segment, key) => path.push(key));
+        return path;
     }
 
     /**
-     * Dynamically add a single event listener to existing instance
-     * @param {string} target - CSS selector for target element
-     * @param {string|object} eventConfig - Event type string or config object
-     * @returns {boolean} - True if added, false if already exists
+     * Set a value at a field path, creating objects (or arrays for numeric and [] segments)
+     * @param {object} values - Target object
+     * @param {string[]} path - Path from parseFieldName()
+     * @param {any} value - Value (undefined only ensures the list exists)
+     * @param {boolean} [asList] - Append to an array instead of assigning
+     * @static
      */
-    addEvent(target, eventConfig) {
-        // Normalize the event config
-        const normalizedConfig = typeof eventConfig === 'string'
-            ? { type: eventConfig }
-            : eventConfig;
-
-        // Check if event already exists to prevent duplicates
-        if (this.hasEvent(target, normalizedConfig.type)) {
-            return false; // Already exists
+    static setFieldValue(values, path, value, asList = false) {
+        let node = values;
+        for (let i = 0; i < path.length - 1; i++) {
+            if (!node[path[i]] || typeof node[path[i]] !== 'object') {
+                node[path[i]] = /^\d+$/.test(path[i + 1]) || path[i + 1] === '' ? [] : {};
+            }
+            node = node[path[i]];
         }
 
-        // Add to eventMapping
-        if (!this.eventMapping[target]) {
-            this.eventMapping[target] = [];
+        const last = path[path.length - 1];
+        if (!asList) {
+            if (last === '') {
+                node.push(value);
+            } else {
+                node[last] = value;
+            }
+            return;
         }
-        this.eventMapping[target].push(normalizedConfig);
-
-        // Register the new event
-        this.registerSingleEvent(target, normalizedConfig);
 
-        return true; // Successfully added
+        const list = last === '' ? node : (Array.isArray(node[last]) ? node[last] : (node[last] = []));
+        if (value !== undefined) list.push(value);
     }
 
     /**
-     * Remove a specific event listener from target
-     * @param {string} target - CSS selector for target element
-     * @param {string} eventType - Event type to remove
-     * @returns {boolean} - True if removed, false if not found
+     * Read the value at a field path ("a[]" paths return the whole list)
+     * @param {object} values - Serialized form values
+     * @param {string[]} path - Path from parseFieldName()
+     * @returns {any} - Value or undefined
+     * @static
      */
-    removeEvent(target, eventType) {
-        if (!this.eventMapping[target]) return false;
-
-        // Find and remove from eventMapping
-        const initialLength = this.eventMapping[target].length;
-        this.eventMapping[target] = this.eventMapping[target].filter(config => {
-            const configType = typeof config === 'string' ? config : config.type;
-            return configType !== eventType;
-        });
+    static getFieldValue(values, path) {
+        const keys = path[path.length - 1] === '' ? path.slice(0, -1) : path;
+        return keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), values);
+    }
 
-        // If nothing was removed, return false
-        if (this.eventMapping[target].length === initialLength) {
-            return false;
-        }
+    /**
+     * Check for an empty form value: null, undefined, '', false or []
+     * @param {any} value - Value to check
+     * @returns {boolean} - True if empty
+     * @static
+     */
+    static isEmptyValue(value) {
+        return value === null || value === undefined || value === '' || value === false
+            || (Array.isArray(value) && value.length === 0);
+    }
 
-        // Clean up empty target
-        if (this.eventMapping[target].length === 0) {
-            delete this.eventMapping[target];
+    /**
+     * Convert a data-* attribute string to a boolean, number or JSON value when possible
+     * @param {string} value - Raw attribute value
+     * @returns {any} - Parsed value
+     * @static
+     */
+    static parseAttributeValue(value) {
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        // Only exact round-trips, ids like "007", "0x10" or beyond Number precision stay strings
+        if (value !== '' && String(Number(value)) === value) return Number(value);
+
+        if (/^[[{]/.test(value)) {
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return value;
+            }
         }
 
-        // Remove from internal tracking
-        this.unregisterSingleEvent(target, eventType);
-
-        return true; // Successfully removed
+        return value;
     }
 
     /**
-     * Check if an event is currently registered
-     * @param {string} target - CSS selector for target element
-     * @param {string} eventType - Event type to check
-     * @returns {boolean} - True if event exists
+     * High resolution timestamp in milliseconds (Date.now() fallback)
+     * @static
      */
-    hasEvent(target, eventType) {
-        if (!this.eventMapping[target]) return false;
-
-        return this.eventMapping[target].some(config => {
-            const configType = typeof config === 'string' ? config : config.type;
-            return configType === eventType;
-        });
+    static now() {
+        return typeof performance !== 'undefined' && typeof performance.now === 'function' ? performance.now() : Date.now();
     }
 
     /**
-     * Register a single event listener (internal helper)
-     * @private
+     * Copy a value into a structured-clone-safe shape for postMessage
+     * Functions, symbols, DOM nodes and events are dropped; class instances become plain objects.
+     * @param {any} value - Value to serialize
+     * @returns {any} - Cloneable value
+     * @static
      */
-    registerEventListener(element, eventConfig, key, selector) {
-        const eventType = typeof eventConfig === 'string' ? eventConfig : eventConfig.type;
-        const options = this.getEventOptions(eventConfig);
-        const handler = this.createWrappedHandler(eventConfig, key, eventType);
-
-        // Add the event listener
-        element.addEventListener(eventType, handler, options);
-
-        // Initialize tracking structures
-        if (!this.eventListeners.has(key)) {
-            this.eventListeners.set(key, { element, events: [] });
+    static toCloneable(value, seen = new WeakMap()) {
+        if (value === null || typeof value !== 'object') {
+            return typeof value === 'function' || typeof value === 'symbol' ? undefined : value;
         }
 
-        if (!this.elementHandlers.has(element)) {
-            this.elementHandlers.set(element, []);
-        }
+        if (typeof Node !== 'undefined' && value instanceof Node) return undefined;
+        if (typeof Event !== 'undefined' && value instanceof Event) return undefined;
 
-        // Generate handler method name with configurable prefix
-        const handlerMethodName = typeof eventConfig === 'object' && eventConfig.handler
-            ? eventConfig.handler
-            : this.handlerPrefix
-                ? `${this.handlerPrefix}${eventType.charAt(0).toUpperCase() + eventType.slice(1)}`
-                : eventType;
+        // Natively cloneable values
+        if (value instanceof Date || value instanceof RegExp || value instanceof Error
+            || value instanceof ArrayBuffer || ArrayBuffer.isView(value)
+            || (typeof Blob !== 'undefined' && value instanceof Blob)) {
+            return value;
+        }
 
-        // Validate handler exists using enhanced resolution
-        const validatedHandler = this.resolveHandler(handlerMethodName, eventType);
-        const resolvedName = this.resolveMethodName(handlerMethodName, eventType);
-        this.validateResolvedHandler(handlerMethodName, eventType, validatedHandler, resolvedName);
+        if (seen.has(value)) return seen.get(value);
 
-        // Store tracking info
-        this.eventListeners.get(key).events.push({ type: eventType, handler, options });
-        this.elementHandlers.get(element).push({ type: eventType, handler, options });
+        if (value instanceof Map) {
+            const copy = new Map();
+            seen.set(value, copy);
+            value.forEach((entry, key) => copy.set(YEH.toCloneable(key, seen), YEH.toCloneable(entry, seen)));
+            return copy;
+        }
 
-        // Update handler mapping for multi-handler support
-        if (!this.eventHandlerMap.has(eventType)) {
-            this.eventHandlerMap.set(eventType, []);
+        if (value instanceof Set) {
+            const copy = new Set();
+            seen.set(value, copy);
+            value.forEach(entry => copy.add(YEH.toCloneable(entry, seen)));
+            return copy;
         }
 
-        this.eventHandlerMap.get(eventType).push({
-            element: element,
-            handler: handlerMethodName,
-            selector: selector,
-            config: eventConfig
+        const copy = Array.isArray(value) ? [] : {};
+        seen.set(value, copy);
+        Object.keys(value).forEach(key => {
+            const entry = YEH.toCloneable(value[key], seen);
+            if (entry !== undefined || Array.isArray(value)) copy[key] = entry;
         });
+        return copy;
     }
 
     /**
-     * Register a single event (internal helper)
-     * @private
+     * Build a stable selector for an element: the closest id plus :nth-child() steps
+     * @param {EventTarget} element - Element to describe
+     * @param {Node} [root] - Stop at this root (default: document)
+     * @returns {string|null} - Selector, 'document', 'window' or null
+     * @static
      */
-    registerSingleEvent(selector, eventConfig) {
-        const eventType = typeof eventConfig === 'string' ? eventConfig : eventConfig.type;
-        const elements = this.getElements(selector);
+    static getSelectorPath(element, root) {
+        if (typeof window !== 'undefined' && element === window) return 'window';
+        if (typeof document !== 'undefined' && element === document) return 'document';
+        if (!element || element.nodeType !== 1) return null;
 
-        if (elements.length === 0) return;
+        const steps = [];
+        let current = element;
 
-        elements.forEach((element, index) => {
-            const key = `${selector}_${eventType}_${index}`;
+        while (current && current.nodeType === 1 && current !== root) {
+            if (current.id) {
+                steps.unshift(`#${typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(current.id) : current.id}`);
+                break;
+            }
 
-            // Check if this exact combination is already registered
-            if (this.eventListeners.has(key)) return; // Already registered
+            const parent = current.parentElement;
+            if (!parent) {
+                steps.unshift(current.tagName.toLowerCase());
+                break;
+            }
 
-            this.registerEventListener(element, eventConfig, key, selector);
-        });
+            const index = Array.prototype.indexOf.call(parent.children, current) + 1;
+            steps.unshift(`${current.tagName.toLowerCase()}:nth-child(${index})`);
+            current = parent;
+        }
+
+        return steps.join(' > ');
     }
 
     /**
-     * Unregister a single event (internal helper)
-     * @private
+     * Compile a bus topic pattern: '*' matches one ':'/'.' separated segment, '**' any rest
+     * @param {string} pattern - Topic pattern
+     * @returns {RegExp|null} - Matcher, or null for plain topics
+     * @static
      */
-    unregisterSingleEvent(selector, eventType) {
-        const elements = this.getElements(selector);
-        if (elements.length === 0) return;
+    static compileTopicPattern(pattern) {
+        if (!pattern.includes('*')) return null;
 
-        elements.forEach((element, index) => {
-            const key = `${selector}_${eventType}_${index}`;
+        const source = pattern.split(/(\*\*|\*)/).map(part => {
+            if (part === '**') return '.*';
+            if (part === '*') return '[^:.]+';
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
 
-            // Remove from event listeners tracking
-            const listenerConfig = this.eventListeners.get(key);
-            if (listenerConfig) {
-                // Remove the actual event listener using the stored handler
-                const eventData = listenerConfig.events.find(e => e.type === eventType);
-                if (eventData) {
-                    element.removeEventListener(eventType, eventData.handler, eventData.options);
-                }
-            }
-
-            // Clean up tracking
-            this.eventListeners.delete(key);
+        return new RegExp(`^${source}$`);
+    }
 
-            // Clean up WeakMap entries
-            const elementEvents = this.elementHandlers.get(element);
-            if (elementEvents) {
-                const filteredEvents = elementEvents.filter(e => e.type !== eventType);
-                if (filteredEvents.length === 0) {
-                    this.elementHandlers.delete(element);
-                } else {
-                    this.elementHandlers.set(element, filteredEvents);
-                }
+    /**
+     * Parse a shortcut like "mod+shift+s" or a sequence like "g i" into key combos
+     * `mod` becomes Meta on Apple platforms and Ctrl elsewhere
+     * @param {string} shortcut - Shortcut string
+     * @returns {Array<object>} - One { key, ctrl, alt, shift, meta } combo per sequence step
+     * @static
+     */
+    static parseShortcut(shortcut) {
+        const keyAliases = {
+            esc: 'escape', return: 'enter', space: ' ', spacebar: ' ', plus: '+', del: 'delete',
+            up: 'arrowup', down: 'arrowdown', left: 'arrowleft', right: 'arrowright'
+        };
+        const isMac = YEH.isMacPlatform();
+
+        return shortcut.trim().split(/\s+/).map(combo => {
+            const parts = combo === '+' ? ['plus'] : combo.toLowerCase().replace(/\+\+$/, '+plus').split('+');
+            const result = { key: '', ctrl: false, alt: false, shift: false, meta: false };
+
+            for (const part of parts) {
+                if (part === 'ctrl' || part === 'control') result.ctrl = true;
+                else if (part === 'alt' || part === 'option') result.alt = true;
+                else if (part === 'shift') result.shift = true;
+                else if (part === 'meta' || part === 'cmd' || part === 'command' || part === 'super') result.meta = true;
+                else if (part === 'mod') result[isMac ? 'meta' : 'ctrl'] = true;
+                else result.key = keyAliases[part] || part;
             }
 
-            // Clean up any timers for this event
-            this.cleanupEventTimers(key, eventType);
-        });
-
-        // Remove from handler mapping - clean all elements for this selector/eventType
-        const elementsToClean = this.getElements(selector);
-        elementsToClean.forEach(element => {
-            const handlers = this.eventHandlerMap.get(eventType);
-            if (handlers) {
-                const filteredHandlers = handlers.filter(h => h.element !== element);
-                if (filteredHandlers.length === 0) {
-                    this.eventHandlerMap.delete(eventType);
-                } else {
-                    this.eventHandlerMap.set(eventType, filteredHandlers);
-                }
-            }
+            return result;
         });
     }
 
-    getEventOptions(eventConfig) {
-        const shouldBePassive = this.passiveSupported && this.passiveEvents.includes(eventConfig.type || eventConfig);
-
-        if (typeof eventConfig === 'string') {
-            const options = shouldBePassive ? { passive: true } : {};
-            // Add signal if AbortController is enabled
-            if (this.abortController) {
-                options.signal = this.abortController.signal;
-            }
-            return Object.keys(options).length > 0 ? options : false;
-        }
+    /**
+     * Check a keyboard event against a parsed key combo
+     * @param {object} combo - Parsed combo from parseShortcut()
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {boolean} - True if key and modifiers match
+     * @static
+     */
+    static matchesKeyCombo(combo, event) {
+        // Symbols like "?" need Shift on most layouts, so Shift is only compared when it matters
+        const ignoreShift = !combo.shift && combo.key.length === 1 && !/[a-z0-9]/.test(combo.key);
 
-        const options = eventConfig.options || {};
-        // Apply passive if event type supports it, unless explicitly disabled with passive: false
-        if (shouldBePassive && options.passive !== false) {
-            options.passive = true;
-        }
+        if (!!event.ctrlKey !== combo.ctrl || !!event.altKey !== combo.alt || !!event.metaKey !== combo.meta) return false;
+        if (!ignoreShift && !!event.shiftKey !== combo.shift) return false;
 
-        // Add signal if AbortController is enabled and not explicitly disabled
-        if (this.abortController && options.signal !== false) {
-            options.signal = this.abortController.signal;
-        }
+        if (event.key.toLowerCase() === combo.key) return true;
 
-        return Object.keys(options).length > 0 ? options : false;
+        // Fall back to the physical key when modifiers (e.g. Alt on macOS) change event.key
+        return typeof event.code === 'string' && event.code.replace(/^(Key|Digit)/, '').toLowerCase() === combo.key;
     }
 
-    registerEvents() {
-        Object.entries(this.eventMapping).forEach(([key, config]) => {
-            const isSimplified = Array.isArray(config);
-            const elementSelector = isSimplified ? key : config.element;
-            const events = isSimplified ? config : config.events;
+    /**
+     * Detect Apple platforms for the `mod` shortcut modifier
+     * @returns {boolean} - True on macOS/iOS
+     * @static
+     */
+    static isMacPlatform() {
+        if (typeof navigator === 'undefined') return false;
+        return /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent || '');
+    }
 
-            const elements = this.getElements(elementSelector);
-            if (elements.length === 0) return;
+    /**
+     * Normalize throttle/debounce settings into { wait, leading, trailing, maxWait, scheduler }
+     * @param {number|string|object} value - Delay in ms, 'raf', 'idle' or { wait, leading, trailing, maxWait }
+     * @param {string} kind - 'throttle' or 'debounce'
+     * @returns {object} - Normalized timing options
+     * @static
+     */
+    static normalizeTiming(value, kind) {
+        const defaults = { leading: kind === 'throttle', trailing: true, maxWait: null };
 
-            elements.forEach((element, index) => {
-                events.forEach(eventConfig => {
-                    const eventType = typeof eventConfig === 'string' ? eventConfig : eventConfig.type;
+        if (value === 'raf' || value === 'idle') return { ...defaults, wait: 0, leading: false, scheduler: value };
+        if (typeof value === 'number') return { ...defaults, wait: value, scheduler: 'timeout' };
 
-                    // Use the shared registration logic
-                    this.registerEventListener(element, eventConfig, `${elementSelector}_${eventType}_${index}`, elementSelector);
-                });
-            });
-        });
-        return this;
+        return { ...defaults, ...value, maxWait: value.maxWait || null, scheduler: 'timeout' };
     }
 
     /**
-     * Clean up throttle/debounce timers for a specific event
+     * Schedule a callback with setTimeout, requestAnimationFrame or requestIdleCallback
      * @private
+     * @static
      */
-    cleanupEventTimers(key, eventType) {
-        const throttleKey = `${key}-${eventType}-throttle`;
-        const debounceKey = `${key}-${eventType}-debounce`;
-
-        if (this.throttleTimers.has(throttleKey)) {
-            const timerData = this.throttleTimers.get(throttleKey);
-            if (timerData.timeout) clearTimeout(timerData.timeout);
-            if (timerData.trailingTimeout) clearTimeout(timerData.trailingTimeout);
-            this.throttleTimers.delete(throttleKey);
+    static _schedule(scheduler, callback, wait) {
+        if (scheduler === 'raf' && typeof requestAnimationFrame === 'function') {
+            return { scheduler, id: requestAnimationFrame(callback) };
         }
-
-        if (this.debounceTimers.has(debounceKey)) {
-            clearTimeout(this.debounceTimers.get(debounceKey));
-            this.debounceTimers.delete(debounceKey);
+        if (scheduler === 'idle' && typeof requestIdleCallback === 'function') {
+            return { scheduler, id: requestIdleCallback(callback) };
         }
+        // Fallbacks: roughly one frame for raf, next macrotask for idle
+        return { scheduler: 'timeout', id: setTimeout(callback, scheduler === 'raf' ? 16 : wait) };
     }
 
-    abort() {
-        if (this.abortController) {
-            this.abortController.abort();
-            this.abortController = null;
-        }
-        return this;
-    }
+    /**
+     * Cancel a callback scheduled with _schedule()
+     * @private
+     * @static
+     */
+    static _unschedule(handle) {
+        if (!handle) return;
 
-    destroy() {
-        // Use AbortController for efficient cleanup if available
-        if (this.abortController) {
-            this.abort(); // This automatically removes ALL DOM listeners with the signal
+        if (handle.scheduler === 'raf') {
+            cancelAnimationFrame(handle.id);
+        } else if (handle.scheduler === 'idle') {
+            cancelIdleCallback(handle.id);
         } else {
-            // Only do manual removal when AbortController is NOT enabled
-            this.eventListeners.forEach((config) => {
-                config.events.forEach(({ type, handler, options }) => {
-                    config.element.removeEventListener(type, handler, options);
-                });
-            });
+            clearTimeout(handle.id);
         }
-
-        this.eventListeners.clear();
-        this.eventHandlerMap.clear();
-        this.distanceCache.clear();
-
-        // Clean up throttle timers
-        this.throttleTimers.forEach((timerData) => {
-            if (timerData.timeout) clearTimeout(timerData.timeout);
-            if (timerData.trailingTimeout) clearTimeout(timerData.trailingTimeout);
-        });
-        this.throttleTimers.clear();
-
-        // Clean up debounce timers
-        this.debounceTimers.forEach((timerId) => clearTimeout(timerId));
-        this.debounceTimers.clear();
-
-        return this;
     }
 
     /**
-     * Get comprehensive statistics about the event handler instance
-     * @returns {object|null} - Statistics object with various metrics, or null if stats disabled
+     * Create the pending-call state kept in a timer map while a throttle/debounce cycle is active
+     * @private
+     * @static
      */
-    getStats() {
-        if (!this.enableStats) return null;
-
-        const configs = Array.from(this.eventListeners.values());
-        const events = configs.flatMap(config => config.events);
-
-        // Count event types
-        const eventTypes = {};
-        events.forEach(event => {
-            eventTypes[event.type] = (eventTypes[event.type] || 0) + 1;
-        });
-
-        // Count unique elements
-        const uniqueElements = new Set(configs.map(config => config.element));
-
-        return {
-            totalListeners: this.eventListeners.size,
-            totalElements: uniqueElements.size,
-            totalEventTypes: Object.keys(eventTypes).length,
-            eventTypes,
-            userHasInteracted: this.userHasInteracted,
-            activeTimers: {
-                throttle: this.throttleTimers.size,
-                debounce: this.debounceTimers.size
+    static _createTimerState(fn, key, timers) {
+        const state = {
+            args: null,
+            context: null,
+            handle: null,
+            maxHandle: null,
+            invoke() {
+                const args = state.args;
+                state.args = null;
+                fn.apply(state.context, args);
             },
-            distanceCache: {
-                size: this.distanceCache.size,
-                enabled: this.enableDistanceCache,
-                hitRate: this.distanceCache.size > 0 ? 'Available after multiple events' : 'No entries yet'
+            // Run the pending call now and end the cycle
+            flush() {
+                const args = state.args;
+                state.cancel();
+                if (args === null) return false;
+
+                state.args = args;
+                state.invoke();
+                return true;
+            },
+            // Drop the pending call and end the cycle
+            cancel() {
+                YEH._unschedule(state.handle);
+                YEH._unschedule(state.maxHandle);
+                state.handle = null;
+                state.maxHandle = null;
+                state.args = null;
+                if (timers.get(key) === state) timers.delete(key);
             }
         };
-    }
-
-    debounce(fn, delay, key) {
-        return YEH._debounceImplementation(fn, delay, key, this.debounceTimers);
-    }
-
-    throttle(fn, delay, key) {
-        return YEH._throttleImplementation(fn, delay, key, this.throttleTimers);
-    }
-
-    detectPassiveSupport() {
-        this.passiveSupported = YEH.isPassiveSupported();
-    }
-
-    dispatch(type, detail = null, target = document) {
-        target.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
-        return this;
+        return state;
     }
 
     /**
-     * Static dispatch method for use without instance
-     * @param {string} type - Event type to dispatch
-     * @param {any} detail - Event detail payload
-     * @param {Element} target - Target element (defaults to document)
-     * @returns {CustomEvent} - The dispatched event
+     * Attach flush()/cancel() controls to a throttled or debounced function
+     * @private
+     * @static
      */
-    static dispatch(type, detail = null, target = document) {
-        const event = new CustomEvent(type, { detail, bubbles: true, cancelable: true });
-        target.dispatchEvent(event);
-        return event;
+    static _withControls(wrapper, key, timers) {
+        wrapper.flush = () => {
+            const state = timers.get(key);
+            return state ? state.flush() : false;
+        };
+        wrapper.cancel = () => {
+            const state = timers.get(key);
+            if (!state) return false;
+
+            const hadPending = state.args !== null;
+            state.cancel();
+            return hadPending;
+        };
+        return wrapper;
     }
 
     /**
      * Shared debounce implementation used by both instance and static methods
+     * Trailing by default; leading, maxWait and 'idle' scheduling are configurable
      * @private
      * @static
      */
-    static _debounceImplementation(fn, delay, key, timers) {
-        return function(...args) {
-            // Clear existing timer
-            if (timers.has(key)) clearTimeout(timers.get(key));
+    static _debounceImplementation(fn, delay, key, timers, onDrop) {
+        const { wait, leading, trailing, maxWait, scheduler } = YEH.normalizeTiming(delay, 'debounce');
 
-            // Set new timer with latest arguments
-            const timerId = setTimeout(() => {
-                fn.apply(this, args);
-                timers.delete(key);
-            }, delay);
+        return YEH._withControls(function(...args) {
+            let state = timers.get(key);
+            const isNewCycle = !state;
 
-            timers.set(key, timerId);
-        };
+            if (isNewCycle) {
+                state = YEH._createTimerState(fn, key, timers);
+                timers.set(key, state);
+            } else {
+                YEH._unschedule(state.handle);
+                // The superseded call is dropped
+                if (state.args !== null && onDrop) onDrop();
+                if (!trailing && onDrop) onDrop();
+            }
+
+            state.context = this;
+            state.args = trailing || (isNewCycle && leading) ? args : null;
+            if (isNewCycle && leading) state.invoke();
+
+            state.handle = YEH._schedule(scheduler, () => {
+                if (state.args !== null) state.invoke();
+                state.cancel();
+            }, wait);
+
+            // maxWait: run the pending call at least every maxWait ms of continuous calls
+            if (maxWait && !state.maxHandle) {
+                state.maxHandle = YEH._schedule('timeout', function flushMaxWait() {
+                    if (state.args !== null) state.invoke();
+                    state.maxHandle = timers.get(key) === state ? YEH._schedule('timeout', flushMaxWait, maxWait) : null;
+                }, maxWait);
+            }
+        }, key, timers);
     }
 
     /**
      * Shared throttle implementation used by both instance and static methods
+     * Leading + trailing by default; both edges and 'raf' frame throttling are configurable
      * @private
      * @static
      */
-    static _throttleImplementation(fn, delay, key, timers) {
-        return function(...args) {
-            const timerData = timers.get(key);
-
-            if (!timerData || !timerData.timeout) {
-                // Leading edge: execute immediately
-                fn.apply(this, args);
-                timers.set(key, {
-                    timeout: setTimeout(() => { timers.delete(key) }, delay),
-                    lastArgs: args
-                });
-            } else {
-                // Update arguments for trailing edge
-                timerData.lastArgs = args;
-
-                // Clear existing trailing timeout and set new one
-                if (timerData.trailingTimeout) {
-                    clearTimeout(timerData.trailingTimeout);
-                }
-
-                timerData.trailingTimeout = setTimeout(() => {
-                    // Trailing edge: execute with latest arguments
-                    fn.apply(this, timerData.lastArgs);
-                    timers.delete(key);
-                }, delay);
+    static _throttleImplementation(fn, delay, key, timers, onDrop) {
+        const { wait, leading, trailing, scheduler } = YEH.normalizeTiming(delay, 'throttle');
+
+        return YEH._withControls(function(...args) {
+            let state = timers.get(key);
+
+            if (!state) {
+                // Window is open: run on the leading edge or remember the call for the trailing edge
+                state = YEH._createTimerState(fn, key, timers);
+                timers.set(key, state);
+                state.context = this;
+                state.args = args;
+                if (leading) state.invoke();
+
+                const closeWindow = () => {
+                    // A trailing call starts the next window
+                    if (state.args !== null && trailing) {
+                        state.invoke();
+                        state.handle = YEH._schedule(scheduler, closeWindow, wait);
+                    } else {
+                        state.cancel();
+                    }
+                };
+                state.handle = YEH._schedule(scheduler, closeWindow, wait);
+                return;
             }
-        };
+
+            // Inside the window: the previous pending call (or this one without trailing edge) is dropped
+            if ((state.args !== null || !trailing) && onDrop) onDrop();
+            state.context = this;
+            if (trailing) state.args = args;
+        }, key, timers);
     }
 
-    static debounce(fn, delay, key = 'default') {
+    /**
+     * Debounce a function outside of any instance
+     * @param {Function} fn - Function to debounce
+     * @param {number|string|object} delay - Delay in ms, 'idle' or { wait, leading, trailing, maxWait }
+     * @param {string} [key] - Share timer state between wrappers (each wrapper is independent when omitted)
+     * @returns {Function} - Debounced function with flush() and cancel()
+     * @static
+     */
+    static debounce(fn, delay, key = Symbol('debounce')) {
         if (!YEH._staticDebounceTimers) {
             YEH._staticDebounceTimers = new Map();
         }
@@ -986,7 +4806,15 @@ class YEH {
         return YEH._debounceImplementation(fn, delay, key, YEH._staticDebounceTimers);
     }
 
-    static throttle(fn, delay, key = 'default') {
+    /**
+     * Throttle a function outside of any instance
+     * @param {Function} fn - Function to throttle
+     * @param {number|string|object} delay - Interval in ms, 'raf' or { wait, leading, trailing }
+     * @param {string} [key] - Share timer state between wrappers (each wrapper is independent when omitted)
+     * @returns {Function} - Throttled function with flush() and cancel()
+     * @static
+     */
+    static throttle(fn, delay, key = Symbol('throttle')) {
         if (!YEH._staticThrottleTimers) {
             YEH._staticThrottleTimers = new Map();
         }
@@ -1004,6 +4832,11 @@ class YEH {
             return YEH._passiveSupportCache;
         }
 
+        // Not cached: a DOM installed later (jsdom in tests) still gets detected
+        if (typeof window === 'undefined') {
+            return false;
+        }
+
         try {
             const opts = Object.defineProperty({}, 'passive', {
                 get: () => {
@@ -1021,7 +4854,82 @@ class YEH {
     }
 }
 
+YEH.DEFAULT_CONFIG = {
+    enableStats: false,
+    methods: null,
+    enableGlobalFallback: false,
+    methodsFirst: false,
+    passiveEvents: null,
+    abortController: false,
+    autoTargetResolution: false,
+    targetResolutionEvents: null,
+    enableConfigValidation: true,
+    enableHandlerValidation: true,
+    live: false,
+    dispatchMode: 'closest',
+    actionRouter: false,
+    routerAttribute: 'data-action',
+    routerEventAttribute: 'data-on',
+    onError: null,
+    onHandlerError: null,
+    rethrowHandlerErrors: false,
+    busyAttribute: null,
+    keySequenceTimeout: 1000,
+    gestures: false,
+    root: null,
+    composed: null,
+    parent: null,
+    bus: false,
+    debug: false,
+    statsSampleSize: 200,
+    slowHandlerThreshold: null,
+    onSlowHandler: null,
+    strict: null
+};
+YEH.DEFAULT_PASSIVE_EVENTS = [
+    'scroll', 'touchstart', 'touchmove', 'touchend', 'touchcancel',
+    'wheel', 'mousewheel', 'pointermove', 'pointerenter', 'pointerleave',
+    'resize', 'orientationchange', 'load', 'beforeunload', 'unload'
+];
+YEH.STRICT_CATEGORIES = ['handlers', 'selectors', 'keys', 'aliases'];
+YEH.EVENT_CONFIG_KEYS = [
+    'type', 'handler', 'throttle', 'debounce', 'options', 'matches', 'router', 'concurrency',
+    'keys', 'description', 'once', 'prevent', 'stop', 'self', 'ignoreDisabled', 'when'
+];
 YEH._passiveSupportCache = undefined;
+YEH._gestureEvents = new WeakMap();
+YEH._requests = new WeakMap();
+YEH.RECORDED_FIELDS = [
+    'key', 'code', 'location', 'repeat', 'ctrlKey', 'shiftKey', 'altKey', 'metaKey',
+    'button', 'buttons', 'clientX', 'clientY', 'screenX', 'screenY',
+    'deltaX', 'deltaY', 'deltaZ', 'deltaMode',
+    'pointerId', 'pointerType', 'isPrimary', 'inputType', 'data', 'detail'
+];
+YEH.GESTURE_TYPES = [
+    'longpress', 'doubletap',
+    'swipeleft', 'swiperight', 'swipeup', 'swipedown',
+    'dragstart', 'dragmove', 'dragend'
+];
+
+YEH.FORM_RULES = {
+    required: value => !YEH.isEmptyValue(value),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    minlength: (value, arg) => (Array.isArray(value) ? value : String(value)).length >= Number(arg),
+    maxlength: (value, arg) => (Array.isArray(value) ? value : String(value)).length <= Number(arg),
+    min: (value, arg) => Number(value) >= Number(arg),
+    max: (value, arg) => Number(value) <= Number(arg),
+    pattern: (value, arg, field) => new RegExp(`^(?:${arg || field.getAttribute('pattern')})$`).test(value)
+};
+YEH.FORM_MESSAGES = {
+    invalid: 'Invalid value',
+    required: 'This field is required',
+    email: 'Enter a valid email address',
+    minlength: 'Use at least {arg} characters',
+    maxlength: 'Use at most {arg} characters',
+    min: 'Must be at least {arg}',
+    max: 'Must be at most {arg}',
+    pattern: 'Invalid format'
+};
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { YEH };
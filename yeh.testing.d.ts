@@ -0,0 +1,147 @@
+import YEH from './yeh';
+
+/**
+ * 🧪 **Recorded Handler Call** - One handler run seen by the testing middleware
+ */
+export interface RecordedCall {
+    /** Mapping selector of the handler */
+    selector: string;
+    /** Event type */
+    type: string;
+    /** Resolved handler method name (aliases applied) */
+    handler: string;
+    /** Target passed to the handler */
+    target: EventTarget;
+    event: Event;
+}
+
+/**
+ * 🧪 **Mount Options**
+ */
+export interface MountOptions {
+    /** Mapping for a plain YEH instance */
+    mapping?: Record<string, any>;
+    /** Aliases for a plain YEH instance */
+    aliases?: Record<string, Record<string, string>>;
+    /** Config for a plain YEH instance */
+    config?: Record<string, any>;
+    /** Constructor arguments (default: [mapping, aliases, config] for YEH, none for subclasses) */
+    args?: any[];
+    /** Install a fake clock for timers, frames, idle callbacks, Date.now() and performance.now() */
+    fakeTimers?: boolean;
+}
+
+/**
+ * ⏰ **Fake Clock** - Drives throttle/debounce/raf/idle scheduling by hand
+ */
+export interface FakeClock {
+    /** Milliseconds advanced since install */
+    readonly now: number;
+    /** Advance time, running due callbacks in order */
+    tick(ms: number): void;
+    /** Run all pending callbacks, including newly scheduled ones (throws after `limit`) */
+    runAll(limit?: number): void;
+    /** Number of pending callbacks */
+    pending(): number;
+    /** Put the real globals back */
+    restore(): void;
+    /** The replaced globals */
+    originals: Record<string, any>;
+}
+
+/**
+ * 🧪 **YEH Testing Fixture** - Mounted markup plus handler instance
+ *
+ * @example
+ * ```ts
+ * import { mount, simulate, expectHandled } from '@yaijs/yeh/testing';
+ *
+ * const fixture = mount('<form id="search"><input name="q"></form>', SearchHandler, { fakeTimers: true });
+ * simulate('input[name="q"]', 'input', { value: 'yeh' });
+ * fixture.tick(300);
+ * expectHandled('#search', 'input', 'search');
+ * fixture.unmount();
+ * ```
+ */
+export class YEHTesting<T extends YEH = YEH> {
+    constructor(html?: string, HandlerClass?: new (...args: any[]) => T, options?: MountOptions);
+
+    /** The handler instance */
+    instance: T;
+    /** Container of the mounted markup (inside document.body) */
+    container: HTMLElement;
+    window: Window;
+    document: Document;
+    /** Fake clock when mounted with `fakeTimers: true` */
+    clock: FakeClock | null;
+    /** Every handler run since mount (or clearCalls()) */
+    calls: RecordedCall[];
+
+    /**
+     * Mount markup and create the instance; installs jsdom globals when no DOM exists
+     */
+    static mount<T extends YEH = YEH>(html: string, HandlerClass?: new (...args: any[]) => T, options?: MountOptions): YEHTesting<T>;
+
+    /**
+     * Dispatch a real event (MouseEvent, KeyboardEvent, ... picked from the type; CustomEvent with `detail`)
+     * @param target - Selector, 'document', 'window' or element
+     * @param init - Event init plus `value`/`checked` assigned before dispatching
+     */
+    simulate(target: string | EventTarget, type: string, init?: Record<string, any>): Event;
+
+    /** Throw unless a handler ran for selector/type (and handlerName) */
+    expectHandled(selector: string | undefined, type: string, handlerName?: string): RecordedCall[];
+
+    /** Throw if a handler ran for selector/type (and handlerName) */
+    expectNotHandled(selector: string | undefined, type: string, handlerName?: string): this;
+
+    /** Recorded calls matching the filters (undefined matches anything) */
+    findCalls(selector?: string, type?: string, handlerName?: string): RecordedCall[];
+
+    clearCalls(): this;
+
+    /** Advance the fake clock (requires fakeTimers) */
+    tick(ms: number): this;
+
+    /** Run all pending fake timers (requires fakeTimers) */
+    runTimers(): this;
+
+    /** Wait for promise callbacks and one real macrotask */
+    settle(): Promise<void>;
+
+    /** Destroy the instance, remove the markup, restore timers and globals */
+    unmount(): void;
+
+    /** Create an event of the matching interface from the target's window */
+    static createEvent(element: EventTarget, type: string, init?: Record<string, any>): Event;
+
+    /** Install jsdom globals when no DOM exists (null when one is present) */
+    static installDOM(): { dom: any; restore(): void } | null;
+
+    /** Replace timers, frames, idle callbacks, Date.now() and performance.now() with a manual clock */
+    static useFakeTimers(): FakeClock;
+
+    /** Most recently mounted fixture (target of the static helpers) */
+    static active: YEHTesting<any> | null;
+
+    /** Globals copied from jsdom by installDOM() */
+    static DOM_GLOBALS: string[];
+
+    /** Event type patterns and the event interfaces tried for them */
+    static EVENT_INTERFACES: Array<[RegExp, string[]]>;
+
+    /** The YEH class used by default */
+    static YEH: typeof YEH;
+
+    static simulate(target: string | EventTarget, type: string, init?: Record<string, any>): Event;
+    static expectHandled(selector: string | undefined, type: string, handlerName?: string): RecordedCall[];
+    static expectNotHandled(selector: string | undefined, type: string, handlerName?: string): YEHTesting<any>;
+}
+
+export declare const mount: typeof YEHTesting.mount;
+export declare const simulate: typeof YEHTesting.simulate;
+export declare const expectHandled: typeof YEHTesting.expectHandled;
+export declare const expectNotHandled: typeof YEHTesting.expectNotHandled;
+export declare const useFakeTimers: typeof YEHTesting.useFakeTimers;
+
+export default YEHTesting;
@@ -0,0 +1,463 @@
+"use strict";
+
+/**
+ * YEH testing utilities - Mount event mappings in jsdom (or a browser), simulate events through the
+ * real handleEvent() path, drive throttle/debounce with a fake clock and assert which handlers ran.
+ * Framework agnostic: assertions throw plain Errors, so they work with Jest, Mocha, Vitest or node:test.
+ */
+class YEHTesting {
+    /**
+     * Mount HTML and create a handler instance (use YEHTesting.mount())
+     * @param {string} html - Markup placed in a fresh container in document.body
+     * @param {Function} [HandlerClass] - YEH or a subclass (default: YEH)
+     * @param {object} [options] - { mapping, aliases, config, args, fakeTimers }
+     */
+    constructor(html = '', HandlerClass = YEHTesting.YEH, options = {}) {
+        // jsdom is only installed when no DOM exists yet (plain Node); Jest/Vitest jsdom environments are reused
+        this.environment = YEHTesting.installDOM();
+        this.clock = options.fakeTimers ? YEHTesting.useFakeTimers() : null;
+        this.window = window;
+        this.document = document;
+
+        this.container = document.createElement('div');
+        this.container.setAttribute('data-yeh-testing', '');
+        this.container.innerHTML = html;
+        document.body.appendChild(this.container);
+
+        // YEH itself takes the mapping from options, subclasses usually build their own in the constructor
+        const args = options.args || (HandlerClass === YEHTesting.YEH
+            ? [options.mapping || {}, options.aliases || {}, options.config || {}]
+            : []);
+
+        this.calls = [];
+        this.recorder = (context, next) => {
+            this.calls.push({
+                selector: context.selector,
+                type: context.event.type,
+                handler: context.resolvedName,
+                target: context.target,
+                event: context.event
+            });
+            return next();
+        };
+
+        try {
+            this.instance = new HandlerClass(...args);
+        } catch (error) {
+            this.restoreEnvironment();
+            throw error;
+        }
+        this.instance.use(this.recorder);
+
+        YEHTesting.active = this;
+    }
+
+    /**
+     * Mount HTML with a handler instance and make it the target of the static helpers
+     * @param {string} html - Markup to mount
+     * @param {Function} [HandlerClass] - YEH or a subclass
+     * @param {object} [options] - { mapping, aliases, config, args, fakeTimers }
+     * @returns {YEHTesting} - Mounted fixture
+     * @static
+     */
+    static mount(html, HandlerClass, options) {
+        return new YEHTesting(html, HandlerClass, options);
+    }
+
+    /**
+     * Dispatch a real DOM event (picks MouseEvent, KeyboardEvent, ... from the type)
+     * init.value / init.checked are assigned to the target before dispatching.
+     * @param {string|EventTarget} target - Selector, 'document', 'window' or element
+     * @param {string} type - Event type
+     * @param {object} [init] - Event init ({ key, detail, bubbles, ... }) plus value/checked
+     * @returns {Event} - The dispatched event
+     */
+    simulate(target, type, init = {}) {
+        const element = this.resolveTarget(target);
+        const { value, checked, ...eventInit } = init;
+
+        if (value !== undefined) element.value = value;
+        if (checked !== undefined) element.checked = checked;
+
+        const event = YEHTesting.createEvent(element, type, eventInit);
+        element.dispatchEvent(event);
+        return event;
+    }
+
+    /**
+     * Assert that a handler ran for selector/type (handlerName optional)
+     * @param {string} selector - Mapping selector (undefined = any)
+     * @param {string} type - Event type
+     * @param {string} [handlerName] - Resolved handler method name
+     * @returns {Array<object>} - The matching calls
+     */
+    expectHandled(selector, type, handlerName) {
+        const calls = this.findCalls(selector, type, handlerName);
+
+        if (calls.length === 0) {
+            const expected = handlerName ? `to run "${handlerName}"` : 'to be handled';
+            throw new Error(`YEH: Expected "${type}" on "${selector}" ${expected}, handled: ${this.describeCalls()}`);
+        }
+        return calls;
+    }
+
+    /**
+     * Assert that no handler (or not handlerName) ran for selector/type
+     * @param {string} selector - Mapping selector (undefined = any)
+     * @param {string} type - Event type
+     * @param {string} [handlerName] - Resolved handler method name
+     * @returns {YEHTesting} - this for chaining
+     */
+    expectNotHandled(selector, type, handlerName) {
+        const calls = this.findCalls(selector, type, handlerName);
+
+        if (calls.length > 0) {
+            const unexpected = handlerName ? `to run "${handlerName}"` : 'to be handled';
+            throw new Error(`YEH: Expected "${type}" on "${selector}" not ${unexpected}, handled: ${this.describeCalls()}`);
+        }
+        return this;
+    }
+
+    /**
+     * Recorded handler calls matching selector/type/handler (undefined matches anything)
+     * @param {string} [selector] - Mapping selector
+     * @param {string} [type] - Event type
+     * @param {string} [handlerName] - Resolved handler method name
+     * @returns {Array<object>} - Calls { selector, type, handler, target, event }
+     */
+    findCalls(selector, type, handlerName) {
+        return this.calls.filter(call => (selector === undefined || call.selector === selector)
+            && (type === undefined || call.type === type)
+            && (handlerName === undefined || call.handler === handlerName));
+    }
+
+    /**
+     * Forget recorded calls
+     * @returns {YEHTesting} - this for chaining
+     */
+    clearCalls() {
+        this.calls = [];
+        return this;
+    }
+
+    /**
+     * Advance the fake clock, running due timers, frames and idle callbacks (requires fakeTimers)
+     * @param {number} ms - Milliseconds to advance
+     * @returns {YEHTesting} - this for chaining
+     */
+    tick(ms) {
+        this.requireClock('tick').tick(ms);
+        return this;
+    }
+
+    /**
+     * Run every pending fake timer, including timers they schedule (requires fakeTimers)
+     * @returns {YEHTesting} - this for chaining
+     */
+    runTimers() {
+        this.requireClock('runTimers').runAll();
+        return this;
+    }
+
+    /**
+     * Wait for promise callbacks and a real macrotask (async handlers, store events)
+     * @returns {Promise<void>}
+     */
+    settle() {
+        const realSetTimeout = this.clock ? this.clock.originals.setTimeout : setTimeout;
+        return new Promise(resolve => realSetTimeout(resolve, 0));
+    }
+
+    /**
+     * Destroy the instance, remove the markup and restore timers and globals
+     */
+    unmount() {
+        if (this.instance) {
+            this.instance.destroy();
+            this.instance = null;
+        }
+        if (this.container.parentNode) this.container.parentNode.removeChild(this.container);
+
+        this.restoreEnvironment();
+        if (YEHTesting.active === this) YEHTesting.active = null;
+    }
+
+    /**
+     * Undo fake timers and installed DOM globals
+     * @private
+     */
+    restoreEnvironment() {
+        if (this.clock) {
+            this.clock.restore();
+            this.clock = null;
+        }
+        if (this.environment) {
+            this.environment.restore();
+            this.environment = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    requireClock(method) {
+        if (!this.clock) {
+            throw new Error(`YEH: ${method}() requires mount(html, HandlerClass, { fakeTimers: true })`);
+        }
+        return this.clock;
+    }
+
+    /**
+     * @private
+     */
+    resolveTarget(target) {
+        if (target === 'document') return this.document;
+        if (target === 'window') return this.window;
+        if (typeof target !== 'string') return target;
+
+        const element = this.document.querySelector(target);
+        if (!element) {
+            throw new Error(`YEH: simulate() target "${target}" not found`);
+        }
+        return element;
+    }
+
+    /**
+     * @private
+     */
+    describeCalls() {
+        return this.calls.length === 0
+            ? 'nothing'
+            : this.calls.map(call => `${call.selector} ${call.type} -> ${call.handler}`).join(', ');
+    }
+
+    /**
+     * Create an event of the matching interface from the target's window
+     * @param {EventTarget} element - Dispatch target
+     * @param {string} type - Event type
+     * @param {object} [init] - Event init, defaults to bubbling, cancelable and composed
+     * @returns {Event} - New event
+     * @static
+     */
+    static createEvent(element, type, init = {}) {
+        const view = (element.ownerDocument || element).defaultView || element;
+        const options = { bubbles: true, cancelable: true, composed: true, ...init };
+
+        let name = 'detail' in init ? 'CustomEvent' : 'Event';
+        if (name === 'Event') {
+            const match = YEHTesting.EVENT_INTERFACES.find(([pattern]) => pattern.test(type));
+            if (match) name = match[1].find(candidate => typeof view[candidate] === 'function') || 'Event';
+        }
+
+        return new view[name](type, options);
+    }
+
+    /**
+     * Install jsdom globals when no DOM exists
+     * @returns {object|null} - { dom, restore() }, or null when a DOM was already present
+     * @static
+     */
+    static installDOM() {
+        if (typeof document !== 'undefined') return null;
+
+        let JSDOM;
+        try {
+            ({ JSDOM } = require('jsdom'));
+        } catch (error) {
+            throw new Error('YEH: No DOM available. Run the tests in a jsdom environment or install the jsdom package');
+        }
+
+        const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { pretendToBeVisual: true });
+        const previous = new Map();
+
+        YEHTesting.DOM_GLOBALS.forEach(name => {
+            const value = name === 'window' ? dom.window : dom.window[name];
+            if (value === undefined) return;
+
+            previous.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+            globalThis[name] = value;
+        });
+
+        return {
+            dom,
+            restore() {
+                previous.forEach((descriptor, name) => {
+                    if (descriptor) {
+                        Object.defineProperty(globalThis, name, descriptor);
+                    } else {
+                        delete globalThis[name];
+                    }
+                });
+                dom.window.close();
+            }
+        };
+    }
+
+    /**
+     * Replace timers, animation frames, idle callbacks, Date.now() and performance.now() with a manual clock
+     * Works for YEH's throttle/debounce because they look the globals up on every call.
+     * @returns {object} - Clock { now, tick(ms), runAll(), pending(), restore(), originals }
+     * @static
+     */
+    static useFakeTimers() {
+        const timers = new Map();
+        const originals = {};
+        const startDate = Date.now();
+        let elapsed = 0;
+        let nextId = 1;
+
+        const schedule = (callback, delay, repeat) => {
+            const id = nextId++;
+            const wait = Math.max(0, Number(delay) || 0);
+            timers.set(id, { callback, at: elapsed + wait, interval: repeat ? Math.max(1, wait) : null });
+            return id;
+        };
+        const cancel = id => {
+            timers.delete(id);
+        };
+
+        const fakes = {
+            setTimeout: (callback, delay, ...args) => schedule(() => callback(...args), delay, false),
+            clearTimeout: cancel,
+            setInterval: (callback, delay, ...args) => schedule(() => callback(...args), delay, true),
+            clearInterval: cancel,
+            requestAnimationFrame: callback => schedule(() => callback(elapsed), 16, false),
+            cancelAnimationFrame: cancel,
+            requestIdleCallback: callback => schedule(() => callback({ didTimeout: false, timeRemaining: () => 50 }), 1, false),
+            cancelIdleCallback: cancel
+        };
+
+        Object.keys(fakes).forEach(name => {
+            originals[name] = globalThis[name];
+            globalThis[name] = fakes[name];
+        });
+        originals.dateNow = Date.now;
+        Date.now = () => startDate + elapsed;
+
+        const performanceTarget = typeof performance !== 'undefined' ? performance : null;
+        const ownPerformanceNow = performanceTarget && Object.getOwnPropertyDescriptor(performanceTarget, 'now');
+        if (performanceTarget) {
+            try {
+                Object.defineProperty(performanceTarget, 'now', { value: () => elapsed, configurable: true, writable: true });
+            } catch (error) {
+                // Read-only performance object: timings keep using the real clock
+            }
+        }
+
+        // Earliest timer due at or before `until` (ties run in scheduling order)
+        const nextDue = until => {
+            let due = null;
+            timers.forEach((timer, id) => {
+                if (timer.at <= until && (!due || timer.at < due.timer.at)) due = { id, timer };
+            });
+            return due;
+        };
+
+        const run = ({ id, timer }) => {
+            elapsed = Math.max(elapsed, timer.at);
+            if (timer.interval) {
+                timer.at += timer.interval;
+            } else {
+                timers.delete(id);
+            }
+            timer.callback();
+        };
+
+        return {
+            originals,
+            get now() {
+                return elapsed;
+            },
+            tick(ms) {
+                const until = elapsed + ms;
+                let due;
+                while ((due = nextDue(until))) run(due);
+                elapsed = until;
+            },
+            runAll(limit = 1000) {
+                for (let count = 0; timers.size > 0; count++) {
+                    if (count >= limit) {
+                        throw new Error(`YEH: runAll() stopped after ${limit} timers, is something rescheduling itself?`);
+                    }
+                    run(nextDue(Infinity));
+                }
+            },
+            pending: () => timers.size,
+            restore() {
+                Object.keys(fakes).forEach(name => {
+                    if (originals[name] === undefined) {
+                        delete globalThis[name];
+                    } else {
+                        globalThis[name] = originals[name];
+                    }
+                });
+                Date.now = originals.dateNow;
+                if (performanceTarget) {
+                    if (ownPerformanceNow) {
+                        Object.defineProperty(performanceTarget, 'now', ownPerformanceNow);
+                    } else {
+                        delete performanceTarget.now;
+                    }
+                }
+                timers.clear();
+            }
+        };
+    }
+
+    /**
+     * Static helpers act on the most recently mounted fixture
+     * @private
+     * @static
+     */
+    static getActive(method) {
+        if (!YEHTesting.active) {
+            throw new Error(`YEH: ${method}() needs a mounted fixture, call mount() first`);
+        }
+        return YEHTesting.active;
+    }
+
+    static simulate(target, type, init) {
+        return YEHTesting.getActive('simulate').simulate(target, type, init);
+    }
+
+    static expectHandled(selector, type, handlerName) {
+        return YEHTesting.getActive('expectHandled').expectHandled(selector, type, handlerName);
+    }
+
+    static expectNotHandled(selector, type, handlerName) {
+        return YEHTesting.getActive('expectNotHandled').expectNotHandled(selector, type, handlerName);
+    }
+}
+
+YEHTesting.active = null;
+YEHTesting.DOM_GLOBALS = [
+    'window', 'document', 'Node', 'Element', 'HTMLElement', 'ShadowRoot', 'MutationObserver',
+    'Event', 'CustomEvent', 'MouseEvent', 'KeyboardEvent', 'PointerEvent', 'FocusEvent', 'InputEvent',
+    'WheelEvent', 'AbortController', 'AbortSignal', 'requestAnimationFrame', 'cancelAnimationFrame'
+];
+YEHTesting.EVENT_INTERFACES = [
+    [/^(click|dblclick|auxclick|contextmenu|mouse)/, ['MouseEvent']],
+    [/^key/, ['KeyboardEvent']],
+    [/^pointer/, ['PointerEvent', 'MouseEvent']],
+    [/^(focus|blur)/, ['FocusEvent']],
+    [/^(beforeinput|input)$/, ['InputEvent']],
+    [/^wheel$/, ['WheelEvent', 'MouseEvent']],
+    [/^touch/, ['TouchEvent']]
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    YEHTesting.YEH = require('./yeh.js').YEH;
+
+    module.exports = {
+        YEHTesting,
+        mount: YEHTesting.mount,
+        simulate: YEHTesting.simulate,
+        expectHandled: YEHTesting.expectHandled,
+        expectNotHandled: YEHTesting.expectNotHandled,
+        useFakeTimers: YEHTesting.useFakeTimers
+    };
+    module.exports.default = YEHTesting;
+} else if (typeof window !== 'undefined') {
+    YEHTesting.YEH = window.YEH;
+    window['YEHTesting'] = YEHTesting;
+}